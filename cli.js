@@ -11,11 +11,16 @@
 const fs = require('node:fs');
 
 const { default: ansiStyles } = require('ansi-styles');
+const nodeify = require('promise-nodeify');
 const readAllStream = require('read-all-stream');
 const { createSupportsColor } = require('supports-color');
 const yargs = require('yargs');
 
 const appveyorStatus = require('./index.js');
+const appveyorUtils = require('./lib/appveyor-utils.js');
+const config = require('./lib/config.js');
+const retryAsync = require('./lib/retry-async.js');
+const tui = require('./lib/tui.js');
 const packageJson = require('./package.json');
 
 /** Exit codes returned by {@link module:appveyor-status/bin/appveyor-status}
@@ -55,6 +60,67 @@ const statusColor = {
   success: 'green',
 };
 
+/** Output formats supported by the <code>--format</code> option.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+const formats = ['text', 'json', 'ndjson'];
+
+/** Prefix of the names of environment variables which set options.
+ *
+ * @constant
+ * @type {string}
+ * @private
+ */
+const ENV_PREFIX = 'APPVEYOR_STATUS_';
+
+/** Names of options which select the project(s) to query.  They are
+ * exclusive, so selectors from the environment or configuration files are
+ * ignored if any selector is given with higher precedence.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+const PROJECT_SELECTORS = Object.freeze([
+  'badge',
+  'project',
+  'projectFile',
+  'repo',
+  'webhook',
+]);
+
+/** Gets option values from environment variables named by
+ * <code>ENV_PREFIX</code> followed by the option name (e.g.
+ * <code>APPVEYOR_STATUS_PROJECT_FILE</code> for <code>project-file</code>).
+ *
+ * Unlike <code>yargs.env()</code>, variables which do not name an option are
+ * ignored, rather than causing <code>yargs.strict()</code> to fail.
+ *
+ * @param {!Object<string,string>} env Environment variables.
+ * @param {!Array<string>} optionNames Names of options which may be set.
+ * @returns {!Object<string,string>} Option values, by camelCase option name.
+ * @private
+ */
+function getEnvArgs(env, optionNames) {
+  const envArgs = {};
+  for (const [envName, value] of Object.entries(env)) {
+    if (envName.startsWith(ENV_PREFIX)) {
+      const optionName = envName.slice(ENV_PREFIX.length)
+        .toLowerCase()
+        .replaceAll('_', '-');
+      if (optionNames.includes(optionName)) {
+        const key = optionName
+          .replaceAll(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        envArgs[key] = value;
+      }
+    }
+  }
+  return envArgs;
+}
+
 function coerceWait(arg) {
   if (arg === undefined) {
     return arg;
@@ -67,29 +133,765 @@ function coerceWait(arg) {
   return val;
 }
 
-/** Gets the AppVeyor build status, handles errors, and writes the result to
+/** Parses an argument which must be a positive integer, such as a count.
+ *
+ * @private
+ */
+function coercePositiveInteger(arg) {
+  if (arg === undefined) {
+    return arg;
+  }
+
+  const val = typeof arg === 'boolean' ? NaN : Number(arg);
+  if (!Number.isSafeInteger(val) || val < 1) {
+    throw new TypeError(`Invalid positive integer "${arg}"`);
+  }
+  return val;
+}
+
+/** Parses an argument which must be a positive, finite number, such as a
+ * time between repeated actions.
+ *
+ * @private
+ */
+function coercePositiveNumber(arg) {
+  if (arg === undefined) {
+    return arg;
+  }
+
+  const val = typeof arg === 'boolean' ? NaN : Number(arg);
+  if (!Number.isFinite(val) || val <= 0) {
+    throw new TypeError(`Invalid positive number "${arg}"`);
+  }
+  return val;
+}
+
+/** Parses a <code>--repo-host</code> argument, a comma-separated list of
+ * <code>HOST=TYPE</code>, into a mapping from host name to repository type.
+ *
+ * @private
+ */
+function coerceRepoHosts(arg) {
+  if (arg === undefined) {
+    return arg;
+  }
+
+  const repoHosts = {};
+  for (const hostType of String(arg).split(',')) {
+    const eqIndex = hostType.indexOf('=');
+    if (eqIndex <= 0) {
+      throw new TypeError(`Invalid repository host "${hostType}" (expected `
+        + 'HOST=TYPE)');
+    }
+    repoHosts[hostType.slice(0, eqIndex)] = hostType.slice(eqIndex + 1);
+  }
+  return repoHosts;
+}
+
+/** Writes an error to the error stream and gets the corresponding exit code.
+ *
+ * @private
+ */
+function handleError(options, err) {
+  if (err.name === 'CommitMismatchError') {
+    let expected = options.commit;
+    if (options.commit !== err.expected) {
+      expected += ` (${err.expected})`;
+    }
+    if (options.commitSearch) {
+      const lastCommit = err.actual ? `last build commit ${err.actual}`
+        : 'no last build commit';
+      options.stderr.write(`Error: No recent build of commit ${expected} `
+        + `(${lastCommit})\n`);
+    } else if (!err.actual) {
+      options.stderr.write('Error: Last build has no commit to match '
+        + `${expected}\n`);
+    } else {
+      options.stderr.write(`Error: Last build commit ${err.actual} `
+        + `did not match ${expected}\n`);
+    }
+    return ExitCode.FAIL_COMMIT;
+  }
+
+  options.stderr.write(`${err}\n`);
+  return ExitCode.FAIL_OTHER;
+}
+
+/** Gets the exit code for a build status.
+ *
+ * @private
+ */
+function statusToExitCode(status) {
+  return status === 'success' ? ExitCode.SUCCESS : ExitCode.FAIL_STATUS;
+}
+
+/** Converts an Error to an object suitable for machine-readable output.
+ *
+ * @private
+ */
+function errorToRecord(err) {
+  const errRecord = {
+    name: err.name,
+    message: err.message,
+  };
+  if (err.name === 'CommitMismatchError') {
+    errRecord.actual = err.actual;
+    errRecord.expected = err.expected;
+  } else if (err.name === 'AmbiguousProjectError') {
+    errRecord.projects = err.projects;
+  }
+  return errRecord;
+}
+
+/** Writes an object to the output stream in the requested format.
+ *
+ * @private
+ */
+function writeRecord(options, record) {
+  const json = options.format === 'ndjson' ? JSON.stringify(record)
+    : JSON.stringify(record, undefined, 2);
+  options.stdout.write(`${json}\n`);
+}
+
+/** Is the output format one which produces JSON?
+ *
+ * @private
+ */
+function isJsonFormat(options) {
+  return options.format === 'json' || options.format === 'ndjson';
+}
+
+/** Colors a build or job status for output, if color is enabled.
+ *
+ * @private
+ */
+function colorStatus(options, status) {
+  if (!options.color) {
+    return status;
+  }
+
+  const ansiStyle = ansiStyles[statusColor[status] || 'gray'];
+  return `${ansiStyle.open}${status}${ansiStyle.close}`;
+}
+
+/** Writes an error to the error stream, and to the output stream for JSON
+ * formats, and gets the corresponding exit code.
+ *
+ * @private
+ */
+function reportError(options, err) {
+  const exitCode = handleError(options, err);
+  if (isJsonFormat(options) && options.verbosity >= 0) {
+    writeRecord(options, { error: errorToRecord(err) });
+  }
+  return exitCode;
+}
+
+/** Gets the jobs of the AppVeyor build, handles errors, and writes the result
+ * to output or error streams.
+ *
+ * @private
+ */
+function checkJobs(options, callback) {
+  appveyorStatus.getJobs(options, (err, jobs) => {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    const status = appveyorUtils.jobsToStatus(jobs);
+    if (options.verbosity >= 0) {
+      const jobSummaries = jobs.map(appveyorUtils.jobToSummary);
+      if (options.format === 'ndjson') {
+        for (const jobSummary of jobSummaries) {
+          writeRecord(options, jobSummary);
+        }
+      } else if (options.format === 'json') {
+        writeRecord(options, { status, jobs: jobSummaries });
+      } else {
+        for (const jobSummary of jobSummaries) {
+          let line = `${jobSummary.name}: ${
+            colorStatus(options, jobSummary.status)}`;
+          if (jobSummary.durationMs !== undefined) {
+            line += ` (${appveyorUtils.formatDuration(jobSummary.durationMs)})`;
+          }
+          if (jobSummary.allowFailure) {
+            line += ' [allow failure]';
+          }
+          options.stdout.write(`${line}\n`);
+        }
+      }
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, statusToExitCode(status));
+  });
+}
+
+/** Gets the AppVeyor build, handles errors, and writes the result to output
+ * or error streams as JSON.
+ *
+ * @private
+ */
+function checkStatusJson(options, callback) {
+  function onResult(err, result) {
+    let record;
+    let exitCode;
+    if (err) {
+      exitCode = handleError(options, err);
+      record = err.build && err.project
+        ? appveyorUtils.projectBuildToSummary(err)
+        : {};
+      record.error = errorToRecord(err);
+    } else {
+      record = typeof result === 'string'
+        ? appveyorUtils.statusToSummary(result)
+        : appveyorUtils.projectBuildToSummary(result);
+      exitCode = statusToExitCode(record.status);
+    }
+
+    if (options.verbosity >= 0) {
+      writeRecord(options, record);
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, exitCode);
+  }
+
+  if (options.format === 'ndjson' && options.wait && options.verbosity >= 0) {
+    // Write a record each time the status changes while waiting.
+    let lastKey;
+    options = {
+      ...options,
+      onPoll(projectBuild) {
+        const record = appveyorUtils.projectBuildToSummary(projectBuild);
+        const key = `${record.version} ${record.status}`;
+        if (key !== lastKey) {
+          lastKey = key;
+          writeRecord(options, record);
+        }
+      },
+    };
+  }
+
+  // Build information is only available from the project build API, which
+  // requires a project or token.  Without either, fall back to the badge.
+  if (!options.statusBadgeId
+    && !options.webhookId
+    && (options.commit || options.project || options.token)) {
+    appveyorStatus.getLastBuild(options, onResult);
+  } else {
+    appveyorStatus.getStatus(options, onResult);
+  }
+}
+
+/** Lists or downloads the artifacts of the AppVeyor build and writes the
+ * result to output or error streams.
+ *
+ * @private
+ */
+function checkArtifacts(options, callback) {
+  options = {
+    ...options,
+    artifactPattern: options.pattern,
+    directory: options.dir,
+  };
+
+  function onResult(err, results) {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    if (results.length === 0) {
+      options.stderr.write(`Error: No artifacts${
+        options.pattern ? ` matching ${options.pattern}` : ''} found\n`);
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_OTHER);
+      return;
+    }
+
+    if (options.verbosity >= 0) {
+      if (options.format === 'ndjson') {
+        for (const result of results) {
+          writeRecord(options, result);
+        }
+      } else if (options.format === 'json') {
+        writeRecord(options, results);
+      } else {
+        for (const result of results) {
+          options.stdout.write(typeof result === 'string' ? `${result}\n`
+            : `${result.fileName} (${result.size} bytes) [${
+              result.jobName}]\n`);
+        }
+      }
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, ExitCode.SUCCESS);
+  }
+
+  if (options.list) {
+    appveyorStatus.listArtifacts(options, onResult);
+  } else {
+    appveyorStatus.downloadArtifacts(options, onResult);
+  }
+}
+
+/** Formats a table of rows for human-readable output, with columns aligned
+ * and the status column colored.
+ *
+ * @private
+ */
+function formatTableRows(options, rows, statusCol) {
+  // Pad all columns except the last to the width of the widest value
+  const widths = rows[0].map(
+    (value, col) => Math.max(...rows.map((row) => row[col].length)),
+  );
+  return rows.map((row) => row
+    .map((value, col) => {
+      const padding = col === row.length - 1 ? ''
+        : ' '.repeat(widths[col] - value.length);
+      return (col === statusCol ? colorStatus(options, value) : value)
+        + padding;
+    })
+    .join('  ')
+    .trimEnd());
+}
+
+/** Formats the build history as a table of rows for human-readable output.
+ *
+ * @private
+ */
+function formatHistoryRows(options, builds) {
+  const rows = builds.map((build) => [
+    build.version,
+    build.status,
+    build.branch,
+    String(build.commitId).slice(0, 7),
+    String(build.created).slice(0, 16).replace('T', ' '),
+    build.authorName || build.authorUsername || '',
+    String(build.message || '').split('\n', 1)[0],
+  ]);
+  return formatTableRows(options, rows, 1);
+}
+
+/** Gets the build history of the AppVeyor project and writes the result to
  * output or error streams.
  *
  * @private
  */
-function checkStatus(options, callback) {
-  appveyorStatus.getStatus(options, (err, status) => {
+function checkHistory(options, callback) {
+  appveyorStatus.getBuildHistory(options, (err, history) => {
     if (err) {
-      if (err.name === 'CommitMismatchError') {
-        let expected = options.commit;
-        if (options.commit !== err.expected) {
-          expected += ` (${err.expected})`;
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    const { builds, project } = history;
+    if (builds.length === 0) {
+      options.stderr.write('Error: No matching builds found\n');
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_OTHER);
+      return;
+    }
+
+    if (options.verbosity >= 0) {
+      if (isJsonFormat(options)) {
+        const records = builds.map((build) => ({
+          ...appveyorUtils.projectBuildToSummary({ build, project }),
+          authorName: build.authorName,
+          authorUsername: build.authorUsername,
+          created: build.created,
+          message: build.message,
+        }));
+        if (options.format === 'ndjson') {
+          for (const record of records) {
+            writeRecord(options, record);
+          }
+        } else {
+          writeRecord(options, records);
         }
-        options.stderr.write(`Error: Last build commit ${err.actual} `
-          + `did not match ${expected}\n`);
-        // eslint-disable-next-line unicorn/no-null
-        callback(null, ExitCode.FAIL_COMMIT);
       } else {
-        options.stderr.write(`${err}\n`);
+        for (const row of formatHistoryRows(options, builds)) {
+          options.stdout.write(`${row}\n`);
+        }
+      }
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, ExitCode.SUCCESS);
+  });
+}
+
+/** Gets the latest status of each branch of each project in the account and
+ * writes the result to output or error streams.
+ *
+ * @private
+ */
+function checkOverview(options, callback) {
+  options = {
+    ...options,
+    projectPattern: options.pattern,
+    repositoryType: options.repoType,
+  };
+
+  appveyorStatus.getAccountStatus(options, (err, projects) => {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    if (projects.length === 0) {
+      options.stderr.write('Error: No matching projects found\n');
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_OTHER);
+      return;
+    }
+
+    if (options.verbosity >= 0) {
+      if (options.format === 'ndjson') {
+        for (const project of projects) {
+          writeRecord(options, project);
+        }
+      } else if (options.format === 'json') {
+        writeRecord(options, projects);
+      } else {
+        const rows = projects.flatMap(({ branches, project }) => (
+          branches.length === 0 ? [[project, '', 'no builds', '', '']]
+            : branches.map((branch) => [
+              project,
+              branch.branch,
+              branch.status,
+              branch.version,
+              String(branch.created).slice(0, 16).replace('T', ' '),
+            ])));
+        for (const row of formatTableRows(options, rows, 2)) {
+          options.stdout.write(`${row}\n`);
+        }
+      }
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, ExitCode.SUCCESS);
+  });
+}
+
+/** Shows an interactive dashboard of the last build of each project until
+ * the user quits.
+ *
+ * @private
+ */
+function checkTui(options, callback) {
+  if (!options.stdin.isTTY || !options.stdout.isTTY) {
+    options.stderr.write('Error: tui requires an interactive terminal\n');
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, ExitCode.FAIL_ARGUMENTS);
+    return;
+  }
+
+  const { interval, projects, ...apiOptions } = options;
+  // Show project from options (or current repository) if none are named
+  const projectOptions = projects && projects.length > 0
+    ? projects.map((project) => ({
+      ...apiOptions,
+      project,
+      repo: undefined,
+    }))
+    : [apiOptions];
+  const tuiP = tui.runTui({
+    color: options.color,
+    interval: interval * 1000,
+    projectOptions,
+    stdin: options.stdin,
+    stdout: options.stdout,
+  });
+  nodeify(tuiP, (err) => {
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, err ? reportError(options, err) : ExitCode.SUCCESS);
+  });
+}
+
+/** Names of the API functions which implement each action of the build
+ * command, by action name.
+ *
+ * @constant
+ * @type {!Object<string, string>}
+ * @private
+ */
+const buildActionFuncNames = {
+  cancel: 'cancelBuild',
+  rerun: 'rerunBuild',
+  start: 'startBuild',
+};
+
+/** Starts, re-runs, or cancels an AppVeyor build and writes the result to
+ * output or error streams.
+ *
+ * @private
+ */
+function checkBuildAction(options, callback) {
+  options = {
+    ...options,
+    rerunIncomplete: options.incomplete,
+  };
+
+  const funcName = buildActionFuncNames[options.action];
+  appveyorStatus[funcName](options, (err, projectBuild) => {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    const { build } = projectBuild;
+    if (options.verbosity >= 0) {
+      if (isJsonFormat(options)) {
+        writeRecord(options, appveyorUtils.projectBuildToSummary(projectBuild));
+      } else {
+        options.stdout.write(`AppVeyor build ${build.version} status: ${
+          colorStatus(options, build.status)}\n`);
+      }
+    }
+
+    // When waiting for a started or re-run build, exit code reflects status
+    const exitCode = options.wait && options.action !== 'cancel'
+      ? statusToExitCode(build.status)
+      : ExitCode.SUCCESS;
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, exitCode);
+  });
+}
+
+/** Formats a build event for human-readable output.
+ *
+ * @private
+ */
+function formatBuildEvent(options, event) {
+  const status = colorStatus(options, event.status);
+  const elapsed = appveyorUtils.formatDuration(event.elapsedMs);
+  switch (event.type) {
+    case 'build':
+      return `[${event.time}] ${event.project} build ${event.version}: `
+        + `${status} (${elapsed})`;
+    case 'job':
+      return `[${event.time}] ${event.project} build ${event.version} job `
+        + `${event.job.name}: ${status} (${elapsed})`;
+    default:
+      return `[${event.time}] ${event.project} build ${event.version}: `
+        + `${event.previousStatus} -> ${status} (${elapsed})`;
+  }
+}
+
+/** Watches the AppVeyor build and writes each event to the output stream
+ * until an error occurs.
+ *
+ * @private
+ */
+function checkWatch(options, callback) {
+  function onEvent(event) {
+    if (options.verbosity < 0) {
+      return;
+    }
+
+    if (isJsonFormat(options)) {
+      writeRecord(options, event);
+    } else {
+      options.stdout.write(`${formatBuildEvent(options, event)}\n`);
+    }
+  }
+
+  appveyorStatus.watch(options)
+    .on('build', onEvent)
+    .on('job', onEvent)
+    .on('status', onEvent)
+    .once('end', () => {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.SUCCESS);
+    })
+    .once('error', (err) => {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+    });
+}
+
+/** Gets the console log of an AppVeyor job, writes it to the output stream
+ * (or error stream for JSON formats), then checks the build status.
+ *
+ * @private
+ */
+function checkLog(options, callback) {
+  const logOut = isJsonFormat(options) ? options.stderr : options.stdout;
+  const logOptions = {
+    ...options,
+    job: options.log || undefined,
+    out: logOut,
+  };
+  appveyorStatus.getJobLog(logOptions, (err, log) => {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, reportError(options, err));
+      return;
+    }
+
+    if (log && !log.endsWith('\n')) {
+      logOut.write('\n');
+    }
+
+    // eslint-disable-next-line no-use-before-define
+    checkStatus({ ...options, log: undefined }, callback);
+  });
+}
+
+/** Parses a list of projects, one per line, each optionally followed by a
+ * branch name.  Blank lines and comments (starting with #) are ignored.
+ *
+ * @private
+ */
+function parseProjectList(content) {
+  const projects = [];
+  for (const [i, line] of content.split('\n').entries()) {
+    const commentStart = line.indexOf('#');
+    const fields = (commentStart === -1 ? line : line.slice(0, commentStart))
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    if (fields.length > 2) {
+      throw new Error(`Unexpected "${fields[2]}" on line ${i + 1} `
+        + 'of project file');
+    }
+
+    const [project, branch] = fields;
+    if (branch) {
+      projects.push({ project, branch });
+    } else if (project) {
+      projects.push(project);
+    }
+  }
+
+  return projects;
+}
+
+/** Gets the AppVeyor build status of each project in the project file, writes
+ * the results to output or error streams, and calls the callback with the
+ * exit code for the worst result.
+ *
+ * @private
+ */
+function checkStatuses(options, callback) {
+  const projectFileStream = options.projectFile === '-' ? options.stdin
+    : fs.createReadStream(options.projectFile);
+  readAllStream(projectFileStream, (errRead, content) => {
+    let projects;
+    try {
+      if (errRead) {
+        throw new Error(`Unable to read project file: ${errRead.message}`);
+      }
+      projects = parseProjectList(content);
+      if (projects.length === 0) {
+        throw new Error('No projects in project file');
+      }
+    } catch (err) {
+      options.stderr.write(`Error: ${err.message}\n`);
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_ARGUMENTS);
+      return;
+    }
+
+    const statusesOptions = {
+      ...options,
+      project: undefined,
+      projects,
+    };
+    appveyorStatus.getStatuses(statusesOptions, (err, results) => {
+      if (err) {
         // eslint-disable-next-line unicorn/no-null
-        callback(null, ExitCode.FAIL_OTHER);
+        callback(null, reportError(options, err));
+        return;
       }
 
+      let exitCode = ExitCode.SUCCESS;
+      const records = results.map(({
+        branch,
+        error,
+        project,
+        status,
+      }) => {
+        if (error) {
+          options.stderr.write(`${project}: `);
+          exitCode = Math.max(exitCode, handleError(options, error));
+          return { project, branch, error: errorToRecord(error) };
+        }
+
+        exitCode = Math.max(exitCode, statusToExitCode(status));
+        return { project, branch, status };
+      });
+
+      if (options.verbosity >= 0) {
+        if (options.format === 'ndjson') {
+          for (const record of records) {
+            writeRecord(options, record);
+          }
+        } else if (options.format === 'json') {
+          writeRecord(options, { projects: records });
+        } else {
+          const labels = records.map(
+            ({ branch, project }) => (branch ? `${project} (${branch})`
+              : project),
+          );
+          const width = Math.max(...labels.map((label) => label.length));
+          for (const [i, record] of records.entries()) {
+            options.stdout.write(`${labels[i].padEnd(width)}  ${
+              colorStatus(options, record.status || 'error')}\n`);
+          }
+        }
+      }
+
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, exitCode);
+    });
+  });
+}
+
+/** Gets the AppVeyor build status, handles errors, and writes the result to
+ * output or error streams.
+ *
+ * @private
+ */
+function checkStatus(options, callback) {
+  if (options.projectFile !== undefined) {
+    checkStatuses(options, callback);
+    return;
+  }
+
+  if (options.watch) {
+    checkWatch(options, callback);
+    return;
+  }
+
+  if (options.log !== undefined) {
+    checkLog(options, callback);
+    return;
+  }
+
+  if (options.jobs) {
+    checkJobs(options, callback);
+    return;
+  }
+
+  if (isJsonFormat(options)) {
+    checkStatusJson(options, callback);
+    return;
+  }
+
+  appveyorStatus.getStatus(options, (err, status) => {
+    if (err) {
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, handleError(options, err));
       return;
     }
 
@@ -105,13 +907,25 @@ function checkStatus(options, callback) {
 
       options.stdout.write(`AppVeyor build status: ${statusColored}\n`);
     }
-    callback(
-      null, // eslint-disable-line unicorn/no-null
-      status === 'success' ? ExitCode.SUCCESS : ExitCode.FAIL_STATUS,
-    );
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, statusToExitCode(status));
   });
 }
 
+/** Functions which implement each command, by name.
+ *
+ * @constant
+ * @type {!Object<string, function(!object, function(Error, number=))>}
+ * @private
+ */
+const commandHandlers = {
+  artifacts: checkArtifacts,
+  build: checkBuildAction,
+  history: checkHistory,
+  overview: checkOverview,
+  tui: checkTui,
+};
+
 /** Options for command entry points.
  *
  * @static
@@ -201,6 +1015,17 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
     return undefined;
   }
 
+  // Settings from configuration files, in order of decreasing precedence.
+  let configs;
+  try {
+    configs = config.loadConfigs({ cwd: process.cwd(), env: process.env });
+  } catch (err) {
+    options.stderr.write(`Error: ${err.message}\n`);
+    // eslint-disable-next-line unicorn/no-null
+    callback(null, ExitCode.FAIL_ARGUMENTS);
+    return undefined;
+  }
+
   const yargsObj = yargs()
     .parserConfiguration({
       'parse-numbers': false,
@@ -209,10 +1034,123 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       'flatten-duplicate-arrays': false,
       'greedy-arrays': false,
     })
-    .usage('Usage: $0 [options]')
+    .usage('Usage: $0 [command] [options]')
+    .command(
+      'artifacts [pattern]',
+      'Download artifacts of the build',
+      (yargsCmd) => yargsCmd
+        .positional('pattern', {
+          describe: 'Glob pattern of artifact names to download',
+          type: 'string',
+        })
+        .option('dir', {
+          alias: 'd',
+          describe: 'Directory in which to save artifacts',
+          defaultDescription: '.',
+          nargs: 1,
+        })
+        .option('job', {
+          describe: 'Only download artifacts of the named job',
+          nargs: 1,
+        })
+        .option('list', {
+          describe: 'List artifacts without downloading',
+          type: 'boolean',
+        }),
+    )
+    .command(
+      'build <action>',
+      'Start, re-run, or cancel a build (requires token)',
+      (yargsCmd) => yargsCmd
+        .positional('action', {
+          choices: Object.keys(buildActionFuncNames),
+          describe: 'Action to perform',
+        })
+        .option('incomplete', {
+          describe: 'Only re-run failed or cancelled jobs',
+          type: 'boolean',
+        }),
+    )
+    .command(
+      'history',
+      'List recent builds of the project',
+      (yargsCmd) => yargsCmd
+        .option('author', {
+          describe: 'Only list builds by author (name or username)',
+          nargs: 1,
+        })
+        .option('limit', {
+          alias: 'n',
+          describe: 'Maximum number of builds to list',
+          default: 10,
+          coerce: coercePositiveInteger,
+          nargs: 1,
+        })
+        .option('since', {
+          describe: 'Only list builds created at or after date',
+          nargs: 1,
+        })
+        .option('status', {
+          describe: 'Only list builds with status',
+          nargs: 1,
+        })
+        .option('until', {
+          describe: 'Only list builds created at or before date',
+          nargs: 1,
+        }),
+    )
+    .command(
+      'overview [pattern]',
+      'List the latest status of each branch of each project in the account '
+      + '(requires token)',
+      (yargsCmd) => yargsCmd
+        .positional('pattern', {
+          describe: 'Glob pattern of project names to list',
+          type: 'string',
+        })
+        .option('repo-type', {
+          describe: 'Only list projects with repository type (e.g. gitHub)',
+          nargs: 1,
+        })
+        .option('status', {
+          describe: 'Only list branches with status',
+          nargs: 1,
+        }),
+    )
+    .command(
+      'tui [projects..]',
+      'Show a live dashboard of builds, with jobs and logs (interactive)',
+      (yargsCmd) => yargsCmd
+        .positional('projects', {
+          describe: 'AppVeyor projects to show (as $user/$proj)',
+          type: 'string',
+        })
+        .option('interval', {
+          describe: 'Time between refreshes (in seconds)',
+          default: 10,
+          coerce: coercePositiveNumber,
+          nargs: 1,
+        }),
+    )
     .help()
     .alias('help', 'h')
     .alias('help', '?')
+    .option('all-remotes', {
+      describe: 'Detect project from any remote of repository, not only '
+        + 'upstream (requires token)',
+      type: 'boolean',
+    })
+    .option('api-url', {
+      describe: 'AppVeyor API URL (e.g. for AppVeyor Server)',
+      defaultDescription: 'https://ci.appveyor.com/api',
+      nargs: 1,
+    })
+    .option('backoff-factor', {
+      describe: 'Multiplier for time between polls while waiting',
+      defaultDescription: '2',
+      nargs: 1,
+      type: 'number',
+    })
     .option('badge', {
       alias: 'B',
       describe:
@@ -230,15 +1168,75 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       defaultDescription: '(to TTY)',
       type: 'boolean',
     })
+    .option('concurrency', {
+      describe: 'Maximum number of projects to query at once '
+        + '(with --project-file)',
+      defaultDescription: '4',
+      coerce: coercePositiveInteger,
+      nargs: 1,
+    })
     .option('commit', {
       alias: 'c',
       description:
         'Require build to be for named commit (requires project or token)',
       defaultDescription: 'HEAD',
     })
+    .option('commit-or-descendant', {
+      describe: 'Accept build of a descendant of commit (implies --commit)',
+      type: 'boolean',
+    })
+    .option('commit-search', {
+      describe: 'Search recent builds for commit, rather than last build '
+        + '(implies --commit)',
+      type: 'boolean',
+    })
+    .option('format', {
+      describe: 'Output format (json and ndjson include build details)',
+      choices: formats,
+      default: 'text',
+    })
+    .option('jobs', {
+      alias: 'j',
+      describe: 'Print the status of each job in the build',
+      type: 'boolean',
+    })
+    .option('log', {
+      alias: 'l',
+      describe: 'Print console log of named job before status',
+      defaultDescription: '(first failed job)',
+      type: 'string',
+    })
+    .option('max-poll-interval', {
+      describe: 'Maximum time between polls while waiting (in seconds)',
+      defaultDescription: '60 or --poll-interval',
+      coerce: coerceWait,
+      nargs: 1,
+    })
+    .option('poll-interval', {
+      describe: 'Initial time between polls while waiting (in seconds)',
+      defaultDescription: '4',
+      coerce: coercePositiveInteger,
+      nargs: 1,
+    })
+    .option('poll-strategy', {
+      describe: 'Strategy for time between polls while waiting',
+      choices: retryAsync.WAIT_STRATEGIES,
+      defaultDescription: 'exponential',
+      nargs: 1,
+    })
+    .option('profile', {
+      describe: 'Profile (from config file) with account and token to use',
+      defaultDescription: '(for project account)',
+      nargs: 1,
+    })
     .option('project', {
       alias: 'p',
-      describe: 'AppVeyor project to query (as $user/$proj)',
+      describe: 'AppVeyor project to query (as $user/$proj, use '
+        + '--project-file for multiple projects)',
+      nargs: 1,
+    })
+    .option('project-file', {
+      describe: 'Query status of each project listed in file (- for stdin)',
       nargs: 1,
     })
     .option('quiet', {
@@ -252,6 +1250,20 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       defaultDescription: '.',
       nargs: 1,
     })
+    .option('repo-host', {
+      describe: 'Type of self-hosted repositories on hosts (as '
+        + 'HOST=TYPE[,HOST=TYPE...], TYPE one of '
+        + `${appveyorUtils.REPO_HOST_TYPES.join(', ')})`,
+      coerce: coerceRepoHosts,
+      nargs: 1,
+    })
+    .option('request-retries', {
+      describe: 'Number of times to retry API requests which fail due to '
+        + 'network or server errors',
+      defaultDescription: '3',
+      nargs: 1,
+      type: 'number',
+    })
     .option('token', {
       alias: 't',
       describe: 'API access token',
@@ -275,6 +1287,15 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       defaultDescription: 'Infinity',
       coerce: coerceWait,
     })
+    .option('wait-for-commit', {
+      describe: 'Wait for a build of commit to be queued (implies --commit '
+        + 'and --wait)',
+      type: 'boolean',
+    })
+    .option('watch', {
+      describe: 'Print each change to the build until interrupted',
+      type: 'boolean',
+    })
     .option('webhook', {
       alias: 'W',
       /* Undocumented.  Deprecated in favor of --badge
@@ -285,6 +1306,58 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
     .version(`${packageJson.name} ${packageJson.version}`)
     .alias('version', 'V')
     .strict();
+
+  // Environment variables for global options are applied as configuration
+  // with precedence over configuration files (earlier configuration takes
+  // precedence).  Aliases, help, and version are not settable.  Project
+  // selectors are applied after parsing, like project from configuration.
+  const envOptionNames = Object.keys(yargsObj.getOptions().key)
+    .filter((name) => name.length > 1 && name !== 'help' && name !== 'version');
+  const envArgs = getEnvArgs(process.env, envOptionNames);
+  const envSelectors = {};
+  for (const selector of PROJECT_SELECTORS) {
+    if (envArgs[selector] !== undefined) {
+      envSelectors[selector] = envArgs[selector];
+      delete envArgs[selector];
+    }
+  }
+  yargsObj.config(envArgs);
+
+  // tokenFile and apiUrl from configuration are applied after parsing, since
+  // they have lower precedence than (and tokenFile does not conflict with)
+  // --token, $APPVEYOR_API_TOKEN, and the selected profile.  profiles are
+  // applied after parsing, since the profile is selected using parsed options.
+  // repoHosts are combined with (rather than replaced by) --repo-host.
+  // project is applied after parsing, since it is only used if no project
+  // selector is given on the command line or in the environment.
+  let configApiUrl;
+  let configProject;
+  let configRepoHosts;
+  let configTokenFile;
+  const profiles = {};
+  for (const {
+    apiUrl,
+    profiles: configProfiles,
+    project,
+    repoHosts,
+    tokenFile,
+    ...configArgs
+  } of configs) {
+    configApiUrl ??= apiUrl;
+    configProject ??= project;
+    if (repoHosts !== undefined) {
+      configRepoHosts = { ...repoHosts, ...configRepoHosts };
+    }
+    configTokenFile ??= tokenFile;
+    const profileEntries = Object.entries(configProfiles || {});
+    for (const [name, profile] of profileEntries) {
+      if (!Object.hasOwn(profiles, name)) {
+        profiles[name] = profile;
+      }
+    }
+    yargsObj.config(configArgs);
+  }
+
   yargsObj.parse(args, (err, argOpts, output) => {
     if (err) {
       options.stderr.write(output ? `${output}\n`
@@ -304,13 +1377,33 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       return;
     }
 
-    if (argOpts._.length !== 0) {
+    const [command, ...extraArgs] = argOpts._;
+    if (extraArgs.length !== 0
+      || (command !== undefined && !Object.hasOwn(commandHandlers, command))) {
       options.stderr.write('Error: Unexpected non-option arguments.\n');
       // eslint-disable-next-line unicorn/no-null
       callback(null, ExitCode.FAIL_ARGUMENTS);
       return;
     }
 
+    // Project selectors are exclusive, so only those with the highest
+    // precedence (command line, environment, then configuration) are used.
+    if (PROJECT_SELECTORS.every((name) => argOpts[name] === undefined)) {
+      if (Object.keys(envSelectors).length > 0) {
+        Object.assign(argOpts, envSelectors);
+      } else {
+        argOpts.project = configProject;
+      }
+    }
+
+    if (command !== undefined && argOpts.projectFile !== undefined) {
+      options.stderr.write(`Error: --project-file can not be used with ${
+        command}.\n`);
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_ARGUMENTS);
+      return;
+    }
+
     argOpts.verbosity = (argOpts.verbose || 0) - (argOpts.quiet || 0);
     delete argOpts.quiet;
     delete argOpts.verbose;
@@ -319,26 +1412,104 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
       argOpts.color = createSupportsColor(options.stdout).hasBasic;
     }
 
-    if (argOpts.commit === true) {
+    if (argOpts.commit === true
+      || (argOpts.commit === undefined
+        && (argOpts.commitOrDescendant
+          || argOpts.commitSearch
+          || argOpts.waitForCommit))) {
       argOpts.commit = 'HEAD';
     }
 
+    if (argOpts.waitForCommit && argOpts.wait === undefined) {
+      argOpts.wait = Infinity;
+    }
+
     if (argOpts.wait) {
       argOpts.wait *= 1000;
     }
 
+    if (argOpts.maxPollInterval !== undefined) {
+      argOpts.maxPollInterval *= 1000;
+    }
+
+    if (argOpts.pollInterval !== undefined) {
+      argOpts.pollInterval *= 1000;
+    }
+
+    if (configRepoHosts !== undefined || argOpts.repoHost !== undefined) {
+      argOpts.repoHosts = { ...configRepoHosts, ...argOpts.repoHost };
+    }
+    delete argOpts.repoHost;
+
     argOpts.statusBadgeId = argOpts.badge;
     delete argOpts.badge;
 
     argOpts.webhookId = argOpts.webhook;
     delete argOpts.webhook;
 
-    const statusOpts = { ...options, ...argOpts };
+    const projectParts = typeof argOpts.project === 'string'
+      ? argOpts.project.split('/')
+      : [];
+    let profile;
+    try {
+      profile = config.selectProfile(
+        profiles,
+        argOpts.profile,
+        projectParts.length === 2 ? projectParts[0] : undefined,
+      );
+    } catch (errProfile) {
+      options.stderr.write(`Error: ${errProfile.message}\n`);
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, ExitCode.FAIL_ARGUMENTS);
+      return;
+    }
+
+    // Project may be given without account when a profile is used.
+    if (profile && profile.account && projectParts.length === 1) {
+      argOpts.project = `${profile.account}/${argOpts.project}`;
+    }
+
+    const statusOpts = {
+      ...options,
+      ...argOpts,
+      // API URL precedence: --api-url, profile, configuration.
+      baseUrl: argOpts.apiUrl
+        ?? (profile && profile.apiUrl)
+        ?? configApiUrl,
+      // Write non-output status messages from API functions to stderr
+      err: options.stderr,
+    };
+    const runCommand = command === undefined ? checkStatus
+      : commandHandlers[command];
+
+    // Token precedence: --token or --token-file, profile,
+    // $APPVEYOR_API_TOKEN, token-file from configuration.
+    let { token, tokenFile } = argOpts;
+    if (token === undefined && tokenFile === undefined && profile) {
+      ({ token, tokenFile } = profile);
+      if (profile.tokenEnv !== undefined) {
+        token = process.env[profile.tokenEnv];
+        if (token === undefined) {
+          options.stderr.write(`Error: $${profile.tokenEnv} `
+            + '(token-env of selected profile) is not set\n');
+          // eslint-disable-next-line unicorn/no-null
+          callback(null, ExitCode.FAIL_ARGUMENTS);
+          return;
+        }
+      }
+    }
+
+    if (token === undefined && tokenFile === undefined) {
+      token = process.env.APPVEYOR_API_TOKEN;
+      if (token === undefined) {
+        tokenFile = configTokenFile;
+      }
+    }
 
-    if (argOpts.tokenFile !== undefined) {
-      const tokenFileStream = argOpts.tokenFile === '-' ? options.stdin
-        : fs.createReadStream(argOpts.tokenFile);
-      readAllStream(tokenFileStream, (errRead, token) => {
+    if (tokenFile !== undefined) {
+      const tokenFileStream = tokenFile === '-' ? options.stdin
+        : fs.createReadStream(tokenFile);
+      readAllStream(tokenFileStream, (errRead, fileToken) => {
         if (errRead) {
           options.stderr.write('Error: Unable to read API token file: '
             + `${errRead.message}\n`);
@@ -347,13 +1518,12 @@ module.exports = function appveyorStatusCmd(args, options, callback) {
           return;
         }
 
-        statusOpts.token = token.trim();
-        checkStatus(statusOpts, callback);
+        statusOpts.token = fileToken.trim();
+        runCommand(statusOpts, callback);
       });
     } else {
-      statusOpts.token = statusOpts.token !== undefined ? statusOpts.token
-        : process.env.APPVEYOR_API_TOKEN;
-      checkStatus(statusOpts, callback);
+      statusOpts.token = token;
+      runCommand(statusOpts, callback);
     }
   });
 
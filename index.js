@@ -6,19 +6,24 @@
 
 'use strict';
 
-const https = require('node:https');
+const EventEmitter = require('node:events');
+const { mkdir, writeFile } = require('node:fs/promises');
+const path = require('node:path');
 const timers = require('node:timers');
 const { setTimeout: setTimeoutP } = require('node:timers/promises');
 
 const appveyorSwagger = require('appveyor-swagger');
 const nodeify = require('promise-nodeify');
-const SwaggerClient = require('swagger-client');
 
+const AbortError = require('./lib/abort-error.js');
 const AmbiguousProjectError = require('./lib/ambiguous-project-error.js');
+const createAppveyorClient = require('./lib/appveyor-client.js');
 const appveyorUtils = require('./lib/appveyor-utils.js');
 const CommitMismatchError = require('./lib/commit-mismatch-error.js');
 const gitUtils = require('./lib/git-utils.js');
+const globToRegExp = require('./lib/glob-to-regexp.js');
 const retryAsync = require('./lib/retry-async.js');
+const retryFetch = require('./lib/retry-fetch.js');
 
 // Allow Date to be injected (via timers) for tests
 const { now } = timers.Date || Date;
@@ -79,6 +84,46 @@ function getResponseSvg(response) {
   return response.data.toString();
 }
 
+/** Gets body of a SwaggerClient response as a string.
+ *
+ * @param {!object} response SwaggerClient response object.
+ * @returns {!Promise<string>} Body of response.
+ * @private
+ */
+async function getResponseText(response) {
+  const { data } = response;
+  if (typeof data === 'string') {
+    return data;
+  }
+
+  // SwaggerClient provides a Blob for application/octet-stream responses
+  if (data && typeof data.text === 'function') {
+    return data.text();
+  }
+
+  return String(data);
+}
+
+/** Gets body of a SwaggerClient response as a Buffer.
+ *
+ * @param {!object} response SwaggerClient response object.
+ * @returns {!Promise<!Buffer>} Body of response.
+ * @private
+ */
+async function getResponseBuffer(response) {
+  const { data } = response;
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+
+  // SwaggerClient provides a Blob for application/octet-stream responses
+  if (data && typeof data.arrayBuffer === 'function') {
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  return Buffer.from(String(data));
+}
+
 /** Makes a function to catch SwaggerClient errors from operations and add
  * additional information.
  *
@@ -122,42 +167,150 @@ function makeClientErrorHandler(msgPrefix) {
  * @static
  * @typedef {{
  *   agent: module:http.Agent|undefined,
- *   appveyorClient: SwaggerClient|Promise<SwaggerClient>|undefined,
+ *   allRemotes: boolean|undefined,
+ *   appveyorClient:
+ *     module:swagger-client|Promise<module:swagger-client>|undefined,
+ *   artifactPattern: string|undefined,
+ *   author: string|undefined,
+ *   backoffFactor: number|undefined,
+ *   baseUrl: string|URL|undefined,
  *   branch: string|boolean|undefined,
  *   commit: string|undefined,
+ *   commitOrDescendant: boolean|undefined,
+ *   commitSearch: boolean|undefined,
+ *   concurrency: number|undefined,
+ *   directory: string|undefined,
  *   err: module:stream.Writable|undefined,
+ *   job: string|undefined,
+ *   limit: number|undefined,
+ *   maxPollInterval: number|undefined,
+ *   onPoll: undefined|function(!appveyorSwagger.ProjectBuild),
  *   out: module:stream.Writable|undefined,
+ *   pollInterval: number|undefined,
+ *   pollStrategy: string|undefined,
  *   project: string|undefined,
+ *   projectPattern: string|undefined,
+ *   projects: Array<string|{project: string, branch: string}>|undefined,
  *   repo: string|undefined,
+ *   repoHosts: Object<string,string>|undefined,
+ *   repositoryType: string|undefined,
+ *   requestRetries: number|undefined,
+ *   rerunIncomplete: boolean|undefined,
+ *   signal: AbortSignal|undefined,
+ *   since: Date|number|string|undefined,
+ *   status: string|Array<string>|undefined,
  *   statusBadgeId: string|undefined,
  *   token: string|undefined,
+ *   until: Date|number|string|undefined,
  *   userFetch: undefined|function(string|!URL|!object, object=): Promise,
  *   verbosity: number|undefined,
  *   wait: boolean|number|undefined,
+ *   waitForCommit: boolean|undefined,
  *   webhookId: string|undefined
  * }} AppveyorStatusOptions
  * @property {module:http.Agent=} agent Agent to use for HTTP requests (useful
  * for inter-call keep-alive and request sharing) (ignored if appveyorClient
  * is set).
- * @property {(SwaggerClient|Promise<SwaggerClient>)=} appveyorClient client
- * used to query the AppVeyor API.
+ * @property {boolean=} allRemotes Match the URL of every remote of the
+ * repository against AppVeyor projects, rather than only the upstream remote
+ * of the branch (or origin), when detecting the project from a local
+ * repository.  A project matching the upstream remote is preferred.  An
+ * {@link module:appveyor-status.AmbiguousProjectError} is only thrown if
+ * different remotes match different projects.  (requires token)
+ * @property {(module:swagger-client|Promise<module:swagger-client>)=}
+ * appveyorClient client used to query the AppVeyor API.
+ * @property {string=} artifactPattern Glob pattern matched against artifact
+ * name or file name to select artifacts.  (default: all artifacts)
+ * @property {string=} author Author name or username of builds to include in
+ * build history (case-insensitive).  (default: all authors)
+ * @property {number=} backoffFactor Multiplicative increase in the time
+ * between polls while waiting for a build to complete (for exponential and
+ * exponential jitter <code>pollStrategy</code>).  (default: 2)
+ * @property {(string|URL)=} baseUrl Base URL of the AppVeyor API, such as
+ * <code>https://appveyor.example.com/api</code> for AppVeyor Server (ignored
+ * if appveyorClient is set).
+ * (default: <code>https://ci.appveyor.com/api</code>)
  * @property {(string|boolean)=} branch query latest build for named branch,
  * or the current branch
  * @property {string=} commit require build to be for a specific commit.
  * Named commits are resolved in <code>options.repo</code> or current dir.
  * (requires token or project)
+ * @property {boolean=} commitOrDescendant Accept a build of a descendant of
+ * <code>options.commit</code> (according to the local git repository).
+ * @property {boolean=} commitSearch Search recent builds of the project for
+ * the most recent build of <code>options.commit</code>, rather than requiring
+ * the last build to match.
+ * @property {number=} concurrency Maximum number of projects to query at
+ * once, for {@link module:appveyor-status.getStatuses}.  (default: 4)
+ * @property {string=} directory Directory to which artifacts are saved.
+ * (default: current directory)
  * @property {module:stream.Writable=} err Stream to which errors (and
  * non-output status messages) are written.
  * (default: <code>process.stderr</code>)
+ * @property {string=} job Name or ID of the job for which to get the log.
+ * (default: first failed job, or first job)
+ * @property {number=} limit Maximum number of builds to include in build
+ * history.  (default: 10)
+ * @property {number=} maxPollInterval Maximum time (in milliseconds)
+ * between polls while waiting for a build to complete.  Must not be less than
+ * <code>pollInterval</code>.  (default: 60000 or <code>pollInterval</code>,
+ * whichever is greater)
+ * @property {(function(!appveyorSwagger.ProjectBuild))=} onPoll Function
+ * called with each build which has not completed, while waiting for it to
+ * complete.
+ * @property {module:stream.Writable=} out Stream to which followed output
+ * (e.g. job console log) is written.
+ * @property {number=} pollInterval Initial time (in milliseconds) between
+ * polls while waiting for a build to complete, and time between polls of a
+ * running build when watching or following a job log.  (default: 4000)
+ * @property {string=} pollStrategy Strategy for the time between polls while
+ * waiting for a build to complete: <code>exponential</code>,
+ * <code>fibonacci</code>, or exponential with random jitter
+ * (<code>full-jitter</code>, <code>equal-jitter</code>, or
+ * <code>decorrelated-jitter</code>) to avoid polling in lockstep with other
+ * clients.  (default: <code>exponential</code>)
  * @property {(string|appveyorSwagger.Project)=} project AppVeyor project to
- * query (default: auto-detect) (exclusive with repo, statusBadgeId, and
+ * query (default: auto-detect) (exclusive with projects, repo,
+ * statusBadgeId, and webhookId)
+ * @property {Array<string|{project: string, branch: string}>=} projects
+ * AppVeyor projects to query with
+ * {@link module:appveyor-status.getStatuses}, optionally with a branch to
+ * query for each project (exclusive with project, repo, statusBadgeId, and
  * webhookId)
+ * @property {string=} projectPattern Glob pattern matched against project
+ * slug or name (case-insensitively) to select projects for
+ * {@link module:appveyor-status.getAccountStatus}.  (default: all projects)
  * @property {string=} repo repository to query (as
  * {bitbucket,github}/$user/$proj) (default: auto-detect)
  * (exclusive with project, statusBadgeId, and webhookId)
+ * @property {Object<string,string>=} repoHosts Mapping from host names to
+ * the type of self-hosted repositories they serve (one of
+ * <code>bitBucketServer</code>, <code>git</code>, <code>gitea</code>,
+ * <code>gitHubEnterprise</code>, or <code>gitLabServer</code>), used to
+ * find the AppVeyor project for repositories with URLs on those hosts.
+ * @property {string=} repositoryType Type of repository (e.g.
+ * <code>gitHub</code>, case-insensitive) of projects to include in
+ * {@link module:appveyor-status.getAccountStatus}.  (default: all types)
+ * @property {number=} requestRetries Maximum number of times to retry each
+ * API request which fails due to a network error or server error (5xx), or is
+ * rate-limited (429).  Waits between retries use exponential backoff, or the
+ * delay requested by <code>Retry-After</code>.  Only requests which are safe
+ * to repeat are retried after network or server errors.  (ignored if
+ * appveyorClient is set) (default: 3)
+ * @property {boolean=} rerunIncomplete Only re-run failed or cancelled jobs
+ * when re-running a build.
+ * @property {AbortSignal=} signal Signal which cancels the operation when
+ * aborted, including pending requests, git commands, and waits.  Operations
+ * are rejected with an {@link module:appveyor-status.AbortError}.
+ * @property {(Date|number|string)=} since Earliest creation time of builds
+ * to include in build history.  (default: no limit)
+ * @property {(string|Array<string>)=} status Status (or statuses) of builds to
+ * include in build history or account status.  (default: all statuses)
  * @property {string=} statusBadgeId Status badge ID to query
  * (exclusive with project, repo, and webhookId)
  * @property {string=} token AppVeyor API access token.
+ * @property {(Date|number|string)=} until Latest creation time of builds to
+ * include in build history.  (default: no limit)
  * @property {(function(string|!URL|!object, object=): Promise)=} userFetch
  * Fetch-compatible function to perform HTTP(S).
  * @property {number=} verbosity Amount of diagnostic information to print
@@ -165,6 +318,11 @@ function makeClientErrorHandler(msgPrefix) {
  * @property {number=} wait Length of time to wait (in milliseconds) for build
  * to complete.  If wait time is reached, incomplete build is returned.
  * (default: no polling)
+ * @property {boolean=} waitForCommit Keep polling until a build of
+ * <code>options.commit</code> is found (e.g. while a pushed commit has not
+ * yet been queued), then wait for it to complete, within
+ * <code>options.wait</code>.  (default: fail if the last build is not for
+ * <code>options.commit</code>)
  * @property {string=} webhookId *Deprecated* Webhook ID to query.  The
  * webhookId has been replaced by statusBadgeId as the path parameter in the
  * status badge URL.  This name is kept for backwards-compatibility only.
@@ -172,6 +330,70 @@ function makeClientErrorHandler(msgPrefix) {
  */
 // var AppveyorStatusOptions;
 
+/** Throws an AbortError if a given signal has been aborted.
+ *
+ * Unlike <code>AbortSignal.prototype.throwIfAborted</code>, the error thrown
+ * is always an AbortError, with the abort reason as its cause.
+ *
+ * @param {AbortSignal=} signal Signal to check.
+ * @throws {AbortError} If <code>signal</code> has been aborted.
+ * @private
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError(undefined, { cause: signal.reason });
+  }
+}
+
+/** Resolves a repository URL on an unrecognized host by applying
+ * <code>url.&lt;base&gt;.insteadOf</code> rewrites, expanding shorthand
+ * schemes, and resolving SSH host aliases, so that the repository type and
+ * name can be determined.
+ *
+ * @param {string} repoUrl Repository URL or path.
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options
+ * Canonicalized options.
+ * @returns {!Promise<string>} Resolved repository URL, or
+ * <code>repoUrl</code> if it is a path, has a recognized host, or can not be
+ * resolved.
+ * @private
+ */
+async function resolveRepoUrl(repoUrl, options) {
+  if (gitUtils.gitUrlIsLocalNotSsh(repoUrl)
+    || appveyorUtils.parseAppveyorRepoUrl(repoUrl, options.repoHosts)
+      .repositoryType) {
+    return repoUrl;
+  }
+
+  let resolvedUrl;
+  try {
+    resolvedUrl = await gitUtils.resolveGitUrl(repoUrl, options.gitOptions);
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    if (options.verbosity > 0) {
+      options.err.write(`DEBUG: Unable to resolve ${repoUrl}: ${err}\n`);
+    }
+    return repoUrl;
+  }
+
+  if (options.verbosity > 0) {
+    if (resolvedUrl !== repoUrl) {
+      options.err.write(`DEBUG: Resolved ${repoUrl} to ${resolvedUrl}\n`);
+    }
+    const avRepo =
+      appveyorUtils.parseAppveyorRepoUrl(resolvedUrl, options.repoHosts);
+    if (!avRepo.repositoryType) {
+      options.err.write(`DEBUG: ${resolvedUrl} is not on a known repository `
+        + 'host, so projects are matched by URL.  Use --repo-host to set the '
+        + 'repository type of its host.\n');
+    }
+  }
+
+  return resolvedUrl;
+}
+
 /** Checks and canonicalizes a caller-provided options object so that it
  * contains required information in the expected form then calls the API
  * function.
@@ -182,18 +404,26 @@ function makeClientErrorHandler(msgPrefix) {
  * @param {function(!module:appveyor-status.AppveyorStatusOptions):
  * !Promise<T>} apiFunc Function to call with canonicalized
  * <code>options</code>.
+ * @param {boolean=} defaultRepo Use the working directory as
+ * <code>options.repo</code> if no project is specified.  (default: true)
  * @returns {!Promise<T>} Return value from <code>apiFunc</code>.
  * @throws {Error} If <code>options</code> is invalid, inconsistent, or can not
  * be canonicalized.
  * @private
  */
-function canonicalizeOptions(options, apiFunc) {
+function canonicalizeOptions(options, apiFunc, defaultRepo = true) {
   if (options !== undefined && typeof options !== 'object') {
     throw new TypeError('options must be an object');
   }
 
   if (options) {
-    const projectOpts = ['project', 'repo', 'statusBadgeId', 'webhookId']
+    const projectOpts = [
+      'project',
+      'projects',
+      'repo',
+      'statusBadgeId',
+      'webhookId',
+    ]
       .filter((propName) => options[propName]);
     if (projectOpts.length > 1) {
       throw new Error(`${projectOpts.join(' and ')}`
@@ -203,11 +433,88 @@ function canonicalizeOptions(options, apiFunc) {
 
   options = { ...options };
 
+  const { signal } = options;
+  if (signal !== undefined && signal !== null) {
+    if (typeof signal.aborted !== 'boolean'
+      || typeof signal.addEventListener !== 'function') {
+      throw new TypeError('options.signal must be an AbortSignal');
+    }
+    throwIfAborted(signal);
+  }
+
+  if (options.baseUrl !== undefined && options.baseUrl !== null) {
+    createAppveyorClient.parseBaseUrl(options.baseUrl);
+  }
+
   options.err ||= process.stderr;
   if (!options.err || typeof options.err.write !== 'function') {
     throw new TypeError('options.err must be a stream.Writable');
   }
 
+  if (options.onPoll !== undefined && typeof options.onPoll !== 'function') {
+    throw new TypeError('options.onPoll must be a function');
+  }
+
+  if (options.pollStrategy !== undefined
+    && !retryAsync.WAIT_STRATEGIES.includes(options.pollStrategy)) {
+    throw new RangeError('options.pollStrategy must be one of '
+      + `${retryAsync.WAIT_STRATEGIES.join(', ')}`);
+  }
+
+  const hasMaxPollInterval = options.maxPollInterval !== undefined
+    && options.maxPollInterval !== null;
+  const waitDefaults = retryAsync.DEFAULT_WAIT_OPTIONS;
+  for (const [name, defaultValue] of [
+    ['backoffFactor', waitDefaults.factor],
+    ['maxPollInterval', waitDefaults.maxMs],
+    ['pollInterval', waitDefaults.initialMs],
+  ]) {
+    options[name] ??= defaultValue;
+    if (typeof options[name] !== 'number') {
+      throw new TypeError(`options.${name} must be a number`);
+    }
+    if (!(options[name] > 0)) {
+      throw new RangeError(`options.${name} must be positive`);
+    }
+  }
+  if (options.backoffFactor < 1) {
+    throw new RangeError('options.backoffFactor must be at least 1');
+  }
+  if (options.pollInterval > options.maxPollInterval) {
+    if (hasMaxPollInterval) {
+      throw new RangeError('options.pollInterval must not be greater than '
+        + 'options.maxPollInterval');
+    }
+
+    // Don't reduce pollInterval to the default maxPollInterval
+    options.maxPollInterval = options.pollInterval;
+  }
+
+  if (options.repoHosts !== undefined && options.repoHosts !== null) {
+    if (typeof options.repoHosts !== 'object') {
+      throw new TypeError('options.repoHosts must be an object');
+    }
+    const repoHostEntries = Object.entries(options.repoHosts);
+    for (const [host, type] of repoHostEntries) {
+      if (!appveyorUtils.REPO_HOST_TYPES.includes(type)) {
+        throw new RangeError(`options.repoHosts["${host}"] must be one of `
+          + `${appveyorUtils.REPO_HOST_TYPES.join(', ')}`);
+      }
+    }
+    options.repoHosts = Object.fromEntries(repoHostEntries
+      .map(([host, type]) => [host.toLowerCase(), type]));
+  }
+
+  options.requestRetries ??= retryFetch.DEFAULT_OPTIONS.maxRetries;
+  if (typeof options.requestRetries !== 'number') {
+    throw new TypeError('options.requestRetries must be a number');
+  }
+  if (options.requestRetries < 0
+    || !Number.isSafeInteger(options.requestRetries)) {
+    throw new RangeError('options.requestRetries must be a non-negative '
+      + 'integer');
+  }
+
   options.wait = options.wait === true ? Infinity : Number(options.wait || 0);
   if (Number.isNaN(options.wait)) {
     throw new TypeError('options.wait must be a number');
@@ -227,9 +534,18 @@ function canonicalizeOptions(options, apiFunc) {
   if (options.repo && gitUtils.gitUrlIsLocalNotSsh(options.repo)) {
     gitOptions.cwd = options.repo;
   }
+  if (signal) {
+    gitOptions.signal = signal;
+  }
+  // Save for git commands run by apiFunc, since options.repo is replaced by
+  // the remote URL.
+  options.gitOptions = gitOptions;
 
   // If project, repo, statusBadgeId, & webhookId are unspecified, use work dir
-  if (!options.project
+  // (projects are canonicalized separately by getStatuses)
+  if (defaultRepo
+    && !options.project
+    && !options.projects
     && !options.repo
     && !options.statusBadgeId
     && !options.webhookId) {
@@ -240,11 +556,11 @@ function canonicalizeOptions(options, apiFunc) {
     : options.branch ? Promise.resolve(options.branch)
       : undefined;
 
-  let remoteUrlP;
+  let remoteUrlsP;
   if (options.repo && gitUtils.gitUrlIsLocalNotSsh(options.repo)) {
     // Use user-requested branch with default of current branch
     const branchForRemoteP = branchP || gitUtils.getBranch(gitOptions);
-    remoteUrlP = branchForRemoteP
+    const remoteP = branchForRemoteP
       .then((branch) => gitUtils.getRemote(branch, gitOptions))
       .catch((err) => {
         if (options.verbosity > 0) {
@@ -252,39 +568,35 @@ function canonicalizeOptions(options, apiFunc) {
             + 'DEBUG: Will try to use origin remote.\n');
         }
         return 'origin';
-      })
-      .then((remote) => gitUtils.getRemoteUrl(remote, gitOptions));
+      });
+    remoteUrlsP = options.allRemotes
+      ? Promise.all([remoteP, gitUtils.getRemoteUrls(gitOptions)])
+        .then(([remote, remotes]) => {
+          if (remotes.length === 0) {
+            throw new Error(`No remotes configured in ${options.repo}`);
+          }
+
+          // Prefer the upstream remote of the branch
+          return [
+            ...remotes.filter(({ name }) => name === remote),
+            ...remotes.filter(({ name }) => name !== remote),
+          ].map(({ url }) => url);
+        })
+      : remoteP
+        .then((remote) => gitUtils.getRemoteUrl(remote, gitOptions))
+        .then((remoteUrl) => [remoteUrl]);
   }
 
   let appveyorClientP = options.appveyorClient;
   let newAgent;
   if (!appveyorClientP) {
-    const appveyorClientOptions = {
-      connectionAgent: options.agent,
-      spec: appveyorSwagger,
-    };
-
-    // If unspecified by caller, use an HTTP Agent with keep-alive enabled for
-    // requests to avoid reconnection overhead and reduce latency for multiple
-    // API calls.
-    if (options.agent === undefined || options.agent === null) {
-      newAgent = new https.Agent({ keepAlive: true });
-      appveyorClientOptions.connectionAgent = newAgent;
-    }
-
-    if (options.token) {
-      appveyorClientOptions.authorizations = {
-        apiToken: `Bearer ${options.token}`,
-      };
-    }
-
-    if (options.userFetch !== undefined && options.userFetch !== null) {
-      appveyorClientOptions.userFetch = options.userFetch;
-    }
-
-    // Note: The constructor returns a Promise for the SwaggerClient rather
-    // than the SwaggerClient instance.
-    appveyorClientP = new SwaggerClient(appveyorClientOptions);
+    const client = createAppveyorClient({
+      ...options,
+      now,
+      setTimeout: setTimeoutP,
+    });
+    appveyorClientP = client.appveyorClient;
+    newAgent = client.agent;
   }
 
   let commitP;
@@ -294,21 +606,41 @@ function canonicalizeOptions(options, apiFunc) {
       : gitUtils.resolveCommit(options.commit, gitOptions);
   }
 
+  const repoUrlsP = options.repo
+    ? Promise.resolve(remoteUrlsP || [options.repo])
+      .then((repoUrls) => Promise.all(repoUrls
+        .map((repoUrl) => resolveRepoUrl(repoUrl, options))))
+    : undefined;
+
   let resultP = Promise.all([
     appveyorClientP,
     branchP,
     commitP,
-    remoteUrlP || options.repo,
+    repoUrlsP,
   ])
-    .then(([appveyorClient, branch, commit, repo]) => {
+    .then(([appveyorClient, branch, commit, repoUrls]) => {
       options.appveyorClient = appveyorClient;
       options.branch = branch;
       options.commit = commit;
-      options.repo = repo;
+      options.repo = repoUrls && repoUrls[0];
+      // Repository URLs to match (URLs of every remote, if allRemotes), in
+      // order of preference, for getMatchingProject.
+      options.repoUrls = repoUrls;
 
       return apiFunc(options);
     });
 
+  if (signal) {
+    // Reject with AbortError, rather than errors caused by aborting requests
+    // or by error handling after abort.
+    resultP = resultP.catch((err) => {
+      if (err.name !== 'AbortError') {
+        throwIfAborted(signal);
+      }
+      throw err;
+    });
+  }
+
   if (newAgent) {
     // Avoid holding connections open when caller does not expect it.
     resultP = resultP.finally(() => { newAgent.destroy(); });
@@ -323,6 +655,10 @@ function canonicalizeOptions(options, apiFunc) {
  * @template T
  * @param {function(module:appveyor-status.AppveyorStatusOptions=,
  * function(Error, T=)): Promise<T>} apiFunc API function to wrap.
+ * @param {{defaultRepo: boolean}=} wrapOptions Options for
+ * {@link module:appveyor-status.canonicalizeOptions}.  If
+ * <code>defaultRepo</code> is false, the working directory is not used as
+ * the default repository (for functions which do not query a project).
  * @returns {function(module:appveyor-status.AppveyorStatusOptions=,
  * function(Error, T=)): Promise<T>} Function which calls
  * {@link module:appveyor-status.canonicalizeOptions} with its argument and
@@ -331,7 +667,8 @@ function canonicalizeOptions(options, apiFunc) {
  * a function.
  * @private
  */
-function wrapApiFunc(apiFunc) {
+function wrapApiFunc(apiFunc, wrapOptions) {
+  const defaultRepo = !wrapOptions || wrapOptions.defaultRepo !== false;
   return function apiFunctionWrapper(options, callback) {
     if (!callback && typeof options === 'function') {
       callback = options;
@@ -344,7 +681,7 @@ function wrapApiFunc(apiFunc) {
 
     let resultP;
     try {
-      resultP = canonicalizeOptions(options, apiFunc);
+      resultP = canonicalizeOptions(options, apiFunc, defaultRepo);
     } catch (err) {
       resultP = Promise.reject(err);
     }
@@ -352,6 +689,64 @@ function wrapApiFunc(apiFunc) {
   };
 }
 
+/** Wraps an async generator function exposed as part of the module API with
+ * option canonicalization.
+ *
+ * Unlike {@link wrapApiFunc}, resources created by
+ * {@link canonicalizeOptions} (e.g. the HTTP Agent) are kept until iteration
+ * completes.
+ *
+ * @template T
+ * @param {function(!module:appveyor-status.AppveyorStatusOptions):
+ * !module:globals.AsyncGenerator<T>} apiGenFunc API generator function to
+ * wrap.
+ * @returns {function(module:appveyor-status.AppveyorStatusOptions=):
+ * !module:globals.AsyncGenerator<T>} Async generator function which calls
+ * <code>apiGenFunc</code> with canonicalized options.
+ * @private
+ */
+function wrapApiGenFunc(apiGenFunc) {
+  return async function* apiGeneratorWrapper(options) {
+    // Note: Promise.withResolvers() requires Node.js 22.
+    let resolveOptions;
+    let rejectOptions;
+    // eslint-disable-next-line unicorn/prefer-promise-with-resolvers
+    const canonOptionsP = new Promise((resolve, reject) => {
+      resolveOptions = resolve;
+      rejectOptions = reject;
+    });
+    let finish;
+    // eslint-disable-next-line unicorn/prefer-promise-with-resolvers
+    const finishedP = new Promise((resolve) => { finish = resolve; });
+
+    let resultP;
+    try {
+      resultP = canonicalizeOptions(options, (apiOptions) => {
+        resolveOptions(apiOptions);
+        return finishedP;
+      });
+    } catch (err) {
+      resultP = Promise.reject(err);
+    }
+    // Only rejects if options can not be canonicalized.
+    resultP = resultP.catch(rejectOptions);
+
+    let canonOptions;
+    try {
+      canonOptions = await canonOptionsP;
+      yield* apiGenFunc(canonOptions);
+    } catch (err) {
+      if (canonOptions && err.name !== 'AbortError') {
+        throwIfAborted(canonOptions.signal);
+      }
+      throw err;
+    } finally {
+      finish();
+      await resultP;
+    }
+  };
+}
+
 /** Gets the last build and checks that the commit matches
  * <code>options.commit</code>, ignores <code>options.wait</code>.
  *
@@ -371,9 +766,15 @@ function getLastBuildNoWait(options) {
   let responseP;
   if (options.branch) {
     params.buildBranch = options.branch;
-    responseP = client.apis.Project.getProjectLastBuildBranch(params);
+    responseP = client.apis.Project.getProjectLastBuildBranch(
+      params,
+      { signal: options.signal },
+    );
   } else {
-    responseP = client.apis.Project.getProjectLastBuild(params);
+    responseP = client.apis.Project.getProjectLastBuild(
+      params,
+      { signal: options.signal },
+    );
   }
 
   return responseP
@@ -394,27 +795,38 @@ function shouldRetryForStatus(buildStatus) {
     || buildStatus === 'running';
 }
 
-/** Implements {@link module:appveyor-status.getLastBuild} for options with
- * non-null .project.
+/** Gets options for {@link retryAsync} to poll a ProjectBuild until it
+ * completes or <code>options.wait</code> elapses.
  *
  * @private
  * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
- * object with non-null <code>.project</code>.
- * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Last AppVeyor build for
- * project.
+ * with non-zero <code>.wait</code>.
+ * @returns {!object} Options for {@link retryAsync}.
  */
-function getLastBuildForProject(options) {
-  if (!options.wait) {
-    return getLastBuildNoWait(options);
-  }
-
+function getBuildRetryOptions(options) {
+  // Don't skip polling before the deadline due to a short pollInterval
+  const minWaitMs =
+    Math.min(options.pollInterval, retryAsync.DEFAULT_OPTIONS.minWaitMs);
   const retryOptions = {
     maxTotalMs: options.wait,
     // Pass through injected now+setTimeout for testing
     now,
     setTimeout: setTimeoutP,
-    shouldRetry:
-      (projectBuild) => shouldRetryForStatus(projectBuild.build.status),
+    shouldRetry: (projectBuild) => {
+      const retry = shouldRetryForStatus(projectBuild.build.status);
+      if (retry && options.onPoll) {
+        options.onPoll(projectBuild);
+      }
+      return retry;
+    },
+    minWaitMs,
+    signal: options.signal,
+    waitMs: retryAsync.makeWaitMs(options.pollStrategy || 'exponential', {
+      factor: options.backoffFactor,
+      initialMs: options.pollInterval,
+      maxMs: options.maxPollInterval,
+      minMs: minWaitMs,
+    }),
   };
   if (options.verbosity > 0) {
     retryOptions.setTimeout = (delay, value, opts) => {
@@ -425,10 +837,59 @@ function getLastBuildForProject(options) {
       return setTimeoutP(delay, value, opts);
     };
   }
-  return retryAsync(getLastBuildNoWait, retryOptions, options);
+  return retryOptions;
+}
+
+/** Implements {@link module:appveyor-status.getLastBuild} for options with
+ * non-null .project.
+ *
+ * @private
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * object with non-null <code>.project</code>.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Last AppVeyor build for
+ * project.
+ */
+function getLastBuildForProject(options) {
+  if (!options.wait) {
+    return getLastBuildNoWait(options);
+  }
+
+  return retryAsync(
+    getLastBuildNoWait,
+    getBuildRetryOptions(options),
+    options,
+  );
+}
+
+/** Writes the repository properties of projects with the same repository
+ * name (ignoring case) as a repository which they do not match.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @param {!object} avRepo Repository properties parsed from the repository
+ * URL.
+ * @param {!Array<!appveyorSwagger.Project>} projects Projects which do not
+ * match <code>avRepo</code>.
+ * @private
+ */
+function reportRepoMismatches(options, avRepo, projects) {
+  const repoNameLower = avRepo.repositoryName.toLowerCase();
+  for (const project of projects) {
+    if (String(project.repositoryName).toLowerCase() === repoNameLower) {
+      const projectRepo = Object.fromEntries(Object.keys(avRepo)
+        .map((key) => [key, project[key]]));
+      options.err.write(`DEBUG: Project ${
+        appveyorUtils.projectToString(project)} repository ${
+        JSON.stringify(projectRepo)} does not match ${
+        JSON.stringify(avRepo)}\n`);
+    }
+  }
 }
 
 /** Gets the AppVeyor project which matches the given options.
+ *
+ * If <code>options.repoUrls</code> contains URLs of multiple remotes, a
+ * project matching the first (preferred) remote is returned.  Otherwise, the
+ * project matching any remote is returned.
  *
  * @param {!object} options Options, which must include .repo.
  * @returns {!Promise<!appveyorSwagger.Project>} AppVeyor project with the
@@ -438,24 +899,44 @@ function getLastBuildForProject(options) {
  */
 function getMatchingProject(options) {
   // Parse early to avoid delay on error
-  const avRepo = appveyorUtils.parseAppveyorRepoUrl(options.repo);
-
-  return options.appveyorClient.apis.Project.getProjects()
+  const avRepos = (options.repoUrls || [options.repo])
+    .map((repoUrl) => appveyorUtils.parseAppveyorRepoUrl(
+      repoUrl,
+      options.repoHosts,
+    ));
+  const avReposStr = avRepos.map((avRepo) => JSON.stringify(avRepo))
+    .join(' or ');
+
+  return options.appveyorClient.apis.Project.getProjects(
+    undefined,
+    { signal: options.signal },
+  )
     .catch(makeClientErrorHandler('Unable to get projects: '))
     .then(getResponseJson)
     .then((projects) => {
-      const repoProjects = projects.filter(
+      const remoteProjects = avRepos.map((avRepo) => projects.filter(
         (project) => shallowStrictCommonEqual(avRepo, project),
-      );
+      ));
 
+      // Prefer projects of the first remote.  Projects of other remotes are
+      // only ambiguous if they differ.
+      let [repoProjects] = remoteProjects;
       if (repoProjects.length === 0) {
-        throw new Error('No AppVeyor projects matching '
-          + `${JSON.stringify(avRepo)}`);
+        repoProjects = [...new Set(remoteProjects.flat())];
+      }
+
+      if (repoProjects.length === 0) {
+        if (options.verbosity > 0) {
+          for (const avRepo of avRepos) {
+            reportRepoMismatches(options, avRepo, projects);
+          }
+        }
+        throw new Error(`No AppVeyor projects matching ${avReposStr}`);
       } else if (repoProjects.length > 1) {
         // Callers may want to handle this error specially, so make it usable
         const repoProjectStrs = repoProjects.map(appveyorUtils.projectToString);
         throw new AmbiguousProjectError(
-          `Multiple AppVeyor projects matching ${JSON.stringify(avRepo)}: ${
+          `Multiple AppVeyor projects matching ${avReposStr}: ${
             repoProjectStrs.join(', ')}`,
           repoProjectStrs,
         );
@@ -465,14 +946,213 @@ function getMatchingProject(options) {
     });
 }
 
-/** Implements {@link module:appveyor-status.getLastBuild}.
+/** Number of builds requested in each page of project history.
+ *
+ * Matches the value used by the ci.appveyor.com web interface, which is known
+ * to work (see description of <code>recordsNumber</code> in appveyor-swagger).
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+const HISTORY_PAGE_SIZE = 10;
+
+/** Gets the project for options which may specify a project or repo.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.Project>} AppVeyor project matching
+ * <code>options</code>.
+ * @private
+ */
+function getProjectInternal(options) {
+  if (options.project) {
+    return Promise.resolve(options.project);
+  }
+
+  if (options.repo) {
+    return getMatchingProject(options);
+  }
+
+  return Promise.reject(new Error('project or repo is required'));
+}
+
+/** Gets pages of the build history of a project, most recent first.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @param {!appveyorSwagger.Project} project Project for which to get history.
+ * @yields {!appveyorSwagger.ProjectHistory} Page of build history for
+ * <code>project</code> (and <code>options.branch</code>, if set).
+ * @private
+ */
+async function* getProjectHistoryPages(options, project) {
+  const params = {
+    accountName: project.accountName,
+    projectSlug: project.slug,
+    recordsNumber: HISTORY_PAGE_SIZE,
+  };
+  if (options.branch) {
+    params.branch = options.branch;
+  }
+
+  const client = options.appveyorClient;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const history = await client.apis.Project
+      .getProjectHistory(params, { signal: options.signal })
+      .catch(makeClientErrorHandler('Unable to get project history: '))
+      .then(getResponseJson);
+    yield history;
+
+    const { builds } = history;
+    if (builds.length < HISTORY_PAGE_SIZE) {
+      return;
+    }
+
+    params.startBuildId = builds.at(-1).buildId;
+  }
+}
+
+/** Gets a build of a project by version.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @param {!appveyorSwagger.Project} project Project of the build.
+ * @param {string} buildVersion Version of the build.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} The AppVeyor build
+ * or an error if the build can not be fetched.
+ * @private
+ */
+function getBuildByVersion(options, project, buildVersion) {
+  return options.appveyorClient.apis.Project.getProjectBuildByVersion(
+    {
+      accountName: project.accountName,
+      projectSlug: project.slug,
+      buildVersion,
+    },
+    { signal: options.signal },
+  )
+    .catch(makeClientErrorHandler('Unable to get project build: '))
+    .then(getResponseJson);
+}
+
+/** Maximum number of pages of project history searched for a build of
+ * <code>options.commit</code> when <code>options.commitSearch</code> is set.
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+const COMMIT_SEARCH_MAX_PAGES = 10;
+
+/** Finds the most recent build of <code>options.commit</code> in
+ * <code>project.builds</code> or the project history.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * with non-empty <code>.commit</code>.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Most recent AppVeyor
+ * build of <code>options.commit</code> for project matching
+ * <code>options</code>.
+ * @throws {CommitMismatchError} If no build of <code>options.commit</code>
+ * was found.
+ * @private
+ */
+async function findBuildForCommit(options) {
+  let project = await getProjectInternal(options);
+
+  function isCommitBuild(b) {
+    return b.commitId === options.commit
+      && (!options.branch || b.branch === options.branch);
+  }
+
+  // Builds in project.builds (from getMatchingProject) can avoid a request.
+  let build = project.builds && project.builds.find(isCommitBuild);
+  let lastBuild;
+  let buildCount = 0;
+  if (!build) {
+    let pageCount = 0;
+    for await (const history of getProjectHistoryPages(options, project)) {
+      ({ project } = history);
+      lastBuild ||= history.builds[0];
+      build = history.builds.find(isCommitBuild);
+      buildCount += history.builds.length;
+      pageCount += 1;
+      if (build || pageCount >= COMMIT_SEARCH_MAX_PAGES) {
+        break;
+      }
+    }
+  }
+
+  if (!build) {
+    const err = new CommitMismatchError({
+      actual: lastBuild && lastBuild.commitId,
+      expected: options.commit,
+      message:
+        `No build of commit ${options.commit} in last ${buildCount} builds`,
+    });
+    err.build = lastBuild;
+    err.project = project;
+    throw err;
+  }
+
+  if (options.wait && shouldRetryForStatus(build.status)) {
+    return retryAsync(
+      getBuildByVersion,
+      getBuildRetryOptions(options),
+      options,
+      project,
+      build.version,
+    );
+  }
+
+  return {
+    project,
+    build,
+  };
+}
+
+/** Gets the number of commits by which a build commit is ahead of
+ * <code>options.commit</code>, if it is a descendant.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * with non-empty <code>.commit</code>.
+ * @param {string} buildCommit Hash of the commit which was built.
+ * @returns {!Promise<number|undefined>} Number of commits in
+ * <code>buildCommit</code> which are not in <code>options.commit</code>, or
+ * <code>undefined</code> if <code>buildCommit</code> does not descend from
+ * <code>options.commit</code> or ancestry can not be determined (e.g. if
+ * <code>buildCommit</code> has not been fetched).
+ * @private
+ */
+async function getCommitsAhead(options, buildCommit) {
+  const { commit, gitOptions } = options;
+  try {
+    if (!await gitUtils.isAncestor(commit, buildCommit, gitOptions)) {
+      return undefined;
+    }
+
+    return await gitUtils.countCommits(commit, buildCommit, gitOptions);
+  } catch (err) {
+    throwIfAborted(options.signal);
+    if (options.verbosity > 0) {
+      options.err.write(`DEBUG: Unable to check ancestry of ${buildCommit}: ${
+        err.message}\n`);
+    }
+    return undefined;
+  }
+}
+
+/** Gets the last AppVeyor build matching <code>options</code>, without
+ * waiting for a build of <code>options.commit</code> to be queued.
  *
  * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
  * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Last AppVeyor build for
  * project matching <code>options</code>.
  * @private
  */
-async function getLastBuildInternal(options) {
+async function getLastBuildMatching(options) {
+  if (options.commit && options.commitSearch) {
+    return findBuildForCommit(options);
+  }
+
   let lastBuild;
   if (options.project) {
     lastBuild = await getLastBuildForProject(options);
@@ -491,12 +1171,15 @@ async function getLastBuildInternal(options) {
     } else {
       // If build from project requires waiting, wait before first retry.
       if (build) {
-        const delay = retryAsync.DEFAULT_OPTIONS.minWaitMs;
+        if (options.onPoll) {
+          options.onPoll({ project, build });
+        }
+        const delay = options.pollInterval;
         options.err.write(
           `DEBUG: AppVeyor build ${build.status}.  Waiting ${
             delay / 1000} seconds before retrying...\n`,
         );
-        await setTimeoutP(delay);
+        await setTimeoutP(delay, undefined, { signal: options.signal });
       }
 
       lastBuild = await getLastBuildForProject({
@@ -509,6 +1192,20 @@ async function getLastBuildInternal(options) {
   }
 
   if (options.commit && lastBuild.build.commitId !== options.commit) {
+    // Note: commitId may be missing (e.g. for builds started from the API
+    // without a commit), in which case the ancestry can not be checked.
+    const aheadBy = options.commitOrDescendant && lastBuild.build.commitId
+      ? await getCommitsAhead(options, lastBuild.build.commitId)
+      : undefined;
+    if (aheadBy !== undefined) {
+      if (!(options.verbosity < 0)) {
+        options.err.write(`Build commit ${lastBuild.build.commitId} is ${
+          aheadBy} commit${aheadBy === 1 ? '' : 's'} ahead of ${
+          options.commit}.\n`);
+      }
+      return lastBuild;
+    }
+
     const err = new CommitMismatchError({
       actual: lastBuild.build.commitId,
       expected: options.commit,
@@ -521,26 +1218,280 @@ async function getLastBuildInternal(options) {
   return lastBuild;
 }
 
-/** Gets the last AppVeyor build for a repo/branch.
- *
- * Errors include {@link module:appveyor-status.AmbiguousProjectError} if an
- * AppVeyor project was not uniquely matched by <code>options</code> and
- * {@link module:appveyor-status.CommitMismatchError} if
- * <code>commitId</code> in the last build did not match the hash of
- * <code>options.commit</code>.
+/** Polls until a build of <code>options.commit</code> is found, then waits
+ * for it to complete, within <code>options.wait</code>.
  *
- * @function
- * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
- * @param {?function(Error, object=)=} callback Callback function called
- * with the last build from the AppVeyor API, or an <code>Error</code> if it
- * could not be retrieved.
- * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
- * <code>callback</code> is not given, a <code>Promise</code> with the current
- * build information from the AppVeyor API, or <code>Error</code> if it could
- * not be retrieved.  Otherwise <code>undefined</code>.
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * with non-empty <code>.commit</code> and non-zero <code>.wait</code>.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} AppVeyor build of
+ * <code>options.commit</code> for project matching <code>options</code>.
+ * @throws {CommitMismatchError} If no build of <code>options.commit</code>
+ * was found before <code>options.wait</code> elapsed.
+ * @private
+ */
+async function waitForCommitBuild(options) {
+  const deadline = now() + options.wait;
+  const noWaitOptions = { ...options, wait: 0 };
+  let mismatchErr;
+  async function getCommitBuild() {
+    try {
+      return await getLastBuildMatching(noWaitOptions);
+    } catch (err) {
+      if (err.name !== 'CommitMismatchError') {
+        throw err;
+      }
+
+      mismatchErr = err;
+      return undefined;
+    }
+  }
+
+  const commitRetryOptions = {
+    ...getBuildRetryOptions(options),
+    shouldRetry: (projectBuild) => !projectBuild,
+  };
+  if (options.verbosity > 0) {
+    commitRetryOptions.setTimeout = (delay, value, opts) => {
+      options.err.write(
+        `DEBUG: No build of commit ${options.commit} yet.  `
+        + `Waiting ${delay / 1000} seconds before retrying...\n`,
+      );
+      return setTimeoutP(delay, value, opts);
+    };
+  }
+
+  const commitBuild = await retryAsync(getCommitBuild, commitRetryOptions);
+  if (!commitBuild) {
+    throw mismatchErr;
+  }
+
+  // Wait for the build of the commit, even if a newer build has started.
+  const remainingMs = deadline - now();
+  if (remainingMs > 0 && shouldRetryForStatus(commitBuild.build.status)) {
+    return retryAsync(
+      getBuildByVersion,
+      getBuildRetryOptions({ ...options, wait: remainingMs }),
+      options,
+      commitBuild.project,
+      commitBuild.build.version,
+    );
+  }
+
+  return commitBuild;
+}
+
+/** Implements {@link module:appveyor-status.getLastBuild}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Last AppVeyor build for
+ * project matching <code>options</code>.
+ * @private
+ */
+function getLastBuildInternal(options) {
+  return options.commit && options.waitForCommit && options.wait
+    ? waitForCommitBuild(options)
+    : getLastBuildMatching(options);
+}
+
+/** Gets the last AppVeyor build for a repo/branch.
+ *
+ * Errors include {@link module:appveyor-status.AmbiguousProjectError} if an
+ * AppVeyor project was not uniquely matched by <code>options</code> and
+ * {@link module:appveyor-status.CommitMismatchError} if
+ * <code>commitId</code> in the last build did not match the hash of
+ * <code>options.commit</code>.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the last build from the AppVeyor API, or an <code>Error</code> if it
+ * could not be retrieved.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the current
+ * build information from the AppVeyor API, or <code>Error</code> if it could
+ * not be retrieved.  Otherwise <code>undefined</code>.
  */
 exports.getLastBuild = wrapApiFunc(getLastBuildInternal);
 
+/** Implements {@link module:appveyor-status.getLastBuildWithJobs}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Last AppVeyor build for
+ * project matching <code>options</code>, including jobs.
+ * @private
+ */
+async function getLastBuildWithJobsInternal(options) {
+  const projectBuild = await getLastBuildInternal(options);
+
+  // Builds in project.builds from getProjects do not include jobs.
+  const { build, project } = projectBuild;
+  if (!build.jobs || build.jobs.length === 0) {
+    return getBuildByVersion(options, project, build.version);
+  }
+
+  return projectBuild;
+}
+
+/** Gets the last AppVeyor build for a repo/branch, with
+ * <code>build.jobs</code> populated.
+ *
+ * Unlike {@link module:appveyor-status.getLastBuild}, if the last build was
+ * found in <code>project.builds</code> (which do not include jobs), the build
+ * is fetched by version to get its jobs.
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the last build from the AppVeyor API, or an <code>Error</code> if it
+ * could not be retrieved.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the last
+ * build, including jobs, from the AppVeyor API, or <code>Error</code> if it
+ * could not be retrieved.  Otherwise <code>undefined</code>.
+ */
+exports.getLastBuildWithJobs = wrapApiFunc(getLastBuildWithJobsInternal);
+
+/** Implements {@link module:appveyor-status.getJobs}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!Array<!appveyorSwagger.BuildJob>>} Jobs of the last
+ * AppVeyor build for project matching <code>options</code>.
+ * @private
+ */
+async function getJobsInternal(options) {
+  const projectBuild = await getLastBuildWithJobsInternal(options);
+  return projectBuild.build.jobs;
+}
+
+/** Gets the jobs of the last AppVeyor build for a repo/branch.
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, Array<object>=)=} callback Callback function
+ * called with the jobs of the last build from the AppVeyor API, or an
+ * <code>Error</code> if they could not be retrieved.
+ * @returns {!Promise<!Array<!appveyorSwagger.BuildJob>>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the jobs of
+ * the last build from the AppVeyor API, or <code>Error</code> if they could
+ * not be retrieved.  Otherwise <code>undefined</code>.
+ */
+exports.getJobs = wrapApiFunc(getJobsInternal);
+
+/** Selects a job from a build by name or ID.
+ *
+ * @param {!Array<!appveyorSwagger.BuildJob>} jobs Jobs from which to select.
+ * @param {string=} jobName Name or ID of job to select.  If not given, the
+ * first failed job is selected, or the first job if none failed.
+ * @returns {!appveyorSwagger.BuildJob} Selected job.
+ * @throws {Error} If no job matches <code>jobName</code>.
+ * @private
+ */
+function selectJob(jobs, jobName) {
+  let job;
+  if (jobName) {
+    job = jobs.find((j) => j.jobId === jobName || j.name === jobName);
+  } else {
+    job = jobs.find((j) => j.status === 'failed') || jobs[0];
+  }
+
+  if (!job) {
+    throw new Error(`No job matching "${jobName || '(any)'}" in build.  `
+      + `Jobs: ${jobs.map((j) => j.name).join(', ') || '(none)'}`);
+  }
+
+  return job;
+}
+
+/** Gets the console log of a build job.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @param {string} jobId ID of job for which to get the log.
+ * @returns {!Promise<string>} Console log of the job.
+ * @private
+ */
+function getBuildJobLog(options, jobId) {
+  return options.appveyorClient.apis.Build
+    .getBuildLog({ jobId }, { signal: options.signal })
+    .catch(makeClientErrorHandler('Unable to get build job log: '))
+    .then(getResponseText);
+}
+
+/** Implements {@link module:appveyor-status.getJobLog}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<string>} Console log of the job.
+ * @private
+ */
+async function getJobLogInternal(options) {
+  // Get build without waiting, so the log can be followed while waiting.
+  const { project, build } =
+    await getLastBuildWithJobsInternal({ ...options, wait: 0 });
+  const job = selectJob(build.jobs, options.job);
+
+  let log = '';
+  function writeNewLog(newLog) {
+    if (options.out && newLog.length > log.length) {
+      options.out.write(newLog.slice(log.length));
+    }
+    log = newLog;
+  }
+
+  if (!options.wait || !shouldRetryForStatus(job.status)) {
+    writeNewLog(await getBuildJobLog(options, job.jobId));
+    return log;
+  }
+
+  async function pollJobLog() {
+    const projectBuild =
+      await getBuildByVersion(options, project, build.version);
+    const polledJob =
+      projectBuild.build.jobs.find((j) => j.jobId === job.jobId) || job;
+    if (polledJob.status !== 'queued') {
+      writeNewLog(await getBuildJobLog(options, job.jobId));
+    }
+    return polledJob;
+  }
+
+  await retryAsync(pollJobLog, {
+    maxTotalMs: options.wait,
+    // Pass through injected now+setTimeout for testing
+    now,
+    setTimeout: setTimeoutP,
+    shouldRetry: (polledJob) => shouldRetryForStatus(polledJob.status),
+    signal: options.signal,
+    // Poll at a constant rate to keep followed log output responsive.
+    waitMs: options.pollInterval,
+  });
+  return log;
+}
+
+/** Gets the console log of a job in the last AppVeyor build for a
+ * repo/branch.
+ *
+ * If {@link module:appveyor-status.AppveyorStatusOptions.wait} is set and
+ * the job has not finished, the log is polled until the job finishes or the
+ * wait time elapses.  If
+ * {@link module:appveyor-status.AppveyorStatusOptions.out} is set, the log is
+ * written to it incrementally as it is received.
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, string=)=} callback Callback function called
+ * with the job console log from the AppVeyor API, or an <code>Error</code>
+ * if it could not be retrieved.
+ * @returns {!Promise<string>|undefined} If <code>callback</code> is not given,
+ * a <code>Promise</code> with the job console log from the AppVeyor API, or
+ * <code>Error</code> if it could not be retrieved.  Otherwise
+ * <code>undefined</code>.
+ */
+exports.getJobLog = wrapApiFunc(getJobLogInternal);
+
 /** Implements {@link module:appveyor-status.getStatusBadge}.
  *
  * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
@@ -570,16 +1521,25 @@ function getStatusBadgeInternal(options) {
 
     if (options.branch) {
       params.buildBranch = options.branch;
-      responseP = client.apis.Project.getProjectBranchStatusBadge(params);
+      responseP = client.apis.Project.getProjectBranchStatusBadge(
+        params,
+        { signal: options.signal },
+      );
     } else {
-      responseP = client.apis.Project.getProjectStatusBadge(params);
+      responseP = client.apis.Project.getProjectStatusBadge(
+        params,
+        { signal: options.signal },
+      );
     }
   } else {
     Object.assign(params, appveyorUtils.repoUrlToBadgeParams(options.repo));
     if (options.branch) {
       params.branch = options.branch;
     }
-    responseP = client.apis.Project.getPublicProjectStatusBadge(params);
+    responseP = client.apis.Project.getPublicProjectStatusBadge(
+      params,
+      { signal: options.signal },
+    );
   }
 
   return responseP
@@ -642,3 +1602,910 @@ function getStatusInternal(options) {
  * <code>undefined</code>.
  */
 exports.getStatus = wrapApiFunc(getStatusInternal);
+
+/** Default maximum number of projects queried at once by
+ * {@link module:appveyor-status.getStatuses}.
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+const STATUSES_CONCURRENCY = 4;
+
+/** Status of a project, as returned by
+ * {@link module:appveyor-status.getStatuses}.
+ *
+ * @static
+ * @typedef {{
+ *   project: string,
+ *   branch: string|undefined,
+ *   status: string|undefined,
+ *   error: Error|undefined
+ * }} ProjectStatus
+ * @property {string} project AppVeyor project (as $user/$proj).
+ * @property {string=} branch Branch which was queried, if any.
+ * @property {string=} status Current build status, if it was retrieved.
+ * @property {Error=} error Error which prevented getting the status, if any.
+ */
+// var ProjectStatus;
+
+/** Implements {@link module:appveyor-status.getStatuses}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!Array<!module:appveyor-status.ProjectStatus>>} Status
+ * of each project in <code>options.projects</code>, in the same order.
+ * @private
+ */
+async function getStatusesInternal(options) {
+  const {
+    concurrency = STATUSES_CONCURRENCY,
+    projects,
+    ...commonOptions
+  } = options;
+  if (!Array.isArray(projects)) {
+    throw new TypeError('options.projects must be an Array');
+  }
+  if (!Number.isSafeInteger(concurrency) || concurrency < 1) {
+    throw new RangeError('options.concurrency must be a positive integer');
+  }
+
+  const queries = projects.map((entry) => {
+    const { branch = options.branch, project } =
+      typeof entry === 'string' ? { project: entry } : entry || {};
+    if (!project) {
+      throw new TypeError('options.projects must contain project names or '
+        + 'objects with a project property');
+    }
+    return { branch, project };
+  });
+
+  const results = [];
+  let nextIndex = 0;
+  async function queryProjects() {
+    /* eslint-disable no-await-in-loop */
+    while (nextIndex < queries.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const { branch, project } = queries[index];
+      const result = {
+        project: typeof project === 'string' ? project
+          : `${project.accountName}/${project.slug}`,
+        branch: branch || undefined,
+      };
+      try {
+        // Canonicalize options for each project, sharing the client and agent
+        result.status = await exports.getStatus({
+          ...commonOptions,
+          branch,
+          project,
+        });
+      } catch (err) {
+        result.error = err;
+      }
+      results[index] = result;
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+
+  const workerCount = Math.min(concurrency, queries.length);
+  await Promise.all(Array.from({ length: workerCount }, queryProjects));
+  throwIfAborted(options.signal);
+  return results;
+}
+
+/** Gets the current AppVeyor status of multiple projects.
+ *
+ * Up to <code>options.concurrency</code> projects are queried at once, using
+ * a single AppVeyor API client (and HTTP Agent).  Errors for individual
+ * projects are returned in the corresponding
+ * {@link module:appveyor-status.ProjectStatus} rather than rejecting.
+ *
+ * @function
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options,
+ * including <code>projects</code>.
+ * @param {?function(Error,
+ * Array<!module:appveyor-status.ProjectStatus>=)=} callback Callback function
+ * called with the status of each project, or an <code>Error</code> if
+ * <code>options</code> are invalid.
+ * @returns {!Promise<!Array<!module:appveyor-status.ProjectStatus>>|undefined}
+ * If <code>callback</code> is not given, a <code>Promise</code> with the
+ * status of each project in <code>options.projects</code>, in the same order.
+ * Otherwise <code>undefined</code>.
+ */
+exports.getStatuses = wrapApiFunc(getStatusesInternal);
+
+/** Latest build of a branch, as returned by
+ * {@link module:appveyor-status.getAccountStatus}.
+ *
+ * @static
+ * @typedef {{
+ *   branch: string,
+ *   status: string,
+ *   version: string,
+ *   created: string
+ * }} BranchStatus
+ * @property {string} branch Name of the branch.
+ * @property {string} status Status of the latest build of the branch.
+ * @property {string} version Version of the latest build of the branch.
+ * @property {string} created Creation time of the latest build of the branch
+ * (as an ISO 8601 string).
+ */
+// var BranchStatus;
+
+/** Status of a project in an account, as returned by
+ * {@link module:appveyor-status.getAccountStatus}.
+ *
+ * @static
+ * @typedef {{
+ *   project: string,
+ *   name: string,
+ *   repositoryType: string,
+ *   repositoryName: string,
+ *   branches: !Array<!module:appveyor-status.BranchStatus>
+ * }} AccountProjectStatus
+ * @property {string} project AppVeyor project (as $user/$proj).
+ * @property {string} name Name of the project.
+ * @property {string} repositoryType Type of the project repository (e.g.
+ * <code>gitHub</code>).
+ * @property {string} repositoryName Name of the project repository.
+ * @property {!Array<!module:appveyor-status.BranchStatus>} branches Latest
+ * build of each branch with recent builds, most recent first.
+ */
+// var AccountProjectStatus;
+
+/** Implements {@link module:appveyor-status.getAccountStatus}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!Array<!module:appveyor-status.AccountProjectStatus>>}
+ * Status of each project in the account which matches <code>options</code>.
+ * @private
+ */
+async function getAccountStatusInternal(options) {
+  // Parse early to avoid delay on error
+  const patternRE = options.projectPattern
+    ? globToRegExp(options.projectPattern, 'i')
+    : undefined;
+  const repositoryType = options.repositoryType
+    ? options.repositoryType.toLowerCase()
+    : undefined;
+  const statuses = options.status ? [options.status].flat() : undefined;
+
+  const projects = await options.appveyorClient.apis.Project.getProjects(
+    undefined,
+    { signal: options.signal },
+  )
+    .catch(makeClientErrorHandler('Unable to get projects: '))
+    .then(getResponseJson);
+
+  function matchesProject(project) {
+    if (patternRE
+      && !patternRE.test(project.slug)
+      && !patternRE.test(project.name)) {
+      return false;
+    }
+
+    return !repositoryType
+      || String(project.repositoryType).toLowerCase() === repositoryType;
+  }
+
+  function matchesBuild(build) {
+    return (!options.branch || build.branch === options.branch)
+      && (!statuses || statuses.includes(build.status));
+  }
+
+  const results = [];
+  const matchingProjects = projects.filter(matchesProject);
+  for (const project of matchingProjects) {
+    // Latest build of each branch
+    const branchBuilds = new Map();
+    const builds = project.builds || [];
+    for (const build of builds) {
+      const prevBuild = branchBuilds.get(build.branch);
+      if (!prevBuild
+        || Date.parse(build.created) > Date.parse(prevBuild.created)) {
+        branchBuilds.set(build.branch, build);
+      }
+    }
+
+    const branches = [...branchBuilds.values()]
+      .filter(matchesBuild)
+      .toSorted((build1, build2) => Date.parse(build2.created)
+        - Date.parse(build1.created))
+      .map((build) => ({
+        branch: build.branch,
+        status: build.status,
+        version: build.version,
+        created: build.created,
+      }));
+
+    // Omit projects without builds matching the branch or status filter
+    if (branches.length > 0 || (!statuses && !options.branch)) {
+      results.push({
+        project: appveyorUtils.projectToString(project),
+        name: project.name,
+        repositoryType: project.repositoryType,
+        repositoryName: project.repositoryName,
+        branches,
+      });
+    }
+  }
+
+  return results;
+}
+
+/** Gets the latest build status of each branch of each project in the
+ * account of the API token.
+ *
+ * Projects can be filtered by <code>options.projectPattern</code> (a glob
+ * matched case-insensitively against the project slug or name),
+ * <code>options.repositoryType</code>, <code>options.branch</code>, and
+ * <code>options.status</code>.  Projects are included only if they have a
+ * matching branch when filtered by branch or status.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error,
+ * Array<!module:appveyor-status.AccountProjectStatus>=)=} callback Callback
+ * function called with the status of each project, or an
+ * <code>Error</code> if it could not be retrieved.
+ * @returns {!Promise<!Array<!module:appveyor-status.AccountProjectStatus>>|
+ * undefined} If <code>callback</code> is not given, a <code>Promise</code>
+ * with the status of each project.  Otherwise <code>undefined</code>.
+ */
+exports.getAccountStatus =
+  wrapApiFunc(getAccountStatusInternal, { defaultRepo: false });
+
+/** Information about a build artifact, as returned by
+ * {@link module:appveyor-status.listArtifacts}.
+ *
+ * @static
+ * @typedef {{
+ *   fileName: string,
+ *   jobId: string,
+ *   jobName: string,
+ *   name: string,
+ *   size: number,
+ *   type: string
+ * }} ArtifactInfo
+ * @property {string} fileName File name (or path) of the artifact.
+ * @property {string} jobId ID of the job which produced the artifact.
+ * @property {string} jobName Name of the job which produced the artifact.
+ * @property {string} name Deployment name of the artifact.
+ * @property {number} size Size of the artifact, in bytes.
+ * @property {string} type Type of the artifact (e.g. <code>File</code>).
+ */
+// var ArtifactInfo;
+
+/** Implements {@link module:appveyor-status.listArtifacts}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!Array<!module:appveyor-status.ArtifactInfo>>}
+ * Artifacts of the last AppVeyor build for project matching
+ * <code>options</code>.
+ * @private
+ */
+async function listArtifactsInternal(options) {
+  // Parse early to avoid delay on error
+  const patternRE = options.artifactPattern
+    ? globToRegExp(options.artifactPattern)
+    : undefined;
+
+  let jobs = await getJobsInternal(options);
+  if (options.job) {
+    jobs = [selectJob(jobs, options.job)];
+  }
+
+  const client = options.appveyorClient;
+  const jobArtifacts = await Promise.all(jobs.map(
+    (job) => client.apis.Build.getBuildArtifacts(
+      { jobId: job.jobId },
+      { signal: options.signal },
+    )
+      .catch(makeClientErrorHandler('Unable to get build artifacts: '))
+      .then(getResponseJson)
+      .then((jobArtifactList) => jobArtifactList.map((artifact) => ({
+        fileName: artifact.fileName,
+        jobId: job.jobId,
+        jobName: job.name,
+        name: artifact.name,
+        size: artifact.size,
+        type: artifact.type,
+      }))),
+  ));
+
+  const artifacts = jobArtifacts.flat();
+  return patternRE
+    ? artifacts.filter((artifact) => patternRE.test(artifact.name)
+      || patternRE.test(artifact.fileName))
+    : artifacts;
+}
+
+/** Lists the artifacts of the last AppVeyor build for a repo/branch.
+ *
+ * If {@link module:appveyor-status.AppveyorStatusOptions.job} is set, only
+ * artifacts of the named job are listed.  If
+ * {@link module:appveyor-status.AppveyorStatusOptions.artifactPattern} is
+ * set, only matching artifacts are listed.
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, Array<object>=)=} callback Callback function
+ * called with the artifacts of the last build from the AppVeyor API, or an
+ * <code>Error</code> if they could not be retrieved.
+ * @returns {!Promise<!Array<!module:appveyor-status.ArtifactInfo>>|undefined}
+ * If <code>callback</code> is not given, a <code>Promise</code> with the
+ * artifacts of the last build from the AppVeyor API, or <code>Error</code> if
+ * they could not be retrieved.  Otherwise <code>undefined</code>.
+ */
+exports.listArtifacts = wrapApiFunc(listArtifactsInternal);
+
+/** Implements {@link module:appveyor-status.downloadArtifacts}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!Array<string>>} Paths of saved artifacts.
+ * @private
+ */
+async function downloadArtifactsInternal(options) {
+  const directory = path.resolve(options.directory || '.');
+  const artifacts = await listArtifactsInternal(options);
+
+  // Check all paths before downloading to avoid partial results on error.
+  const artifactPaths = new Map();
+  for (const artifact of artifacts) {
+    const artifactPath = path.resolve(directory, artifact.fileName);
+    // Note: Compare relative path, since directory may be a root, which ends
+    // with a separator.
+    const relPath = path.relative(directory, artifactPath);
+    if (relPath === ''
+      || relPath === '..'
+      || relPath.startsWith(`..${path.sep}`)
+      || path.isAbsolute(relPath)) {
+      throw new Error(`Artifact ${artifact.fileName} is outside of ${
+        directory}`);
+    }
+
+    const otherArtifact = artifactPaths.get(artifactPath);
+    if (otherArtifact) {
+      throw new Error(`Artifact ${artifact.fileName} produced by jobs ${
+        otherArtifact.jobName} and ${artifact.jobName}.  `
+        + 'Select a job to download.');
+    }
+
+    artifactPaths.set(artifactPath, artifact);
+  }
+
+  const client = options.appveyorClient;
+  const savedPaths = [];
+  for (const [artifactPath, artifact] of artifactPaths) {
+    /* eslint-disable no-await-in-loop */
+    // Download sequentially to avoid holding many artifacts in memory.
+    const data = await client.apis.Build.getBuildArtifact(
+      {
+        jobId: artifact.jobId,
+        artifactFileName: artifact.fileName,
+      },
+      { signal: options.signal },
+    )
+      .catch(makeClientErrorHandler(
+        `Unable to download artifact ${artifact.fileName}: `,
+      ))
+      .then(getResponseBuffer);
+    await mkdir(path.dirname(artifactPath), { recursive: true });
+    await writeFile(artifactPath, data, { signal: options.signal });
+    /* eslint-enable no-await-in-loop */
+    savedPaths.push(artifactPath);
+
+    if (options.verbosity > 0) {
+      options.err.write(`DEBUG: Saved artifact ${artifactPath}\n`);
+    }
+  }
+
+  return savedPaths;
+}
+
+/** Downloads the artifacts of the last AppVeyor build for a repo/branch.
+ *
+ * Artifacts are selected as for {@link module:appveyor-status.listArtifacts}
+ * and saved to
+ * {@link module:appveyor-status.AppveyorStatusOptions.directory} using their
+ * file name (which may include subdirectories).
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, Array<string>=)=} callback Callback function
+ * called with the paths of the saved artifacts, or an <code>Error</code> if
+ * they could not be saved.
+ * @returns {!Promise<!Array<string>>|undefined} If <code>callback</code> is
+ * not given, a <code>Promise</code> with the paths of the saved artifacts,
+ * or <code>Error</code> if they could not be saved.  Otherwise
+ * <code>undefined</code>.
+ */
+exports.downloadArtifacts = wrapApiFunc(downloadArtifactsInternal);
+
+/** Parses a date option into milliseconds since the epoch.
+ *
+ * @param {(Date|number|string)=} value Option value.
+ * @param {string} name Name of the option (for error messages).
+ * @returns {number|undefined} Milliseconds since the epoch, or
+ * <code>undefined</code> if <code>value</code> is not set.
+ * @throws {RangeError} If <code>value</code> is not a valid date.
+ * @private
+ */
+function parseDateOption(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new RangeError(`options.${name} must be a valid date`);
+  }
+  return time;
+}
+
+/** Implements {@link module:appveyor-status.getBuildHistory}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectHistory>} Builds of the project
+ * matching <code>options</code>, most recent first.
+ * @private
+ */
+async function getBuildHistoryInternal(options) {
+  // Parse early to avoid delay on error
+  const since = parseDateOption(options.since, 'since');
+  const until = parseDateOption(options.until, 'until');
+  const limit = options.limit === undefined ? 10 : Number(options.limit);
+  if (Number.isNaN(limit) || limit < 0) {
+    throw new RangeError('options.limit must be a non-negative number');
+  }
+  const statuses = options.status ? [options.status].flat() : undefined;
+  const author = options.author ? options.author.toLowerCase() : undefined;
+
+  function matchesBuild(build) {
+    const created = Date.parse(build.created);
+    return (until === undefined || created <= until)
+      && (!statuses || statuses.includes(build.status))
+      && (!author
+        || String(build.authorName).toLowerCase() === author
+        || String(build.authorUsername).toLowerCase() === author);
+  }
+
+  let project = await getProjectInternal(options);
+  const builds = [];
+  if (limit === 0) {
+    return { project, builds };
+  }
+
+  for await (const history of getProjectHistoryPages(options, project)) {
+    ({ project } = history);
+    for (const build of history.builds) {
+      // History is ordered from newest to oldest.  Stop at first older build.
+      if (since !== undefined && Date.parse(build.created) < since) {
+        return { project, builds };
+      }
+
+      if (matchesBuild(build)) {
+        builds.push(build);
+        if (builds.length >= limit) {
+          return { project, builds };
+        }
+      }
+    }
+  }
+
+  return { project, builds };
+}
+
+/** Gets the build history of an AppVeyor project, most recent first.
+ *
+ * Builds are filtered by
+ * {@link module:appveyor-status.AppveyorStatusOptions.branch},
+ * {@link module:appveyor-status.AppveyorStatusOptions.status},
+ * {@link module:appveyor-status.AppveyorStatusOptions.author},
+ * {@link module:appveyor-status.AppveyorStatusOptions.since}, and
+ * {@link module:appveyor-status.AppveyorStatusOptions.until} (when set).
+ * History is requested one page at a time until
+ * {@link module:appveyor-status.AppveyorStatusOptions.limit} builds match or
+ * there are no more builds in the requested date range.
+ *
+ * Note: Builds in the history do not include jobs.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the project and matching builds from the AppVeyor API, or an
+ * <code>Error</code> if they could not be retrieved.
+ * @returns {!Promise<!appveyorSwagger.ProjectHistory>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the project
+ * and matching builds from the AppVeyor API, or <code>Error</code> if they
+ * could not be retrieved.  Otherwise <code>undefined</code>.
+ */
+exports.getBuildHistory = wrapApiFunc(getBuildHistoryInternal);
+
+/** Waits for a build to complete if <code>options.wait</code> is set.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @param {!appveyorSwagger.ProjectBuild} projectBuild Build to wait for.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Most recent state of
+ * the build.
+ * @private
+ */
+function waitForBuild(options, projectBuild) {
+  const { build, project } = projectBuild;
+  if (!options.wait || !shouldRetryForStatus(build.status)) {
+    return Promise.resolve(projectBuild);
+  }
+
+  return retryAsync(
+    getBuildByVersion,
+    getBuildRetryOptions(options),
+    options,
+    project,
+    build.version,
+  );
+}
+
+/** Implements {@link module:appveyor-status.startBuild}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Started AppVeyor build.
+ * @private
+ */
+async function startBuildInternal(options) {
+  const project = await getProjectInternal(options);
+  const body = {
+    accountName: project.accountName,
+    projectSlug: project.slug,
+  };
+  if (options.branch) {
+    body.branch = options.branch;
+  }
+  if (options.commit) {
+    body.commitId = options.commit;
+  }
+
+  const build = await options.appveyorClient.apis.Build
+    .startBuild({ body }, { signal: options.signal })
+    .catch(makeClientErrorHandler('Unable to start build: '))
+    .then(getResponseJson);
+  return waitForBuild(options, { project, build });
+}
+
+/** Starts a new AppVeyor build of a project.
+ *
+ * The build is for {@link module:appveyor-status.AppveyorStatusOptions.branch}
+ * and {@link module:appveyor-status.AppveyorStatusOptions.commit}, if set
+ * (otherwise the most recent commit on the default branch).  If
+ * {@link module:appveyor-status.AppveyorStatusOptions.wait} is set, waits for
+ * the build to complete.
+ *
+ * Requires {@link module:appveyor-status.AppveyorStatusOptions.token}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the started build from the AppVeyor API, or an <code>Error</code> if
+ * it could not be started.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the
+ * started build from the AppVeyor API, or <code>Error</code> if it could not
+ * be started.  Otherwise <code>undefined</code>.
+ */
+exports.startBuild = wrapApiFunc(startBuildInternal);
+
+/** Implements {@link module:appveyor-status.rerunBuild}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Re-run AppVeyor build.
+ * @private
+ */
+async function rerunBuildInternal(options) {
+  const { build: lastBuild, project } =
+    await getLastBuildInternal({ ...options, wait: 0 });
+  const body = {
+    buildId: lastBuild.buildId,
+    reRunIncomplete: Boolean(options.rerunIncomplete),
+  };
+  const build = await options.appveyorClient.apis.Build
+    .reRunBuild({ body }, { signal: options.signal })
+    .catch(makeClientErrorHandler('Unable to re-run build: '))
+    .then(getResponseJson);
+  return waitForBuild(options, { project, build });
+}
+
+/** Re-runs the last AppVeyor build for a repo/branch.
+ *
+ * If {@link module:appveyor-status.AppveyorStatusOptions.rerunIncomplete} is
+ * set, only failed or cancelled jobs are re-run.  If
+ * {@link module:appveyor-status.AppveyorStatusOptions.wait} is set, waits for
+ * the build to complete.
+ *
+ * Requires {@link module:appveyor-status.AppveyorStatusOptions.token}.
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the re-run build from the AppVeyor API, or an <code>Error</code> if
+ * it could not be re-run.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the re-run
+ * build from the AppVeyor API, or <code>Error</code> if it could not be
+ * re-run.  Otherwise <code>undefined</code>.
+ */
+exports.rerunBuild = wrapApiFunc(rerunBuildInternal);
+
+/** Implements {@link module:appveyor-status.cancelBuild}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>} Cancelled AppVeyor
+ * build.
+ * @private
+ */
+async function cancelBuildInternal(options) {
+  const { build, project } =
+    await getLastBuildInternal({ ...options, wait: 0 });
+  if (!shouldRetryForStatus(build.status)) {
+    throw new Error(`Build ${build.version} can not be cancelled.  `
+      + `It is ${build.status}.`);
+  }
+
+  await options.appveyorClient.apis.Build.cancelBuild(
+    {
+      accountName: project.accountName,
+      projectSlug: project.slug,
+      buildVersion: build.version,
+    },
+    { signal: options.signal },
+  )
+    .catch(makeClientErrorHandler('Unable to cancel build: '));
+
+  const projectBuild =
+    await getBuildByVersion(options, project, build.version);
+  return waitForBuild(options, projectBuild);
+}
+
+/** Cancels the last AppVeyor build for a repo/branch, if it is queued or
+ * running.
+ *
+ * If {@link module:appveyor-status.AppveyorStatusOptions.wait} is set, waits
+ * for cancellation to complete.
+ *
+ * Requires {@link module:appveyor-status.AppveyorStatusOptions.token}.
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @param {?function(Error, object=)=} callback Callback function called
+ * with the cancelled build from the AppVeyor API, or an <code>Error</code> if
+ * it could not be cancelled.
+ * @returns {!Promise<!appveyorSwagger.ProjectBuild>|undefined} If
+ * <code>callback</code> is not given, a <code>Promise</code> with the
+ * cancelled build from the AppVeyor API, or <code>Error</code> if it could
+ * not be cancelled.  Otherwise <code>undefined</code>.
+ */
+exports.cancelBuild = wrapApiFunc(cancelBuildInternal);
+
+/** Time to wait between polls for a new build, once the last build has
+ * finished, when watching builds (in milliseconds).
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+const WATCH_IDLE_WAIT_MS = 60000;
+
+/** Polls the last build of a project and gets events describing each change.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * with <code>.signal</code> which stops polling when aborted.
+ * @yields {!module:appveyor-status.BuildEvent} Events describing changes to
+ * the last build.
+ * @private
+ */
+async function* pollBuildEvents(options) {
+  const { signal } = options;
+  const project = await getProjectInternal(options);
+  let previous;
+  for (;;) {
+    /* eslint-disable no-await-in-loop */
+    const current = await getLastBuildNoWait({ ...options, project });
+    throwIfAborted(signal);
+
+    yield* appveyorUtils.getBuildEvents(previous, current, now());
+    previous = current;
+
+    // Poll less frequently while waiting for a new build to start.
+    const delay = current.build.finished ? WATCH_IDLE_WAIT_MS
+      : options.pollInterval;
+    await setTimeoutP(delay, undefined, { signal });
+    /* eslint-enable no-await-in-loop */
+  }
+}
+
+/** Event describing a change to the last build of a project, as emitted by
+ * {@link module:appveyor-status.watch}.
+ *
+ * @static
+ * @typedef {{
+ *   type: string,
+ *   time: string,
+ *   project: string,
+ *   version: string,
+ *   status: string,
+ *   previousStatus: (string|undefined),
+ *   finished: boolean,
+ *   elapsedMs: number,
+ *   job: (object|undefined)
+ * }} BuildEvent
+ * @property {string} type Type of event: <code>build</code> when a build is
+ * first seen, <code>status</code> when the build status changes, or
+ * <code>job</code> when a job finishes.
+ * @property {string} time Time at which the change was observed (as an ISO
+ * 8601 string).
+ * @property {string} project Project of the build (as accountName/slug).
+ * @property {string} version Version of the build.
+ * @property {string} status Status of the build (or job, for job events).
+ * @property {string=} previousStatus Previous status of the build (or job).
+ * @property {boolean} finished Has the build (or job) finished?
+ * @property {number} elapsedMs Time elapsed in the build (or job), in
+ * milliseconds.
+ * @property {object=} job Summary of the job, for job events.
+ */
+// var BuildEvent;
+
+/** Watches the last AppVeyor build for a repo/branch, emitting an event for
+ * each change until stopped.
+ *
+ * The returned <code>EventEmitter</code> emits <code>build</code>,
+ * <code>status</code>, and <code>job</code> events with a
+ * {@link module:appveyor-status.BuildEvent} as described by
+ * {@link module:appveyor-status.BuildEvent.type}.  It emits
+ * <code>error</code> if an error occurs (which stops watching) and
+ * <code>end</code> after <code>.stop()</code> is called or
+ * {@link module:appveyor-status.AppveyorStatusOptions.signal} is aborted.
+ *
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @returns {!module:events.EventEmitter} Emitter of build events, with a
+ * <code>.stop()</code> method to stop watching.
+ */
+exports.watch = function watch(options) {
+  // EventEmitter for consistency with Node.js stream and error conventions
+  // eslint-disable-next-line unicorn/prefer-event-target
+  const watcher = new EventEmitter();
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  watcher.stop = () => { abortController.abort(); };
+
+  const userSignal = options && options.signal;
+  if (userSignal && typeof userSignal.addEventListener === 'function') {
+    if (userSignal.aborted) {
+      watcher.stop();
+    } else {
+      userSignal.addEventListener('abort', watcher.stop, { once: true });
+    }
+  }
+
+  async function emitBuildEvents(canonOptions) {
+    const buildEvents = pollBuildEvents({ ...canonOptions, signal });
+    try {
+      for await (const event of buildEvents) {
+        watcher.emit(event.type, event);
+      }
+    } catch (err) {
+      if (!signal.aborted) {
+        throw err;
+      }
+    }
+  }
+
+  let resultP;
+  try {
+    resultP = canonicalizeOptions(options, emitBuildEvents);
+  } catch (err) {
+    resultP = Promise.reject(err);
+  }
+
+  // Errors are emitted as error events
+  // eslint-disable-next-line promise/catch-or-return
+  resultP
+    .finally(() => {
+      if (userSignal && typeof userSignal.addEventListener === 'function') {
+        userSignal.removeEventListener('abort', watcher.stop);
+      }
+    })
+    .then(
+      () => watcher.emit('end'),
+      (err) => {
+        if (signal.aborted && err.name === 'AbortError') {
+          watcher.emit('end');
+        } else {
+          watcher.emit('error', err);
+        }
+      },
+    );
+
+  return watcher;
+};
+
+/** Snapshot of a build, as yielded by
+ * {@link module:appveyor-status.watchBuild}.
+ *
+ * @static
+ * @typedef {{
+ *   events: !Array<!module:appveyor-status.BuildEvent>,
+ *   projectBuild: !appveyorSwagger.ProjectBuild,
+ *   time: string
+ * }} BuildSnapshot
+ * @property {!Array<!module:appveyor-status.BuildEvent>} events Changes
+ * since the previous snapshot.
+ * @property {!appveyorSwagger.ProjectBuild} projectBuild Build, including
+ * jobs.
+ * @property {string} time Time at which the build was fetched (as an ISO 8601
+ * string).
+ */
+// var BuildSnapshot;
+
+/** Implements {@link module:appveyor-status.watchBuild}.
+ *
+ * @param {!module:appveyor-status.AppveyorStatusOptions} options Options.
+ * @yields {!module:appveyor-status.BuildSnapshot} Snapshot of the build each
+ * time it is polled.
+ * @private
+ */
+async function* watchBuildInternal(options) {
+  const { signal } = options;
+  throwIfAborted(signal);
+
+  let projectBuild =
+    await getLastBuildWithJobsInternal({ ...options, wait: 0 });
+  let previous;
+  for (;;) {
+    /* eslint-disable no-await-in-loop */
+    throwIfAborted(signal);
+
+    const time = now();
+    yield {
+      events: appveyorUtils.getBuildEvents(previous, projectBuild, time),
+      projectBuild,
+      time: new Date(time).toISOString(),
+    };
+
+    if (!shouldRetryForStatus(projectBuild.build.status)) {
+      return;
+    }
+
+    await setTimeoutP(options.pollInterval, undefined, { signal });
+    previous = projectBuild;
+    projectBuild = await getBuildByVersion(
+      options,
+      projectBuild.project,
+      projectBuild.build.version,
+    );
+    /* eslint-enable no-await-in-loop */
+  }
+}
+
+/** Watches the last AppVeyor build for a repo/branch until it completes.
+ *
+ * The build is selected as for {@link module:appveyor-status.getLastBuild}
+ * (ignoring {@link module:appveyor-status.AppveyorStatusOptions.wait}).  A
+ * {@link module:appveyor-status.BuildSnapshot} is yielded each time the build
+ * is polled, with the events which occurred since the previous snapshot.
+ * Iteration ends after the build completes, or when stopped by the caller
+ * (e.g. using <code>break</code> in <code>for await</code>).  If
+ * {@link module:appveyor-status.AppveyorStatusOptions.signal} is aborted,
+ * iteration throws an <code>AbortError</code>.
+ *
+ * Errors are the same as {@link module:appveyor-status.getLastBuild}.
+ *
+ * @function
+ * @param {?module:appveyor-status.AppveyorStatusOptions=} options Options.
+ * @returns {!module:globals.AsyncGenerator<
+ * !module:appveyor-status.BuildSnapshot>} Async iterator of build snapshots.
+ */
+exports.watchBuild = wrapApiGenFunc(watchBuildInternal);
@@ -0,0 +1,49 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { inherits } = require('node:util');
+
+/** Constructs an AbortError.
+ *
+ * @class Represents an error caused when an operation is aborted by an
+ * <code>AbortSignal</code>.  Matches the <code>AbortError</code> produced by
+ * Node.js APIs (e.g. {@link module:timers/promises.setTimeout}).
+ * @param {string=} message Error message.
+ * @param {{cause: *}=} options Options, which may include the
+ * <code>reason</code> of the aborted signal as <code>cause</code>.
+ * @alias module:appveyor-status.AbortError
+ */
+function AbortError(message, options) {
+  if (!(this instanceof AbortError)) {
+    return new AbortError(message, options);
+  }
+
+  // Like http://www.ecma-international.org/ecma-262/6.0/#sec-error-message
+  if (message !== undefined) {
+    Object.defineProperty(this, 'message', {
+      value: String(message),
+      configurable: true,
+      writable: true,
+    });
+  }
+
+  if (options && Object.hasOwn(options, 'cause')) {
+    Object.defineProperty(this, 'cause', {
+      value: options.cause,
+      configurable: true,
+      writable: true,
+    });
+  }
+
+  Error.captureStackTrace(this, AbortError);
+}
+inherits(AbortError, Error);
+AbortError.prototype.code = 'ABORT_ERR';
+AbortError.prototype.message = 'The operation was aborted';
+AbortError.prototype.name = 'AbortError';
+
+module.exports = AbortError;
@@ -0,0 +1,140 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const http = require('node:http');
+const https = require('node:https');
+
+const appveyorSwagger = require('appveyor-swagger');
+const SwaggerClient = require('swagger-client');
+
+const retryFetch = require('./retry-fetch.js');
+
+/** Options for {@link module:appveyor-status/lib/appveyor-client}.
+ *
+ * @private
+ * @typedef {object} AppveyorClientOptions
+ * @property {module:http.Agent=} agent HTTP Agent for API requests.  If
+ * unspecified, one is created with keep-alive enabled.
+ * @property {(string|URL)=} baseUrl Base URL of the AppVeyor API.
+ * @property {module:stream.Writable=} err Stream to which retries are logged,
+ * if <code>verbosity</code> is greater than 0.
+ * @property {(function(): number)=} now Function to get the current time in
+ * milliseconds since the epoch.
+ * @property {number=} requestRetries Maximum number of times each request is
+ * retried.
+ * @property {module:timers/promise.setTimeout=} setTimeout Function to
+ * perform waits between retries.
+ * @property {string=} token AppVeyor API access token.
+ * @property {module:globals.fetch=} userFetch Function to make HTTP requests.
+ * @property {number=} verbosity Amount of diagnostic information to print.
+ */
+
+/** Parses the base URL of the AppVeyor API.
+ *
+ * @param {string|URL} baseUrl Base URL of the AppVeyor API.
+ * @returns {!URL} Parsed <code>baseUrl</code>.
+ * @throws {TypeError} If <code>baseUrl</code> is not a URL.
+ * @throws {RangeError} If <code>baseUrl</code> is not an http or https URL.
+ */
+function parseBaseUrl(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (err) {
+    throw new TypeError('options.baseUrl must be a URL', { cause: err });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RangeError('options.baseUrl must be an http or https URL');
+  }
+  return url;
+}
+
+/** Gets the AppVeyor API specification for a given base URL.
+ *
+ * @param {!URL} baseUrl Base URL of the AppVeyor API.
+ * @returns {!object} Copy of <code>appveyorSwagger</code> with
+ * <code>host</code>, <code>basePath</code>, and <code>schemes</code> from
+ * <code>baseUrl</code>.
+ * @private
+ */
+function getApiSpec(baseUrl) {
+  return {
+    ...appveyorSwagger,
+    basePath: baseUrl.pathname.replace(/\/$/, ''),
+    host: baseUrl.host,
+    schemes: [baseUrl.protocol.slice(0, -1)],
+  };
+}
+
+/** Creates a client for the AppVeyor API, which may be passed to API
+ * functions as <code>options.appveyorClient</code> to share the client (and
+ * its HTTP Agent) between calls.
+ *
+ * @param {!AppveyorClientOptions} options Options.
+ * @returns {!{
+ *   agent: (module:http.Agent|undefined),
+ *   appveyorClient: !Promise<!SwaggerClient>
+ * }} Promise for the client and the HTTP Agent created for it (if
+ * <code>options.agent</code> was not given), which the caller should destroy
+ * once the client is no longer used.
+ * @throws {TypeError} If <code>options.baseUrl</code> is not a URL.
+ * @throws {RangeError} If <code>options.baseUrl</code> is not an http or https
+ * URL.
+ */
+function createAppveyorClient(options) {
+  const baseUrl = options.baseUrl === undefined || options.baseUrl === null
+    ? undefined
+    : parseBaseUrl(options.baseUrl);
+
+  const appveyorClientOptions = {
+    connectionAgent: options.agent,
+    spec: baseUrl ? getApiSpec(baseUrl) : appveyorSwagger,
+  };
+
+  // If unspecified by caller, use an HTTP Agent with keep-alive enabled for
+  // requests to avoid reconnection overhead and reduce latency for multiple
+  // API calls.
+  let agent;
+  if (options.agent === undefined || options.agent === null) {
+    const { Agent } = baseUrl && baseUrl.protocol === 'http:' ? http : https;
+    agent = new Agent({ keepAlive: true });
+    appveyorClientOptions.connectionAgent = agent;
+  }
+
+  if (options.token) {
+    appveyorClientOptions.authorizations = {
+      apiToken: `Bearer ${options.token}`,
+    };
+  }
+
+  // Retry requests which fail due to transient network or server errors,
+  // which would otherwise end a long wait for the build.
+  appveyorClientOptions.userFetch = retryFetch(
+    options.userFetch || ((resource, init) => fetch(resource, init)),
+    {
+      maxRetries: options.requestRetries,
+      now: options.now,
+      onRetry: options.verbosity > 0 ? (errOrRes, delay) => {
+        const reason = errOrRes instanceof Error ? errOrRes.message
+          : `${errOrRes.status} response from ${errOrRes.url}`;
+        options.err.write(`DEBUG: Retrying request in ${delay}ms after `
+          + `${reason}\n`);
+      } : undefined,
+      setTimeout: options.setTimeout,
+    },
+  );
+
+  return {
+    agent,
+    // Note: The constructor returns a Promise for the SwaggerClient rather
+    // than the SwaggerClient instance.
+    appveyorClient: new SwaggerClient(appveyorClientOptions),
+  };
+}
+
+module.exports = createAppveyorClient;
+module.exports.parseBaseUrl = parseBaseUrl;
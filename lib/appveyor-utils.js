@@ -51,17 +51,298 @@ exports.projectBuildToStatus = function projectBuildToStatus(projectBuild) {
   return projectBuild.build.status;
 };
 
+/** Extracts a summary of an AppVeyor ProjectBuild object suitable for
+ * machine-readable output.
+ *
+ * @param {!appveyorSwagger.ProjectBuild} projectBuild AppVeyor ProjectBuild
+ * (e.g. from getProjectLastBuild).
+ * @returns {!{
+ *  project: string,
+ *  buildNumber: number,
+ *  version: string,
+ *  branch: string,
+ *  commitId: string,
+ *  status: string,
+ *  started: (string|undefined),
+ *  finished: (string|undefined)
+ * }} Summary of the build.
+ * @private
+ */
+exports.projectBuildToSummary = function projectBuildToSummary(projectBuild) {
+  const { build, project } = projectBuild;
+  return {
+    project: exports.projectToString(project),
+    buildNumber: build.buildNumber,
+    version: build.version,
+    branch: build.branch,
+    commitId: build.commitId,
+    status: build.status,
+    started: build.started,
+    finished: build.finished,
+  };
+};
+
+/** Makes a build summary, with the same properties as
+ * {@link projectBuildToSummary}, from a build status alone (e.g. from a status
+ * badge).
+ *
+ * @param {string} status AppVeyor build status.
+ * @returns {!{
+ *  project: null,
+ *  buildNumber: null,
+ *  version: null,
+ *  branch: null,
+ *  commitId: null,
+ *  status: string,
+ *  started: null,
+ *  finished: null
+ * }} Summary of the build, with <code>null</code> for unknown properties.
+ * @private
+ */
+exports.statusToSummary = function statusToSummary(status) {
+  // eslint-disable-next-line unicorn/no-null
+  const unknown = null;
+  return {
+    project: unknown,
+    buildNumber: unknown,
+    version: unknown,
+    branch: unknown,
+    commitId: unknown,
+    status,
+    started: unknown,
+    finished: unknown,
+  };
+};
+
+/** Extracts a summary of an AppVeyor BuildJob object suitable for
+ * machine-readable output.
+ *
+ * @param {!appveyorSwagger.BuildJob} job AppVeyor BuildJob (e.g. from
+ * <code>build.jobs</code> of getProjectLastBuild).
+ * @returns {!{
+ *  jobId: string,
+ *  name: string,
+ *  osType: (string|undefined),
+ *  allowFailure: boolean,
+ *  status: string,
+ *  started: (string|undefined),
+ *  finished: (string|undefined),
+ *  durationMs: (number|undefined),
+ *  testsCount: number,
+ *  passedTestsCount: number,
+ *  failedTestsCount: number
+ * }} Summary of the job.  <code>durationMs</code> is only present for
+ * finished jobs.
+ * @private
+ */
+exports.jobToSummary = function jobToSummary(job) {
+  let durationMs;
+  if (job.started && job.finished) {
+    durationMs = Date.parse(job.finished) - Date.parse(job.started);
+  }
+
+  return {
+    jobId: job.jobId,
+    name: job.name,
+    osType: job.osType,
+    allowFailure: Boolean(job.allowFailure),
+    status: job.status,
+    started: job.started,
+    finished: job.finished,
+    durationMs,
+    testsCount: job.testsCount,
+    passedTestsCount: job.passedTestsCount,
+    failedTestsCount: job.failedTestsCount,
+  };
+};
+
+/** Gets the status of a set of jobs, ignoring jobs which are allowed to fail.
+ *
+ * @param {!Array<!appveyorSwagger.BuildJob>} jobs AppVeyor BuildJobs.
+ * @returns {string} <code>success</code> if all jobs which are not allowed
+ * to fail succeeded, <code>failed</code> if any failed, otherwise the status
+ * of the first job which did not succeed.  <code>queued</code> if there are
+ * no jobs.
+ * @private
+ */
+exports.jobsToStatus = function jobsToStatus(jobs) {
+  if (jobs.length === 0) {
+    return 'queued';
+  }
+
+  const requiredJobs = jobs.filter((job) => !job.allowFailure);
+  if (requiredJobs.some((job) => job.status === 'failed')) {
+    return 'failed';
+  }
+
+  const unsuccessfulJob =
+    requiredJobs.find((job) => job.status !== 'success');
+  return unsuccessfulJob ? unsuccessfulJob.status : 'success';
+};
+
+/** Gets the time elapsed during a build or job, in milliseconds.
+ *
+ * @param {!{
+ *  created: (string|undefined),
+ *  started: (string|undefined),
+ *  finished: (string|undefined)
+ * }} buildOrJob AppVeyor Build or BuildJob.
+ * @param {number} time Current time, in milliseconds since the epoch.
+ * @returns {number} Time elapsed since <code>buildOrJob</code> started (or
+ * was created, if not started) until it finished or <code>time</code>.
+ * @private
+ */
+exports.getElapsedMs = function getElapsedMs(buildOrJob, time) {
+  const start = Date.parse(buildOrJob.started || buildOrJob.created);
+  const end = buildOrJob.finished ? Date.parse(buildOrJob.finished) : time;
+  return Math.max(end - start, 0);
+};
+
+/** Formats a duration in milliseconds for human-readable output.
+ *
+ * @param {number} durationMs Duration, in milliseconds.
+ * @returns {string} Duration as seconds (e.g. <code>42s</code>) or minutes
+ * and seconds (e.g. <code>2m 5s</code>).
+ * @private
+ */
+exports.formatDuration = function formatDuration(durationMs) {
+  const seconds = Math.round(durationMs / 1000);
+  return seconds < 60 ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/** Gets events describing the changes between two snapshots of the last
+ * AppVeyor build for a project.
+ *
+ * A <code>build</code> event is produced when a build is first seen.  A
+ * <code>status</code> event is produced when the status of the build changes.
+ * A <code>job</code> event is produced when a job of the build finishes.
+ *
+ * @param {appveyorSwagger.ProjectBuild|undefined} previous Previous snapshot
+ * of the last build, if any.
+ * @param {!appveyorSwagger.ProjectBuild} current Current snapshot of the
+ * last build.
+ * @param {number} time Time at which <code>current</code> was observed, in
+ * milliseconds since the epoch.
+ * @returns {!Array<!{
+ *  type: string,
+ *  time: string,
+ *  project: string,
+ *  version: string,
+ *  status: string,
+ *  previousStatus: (string|undefined),
+ *  finished: boolean,
+ *  elapsedMs: number,
+ *  job: (object|undefined)
+ * }>} Events in the order in which they are assumed to have occurred.
+ * <code>elapsedMs</code> is the time elapsed since the build started (or was
+ * created, if not started) until it finished or <code>time</code>.
+ * <code>job</code> is the summary of the finished job from
+ * {@link jobToSummary} for <code>job</code> events.
+ * @private
+ */
+exports.getBuildEvents = function getBuildEvents(previous, current, time) {
+  const { build } = current;
+  const baseEvent = {
+    time: new Date(time).toISOString(),
+    project: exports.projectToString(current.project),
+    version: build.version,
+    status: build.status,
+    finished: Boolean(build.finished),
+    elapsedMs: exports.getElapsedMs(build, time),
+  };
+
+  if (!previous || previous.build.buildId !== build.buildId) {
+    return [{ type: 'build', ...baseEvent }];
+  }
+
+  const events = [];
+  const previousJobs = new Map(
+    (previous.build.jobs || []).map((job) => [job.jobId, job]),
+  );
+  const jobs = build.jobs || [];
+  for (const job of jobs) {
+    const previousJob = previousJobs.get(job.jobId);
+    if (job.finished && (!previousJob || !previousJob.finished)) {
+      events.push({
+        type: 'job',
+        ...baseEvent,
+        status: job.status,
+        previousStatus: previousJob && previousJob.status,
+        finished: true,
+        elapsedMs: exports.getElapsedMs(job, time),
+        job: exports.jobToSummary(job),
+      });
+    }
+  }
+
+  const previousStatus = previous.build.status;
+  if (build.status !== previousStatus) {
+    events.push({
+      type: 'status',
+      ...baseEvent,
+      previousStatus,
+    });
+  }
+
+  return events;
+};
+
+/** Types of repositories which are self-hosted, and so can only be detected
+ * from repository URLs on hosts configured by the <code>repoHosts</code>
+ * option.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+exports.REPO_HOST_TYPES = Object.freeze([
+  'bitBucketServer',
+  'git',
+  'gitea',
+  'gitHubEnterprise',
+  'gitLabServer',
+]);
+
+/** Gets the host name of a URL as written in the URL string.
+ *
+ * The URL parser lowercases host names of URLs with special schemes (e.g.
+ * https), which loses the case of names taken from the host name.
+ *
+ * @param {string} urlString URL string.
+ * @param {string} hostname Host name parsed from <code>urlString</code>.
+ * @returns {string} Host name as written in <code>urlString</code>, or
+ * <code>hostname</code> if it was not found.
+ * @private
+ */
+function getHostnameAsWritten(urlString, hostname) {
+  const hostnameLower = hostname.toLowerCase();
+  const hostIndex = urlString.toLowerCase().indexOf(hostnameLower);
+  const hostnameAsWritten = hostIndex === -1 ? undefined
+    : urlString.slice(hostIndex, hostIndex + hostnameLower.length);
+  return hostnameAsWritten && hostnameAsWritten.toLowerCase() === hostnameLower
+    ? hostnameAsWritten
+    : hostname;
+}
+
 /** Parses a repository URL of a given type into the repository properties
  * present on an AppVeyor Project.
  *
  * @param {string} repoUrl Repository URL or path.
+ * @param {Object<string,string>=} repoHosts Mapping from lower-case host
+ * names to the repository type (from <code>REPO_HOST_TYPES</code>) of the
+ * repositories they host.
  * @returns {!{
  *  repositoryType: string,
- *  repositoryName: string
+ *  repositoryName: string,
+ *  repositoryScm: (string|undefined)
  * }} Repository properties extracted from the arguments.
  * @private
  */
-exports.parseAppveyorRepoUrl = function parseAppveyorRepoUrl(repoUrl) {
+exports.parseAppveyorRepoUrl = function parseAppveyorRepoUrl(
+  repoUrl,
+  repoHosts,
+) {
   let repoUrlObj;
   try {
     repoUrlObj = gitUtils.parseGitUrl(repoUrl);
@@ -73,6 +354,35 @@ exports.parseAppveyorRepoUrl = function parseAppveyorRepoUrl(repoUrl) {
 
   const hostnameLower = repoUrlObj.hostname.toLowerCase();
   const pathnameNoExt = repoUrlObj.pathname.replace(/\.git$/, '');
+  const hostType = repoHosts && Object.hasOwn(repoHosts, hostnameLower)
+    ? repoHosts[hostnameLower]
+    : undefined;
+  if (hostType === 'git') {
+    // AppVeyor stores the clone URL as the name of generic git repositories
+    return {
+      repositoryType: hostType,
+      repositoryScm: 'git',
+      repositoryName: repoUrl,
+    };
+  }
+
+  if (hostType === 'bitBucketServer') {
+    // Bitbucket Server HTTP clone URLs are /scm/{project}/{repo}.git
+    return {
+      repositoryType: hostType,
+      repositoryScm: 'git',
+      repositoryName: pathnameNoExt.replace(/^\/scm\//i, '/').slice(1),
+    };
+  }
+
+  if (hostType) {
+    return {
+      repositoryType: hostType,
+      repositoryScm: 'git',
+      repositoryName: pathnameNoExt.slice(1),
+    };
+  }
+
   if (hostnameLower === 'bitbucket.org') {
     return {
       repositoryType: 'bitBucket',
@@ -94,17 +404,49 @@ exports.parseAppveyorRepoUrl = function parseAppveyorRepoUrl(repoUrl) {
     };
   }
 
-  // FIXME:  I can't test this without a paid AppVeyor account since all VSO
-  // projects are private.
-  const vsoHostParts = /^([^.]+)\.visualstudio.com$/i.exec(repoUrlObj.hostname);
-  const vsoPathParts = /^(?:\/([^/]+))?\/_git\/([^/]+)$/.exec(pathnameNoExt);
-  if (vsoHostParts && vsoPathParts) {
-    const username = vsoHostParts[1];
+  // Azure DevOps (formerly Visual Studio Team Services) SSH URLs:
+  // git@ssh.dev.azure.com:v3/{org}/{project}/{repo}
+  // {org}@vs-ssh.visualstudio.com:v3/{org}/{project}/{repo}
+  if (hostnameLower === 'ssh.dev.azure.com'
+    || hostnameLower === 'vs-ssh.visualstudio.com') {
+    const sshPathParts =
+      /^\/v3\/([^/]+)\/([^/]+)\/([^/]+)$/.exec(pathnameNoExt);
+    if (sshPathParts) {
+      const [, org, project, repo] = sshPathParts;
+      return {
+        repositoryType: 'vso',
+        repositoryName: `git/${org}/${project}/${repo}`,
+      };
+    }
+  }
+
+  // Azure DevOps HTTPS URL: https://dev.azure.com/{org}/{project}/_git/{repo}
+  // Legacy URLs: https://{org}.visualstudio.com[/{project}]/_git/{repo}
+  // where {project} defaults to {repo} if omitted.
+  let vsoOrg;
+  let vsoPath;
+  if (hostnameLower === 'dev.azure.com') {
+    const orgParts = /^\/([^/]+)(\/.*)$/.exec(pathnameNoExt);
+    if (orgParts) {
+      [, vsoOrg, vsoPath] = orgParts;
+    }
+  } else {
+    // Preserve case of the organization, as for dev.azure.com
+    const vsoHostParts = /^([^.]+)\.visualstudio\.com$/i
+      .exec(getHostnameAsWritten(repoUrl, repoUrlObj.hostname));
+    if (vsoHostParts) {
+      [, vsoOrg] = vsoHostParts;
+      vsoPath = pathnameNoExt;
+    }
+  }
+  const vsoPathParts =
+    vsoPath && /^(?:\/([^/]+))?\/_git\/([^/]+)$/.exec(vsoPath);
+  if (vsoPathParts) {
     const vsoProject = vsoPathParts[1] || vsoPathParts[2];
     const vsoRepo = vsoPathParts[2];
     return {
       repositoryType: 'vso',
-      repositoryName: `git/${username}/${vsoProject}/${vsoRepo}`,
+      repositoryName: `git/${vsoOrg}/${vsoProject}/${vsoRepo}`,
     };
   }
 
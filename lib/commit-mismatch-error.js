@@ -11,7 +11,7 @@ const { inherits } = require('node:util');
  *
  * @class Represents an error caused when a commit has does not match the
  * expected value.
- * @param {{message: ?string, actual: string, expected: string}} options
+ * @param {{message: ?string, actual: ?string, expected: string}} options
  * Options to set on the constructed instance (names shared with
  * assert.AssertionError for consistency).
  * @alias module:appveyor-status.CommitMismatchError
@@ -30,7 +30,9 @@ function CommitMismatchError(options) {
     ({ message } = options);
     this.generatedMessage = false;
   } else {
-    message = `Commit ${this.actual} did not match ${this.expected}`;
+    message = this.actual
+      ? `Commit ${this.actual} did not match ${this.expected}`
+      : `No commit to match ${this.expected}`;
     this.generatedMessage = true;
   }
 
@@ -0,0 +1,317 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+// Note: Configuration is read synchronously so that command-line parsing
+// (which depends on it) remains synchronous.
+/* eslint-disable n/no-sync */
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const YAML = require('yaml');
+
+/** Name of the per-repository configuration file, in the top-level directory
+ * of the git working tree.
+ *
+ * @constant
+ * @type {string}
+ * @private
+ */
+exports.REPO_CONFIG_NAME = '.appveyor-statusrc';
+
+/** Settings which may be specified in a configuration file, as camelCase
+ * option names.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+exports.CONFIG_KEYS = Object.freeze([
+  'allRemotes',
+  'apiUrl',
+  'backoffFactor',
+  'branch',
+  'color',
+  'format',
+  'maxPollInterval',
+  'pollInterval',
+  'pollStrategy',
+  'profile',
+  'profiles',
+  'project',
+  'repoHosts',
+  'requestRetries',
+  'tokenFile',
+  'wait',
+  'waitForCommit',
+]);
+
+/** Settings which are ignored in the per-repository configuration file, as
+ * camelCase option names.  A repository (e.g. one which was cloned from an
+ * untrusted source) could otherwise use them to send the API token to
+ * another server, or to send the content of any file or environment variable
+ * (using a profile) as the API token.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+exports.USER_CONFIG_KEYS = Object.freeze([
+  'apiUrl',
+  'profiles',
+  'tokenFile',
+]);
+
+/** Settings which may be specified in a named profile, as camelCase names.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+exports.PROFILE_KEYS = Object.freeze([
+  'account',
+  'apiUrl',
+  'token',
+  'tokenEnv',
+  'tokenFile',
+]);
+
+/** Converts a kebab-case option name to camelCase.
+ *
+ * @private
+ */
+function camelCase(name) {
+  return name.replaceAll(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/** Is a parsed value a (non-Array) object?
+ *
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Checks and normalizes settings from a configuration file.
+ *
+ * @param {*} settings Settings to normalize.
+ * @param {!Array<string>} keys Supported settings.
+ * @param {string} filePath Path of the configuration file.
+ * @param {string} where Description of the location of the settings, for
+ * error messages.
+ * @returns {!object} Settings with camelCase names.
+ * @throws {Error} If <code>settings</code> is not an object or contains
+ * unsupported settings.
+ * @private
+ */
+function normalizeSettings(settings, keys, filePath, where) {
+  if (!isObject(settings)) {
+    throw new TypeError(`${where} must be an object`);
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(settings)) {
+    const key = camelCase(name);
+    if (!keys.includes(key)) {
+      throw new Error(`Unsupported setting "${name}" in ${where}`);
+    }
+
+    normalized[key] = key === 'tokenFile' && value !== '-'
+      ? path.resolve(path.dirname(filePath), String(value))
+      : value;
+  }
+
+  return normalized;
+}
+
+/** Parses the content of a configuration file.
+ *
+ * Settings may be named as command-line options (e.g.
+ * <code>token-file</code>) or in camelCase (e.g. <code>tokenFile</code>).
+ * <code>tokenFile</code> is resolved relative to the directory containing
+ * the configuration file.  <code>profiles</code> maps profile names to
+ * settings in <code>PROFILE_KEYS</code>.  <code>repoHosts</code> maps host
+ * names to repository types.
+ *
+ * @param {string} content Content of the configuration file, as JSON or YAML.
+ * @param {string} filePath Path of the configuration file.
+ * @returns {!object} Settings from the configuration file, with camelCase
+ * names.
+ * @throws {Error} If <code>content</code> can not be parsed, is not an
+ * object, or contains unsupported settings.
+ * @private
+ */
+exports.parseConfig = function parseConfig(content, filePath) {
+  let parsed;
+  try {
+    // Note: YAML 1.2 is a superset of JSON
+    parsed = YAML.parse(content);
+  } catch (err) {
+    throw new Error(
+      `Unable to parse ${filePath}: ${err.message}`,
+      { cause: err },
+    );
+  }
+
+  if (parsed === undefined || parsed === null) {
+    return {};
+  }
+
+  const config =
+    normalizeSettings(parsed, exports.CONFIG_KEYS, filePath, filePath);
+  if (config.profiles !== undefined) {
+    if (!isObject(config.profiles)) {
+      throw new TypeError(`profiles in ${filePath} must be an object`);
+    }
+
+    config.profiles = Object.fromEntries(Object.entries(config.profiles)
+      .map(([name, profile]) => [
+        name,
+        normalizeSettings(
+          profile,
+          exports.PROFILE_KEYS,
+          filePath,
+          `profile "${name}" in ${filePath}`,
+        ),
+      ]));
+  }
+
+  if (config.repoHosts !== undefined && !isObject(config.repoHosts)) {
+    throw new TypeError(`repoHosts in ${filePath} must be an object`);
+  }
+
+  return config;
+};
+
+/** Reads a configuration file, if it exists.
+ *
+ * @param {string} filePath Path of the configuration file.
+ * @returns {object|undefined} Settings from the configuration file, or
+ * <code>undefined</code> if it does not exist.
+ * @throws {Error} If the configuration file can not be read or parsed.
+ * @private
+ */
+exports.readConfig = function readConfig(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, { encoding: 'utf8' });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined;
+    }
+
+    throw new Error(
+      `Unable to read ${filePath}: ${err.message}`,
+      { cause: err },
+    );
+  }
+
+  return exports.parseConfig(content, filePath);
+};
+
+/** Finds the top-level directory of the git working tree containing a given
+ * directory.
+ *
+ * @param {string} dir Directory in the working tree.
+ * @returns {string|undefined} Path of the nearest ancestor of
+ * <code>dir</code> (or <code>dir</code> itself) which contains
+ * <code>.git</code>, or <code>undefined</code> if there is none.
+ * @private
+ */
+exports.findRepoRoot = function findRepoRoot(dir) {
+  for (let curDir = path.resolve(dir); ;) {
+    if (fs.existsSync(path.join(curDir, '.git'))) {
+      return curDir;
+    }
+
+    const parentDir = path.dirname(curDir);
+    if (parentDir === curDir) {
+      return undefined;
+    }
+    curDir = parentDir;
+  }
+};
+
+/** Gets the path of the per-user configuration file.
+ *
+ * @param {!Object<string, string>} env Environment variables.
+ * @returns {string} Path of <code>appveyor-status/config</code> in
+ * <code>$XDG_CONFIG_HOME</code>, or <code>~/.config</code> if it is unset or
+ * not absolute (as specified by the XDG Base Directory Specification).
+ * @private
+ */
+exports.getUserConfigPath = function getUserConfigPath(env) {
+  const xdgConfigHome = env.XDG_CONFIG_HOME;
+  const configHome = xdgConfigHome && path.isAbsolute(xdgConfigHome)
+    ? xdgConfigHome
+    : path.join(os.homedir(), '.config');
+  return path.join(configHome, 'appveyor-status', 'config');
+};
+
+/** Loads the per-repository and per-user configuration files.
+ *
+ * Settings in <code>USER_CONFIG_KEYS</code> are ignored in the
+ * per-repository configuration file.
+ *
+ * @param {!{cwd: string, env: !Object<string, string>}} options Working
+ * directory in which to find the repository and environment variables in
+ * which to find the user configuration directory.
+ * @returns {!Array<!object>} Settings from each configuration file which
+ * exists, in order of decreasing precedence (repository then user).
+ * @throws {Error} If a configuration file can not be read or parsed.
+ * @private
+ */
+exports.loadConfigs = function loadConfigs(options) {
+  const repoRoot = exports.findRepoRoot(options.cwd);
+  const repoConfig = repoRoot === undefined ? undefined
+    : exports.readConfig(path.join(repoRoot, exports.REPO_CONFIG_NAME));
+  if (repoConfig) {
+    for (const key of exports.USER_CONFIG_KEYS) {
+      delete repoConfig[key];
+    }
+  }
+
+  const configs = [
+    repoConfig,
+    exports.readConfig(exports.getUserConfigPath(options.env)),
+  ];
+  return configs.filter(Boolean);
+};
+
+/** Selects a named profile, or the profile for an AppVeyor account.
+ *
+ * @param {!Object<string, !object>} profiles Profiles, by name.
+ * @param {string=} name Name of the profile to select.  If undefined, the
+ * first profile with an <code>account</code> matching
+ * <code>accountName</code> (case-insensitively) is selected.
+ * @param {string=} accountName Name of the AppVeyor account being queried,
+ * if known.
+ * @returns {object|undefined} Selected profile, or <code>undefined</code> if
+ * <code>name</code> is undefined and no profile matches
+ * <code>accountName</code>.
+ * @throws {Error} If there is no profile named <code>name</code>.
+ * @private
+ */
+exports.selectProfile = function selectProfile(profiles, name, accountName) {
+  if (name !== undefined) {
+    if (!Object.hasOwn(profiles, name)) {
+      throw new Error(`Unknown profile "${name}"`);
+    }
+
+    return profiles[name];
+  }
+
+  if (accountName === undefined) {
+    return undefined;
+  }
+
+  const accountLower = accountName.toLowerCase();
+  return Object.values(profiles).find(
+    (profile) => typeof profile.account === 'string'
+      && profile.account.toLowerCase() === accountLower,
+  );
+};
@@ -13,7 +13,9 @@ const { execFile } = require('node:child_process');
  * @param {string} file The name or path of the executable file to run
  * @param {Array<string>=} args List of string arguments
  * @param {module:child_process.ExecFileOptions=} options Options to pass to
- * {@link module:child_process.execFile}.
+ * {@link module:child_process.execFile}.  If <code>options.signal</code> is
+ * aborted, the process is killed and the Promise is rejected with an
+ * <code>AbortError</code>.
  * @returns {!Promise<string|!Buffer>} Promise of <code>stdout</code> or
  * Error if <code>execFile</code> fails or <code>stderr</code> contains
  * non-whitespace characters.
@@ -18,6 +18,23 @@ const execFileOut = require('./exec-file-out.js');
  */
 const isWindows = /^win/i.test(process.platform);
 
+/** Host names of repository providers for shorthand URL schemes (e.g.
+ * <code>gh:owner/repo</code>) commonly defined using
+ * <code>url.&lt;base&gt;.insteadOf</code> or used by npm.
+ *
+ * @constant
+ * @type {!Object<string,string>}
+ * @private
+ */
+const SHORTHAND_HOSTS = Object.freeze({
+  bb: 'bitbucket.org',
+  bitbucket: 'bitbucket.org',
+  gh: 'github.com',
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+  gl: 'gitlab.com',
+});
+
 function trim(str) {
   return String.prototype.trim.call(str);
 }
@@ -86,6 +103,25 @@ exports.getRemoteUrl = function getRemoteUrl(remoteName, options) {
     });
 };
 
+/** Gets the name and fetch URL of each configured remote.
+ *
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<!Array<{name: string, url: string}>>} Name and fetch URL
+ * (after <code>url.&lt;base&gt;.insteadOf</code> rewrites) of each remote, in
+ * the order listed by <code>git remote</code>, or Error if not in a git
+ * repository or another error occurs.
+ * @private
+ */
+exports.getRemoteUrls = function getRemoteUrls(options) {
+  return execFileOut('git', ['remote', '-v'], options)
+    .then((stdout) => stdout.split('\n').flatMap((line) => {
+      const remoteParts = /^([^\t]+)\t(.*) \(fetch\)$/.exec(line);
+      return remoteParts ? [{ name: remoteParts[1], url: remoteParts[2] }]
+        : [];
+    }));
+};
+
 /** Is git URL a local path?
  * From url_is_local_not_ssh in connect.c
  *
@@ -141,6 +177,73 @@ exports.parseGitUrl = function parseGitUrl(gitUrl) {
   return gitUrlObj;
 };
 
+/** Gets the host name for an SSH host, which may be an alias defined by a
+ * <code>Host</code> section with a <code>HostName</code> in the SSH client
+ * configuration (e.g. <code>~/.ssh/config</code>).
+ *
+ * @param {string} host SSH host name or alias.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<string>} Host name to which ssh would connect for
+ * <code>host</code>, or Error if ssh can not be run or does not print the
+ * configuration (requires OpenSSH 6.8 or later).
+ * @private
+ */
+exports.getSshHostName = function getSshHostName(host, options) {
+  return execFileOut('ssh', ['-G', '-T', '--', host], options)
+    .then((stdout) => {
+      const hostNameParts = /^hostname\s+(\S+)/im.exec(stdout);
+      if (!hostNameParts) {
+        throw new Error(`ssh -G did not print hostname for ${host}`);
+      }
+      return hostNameParts[1];
+    });
+};
+
+/** Resolves a git URL to the URL of the repository it refers to by applying
+ * <code>url.&lt;base&gt;.insteadOf</code> rewrites from the git
+ * configuration, expanding shorthand schemes (e.g. <code>gh:</code>), and
+ * resolving SSH host aliases.
+ *
+ * @param {string} gitUrl Git URL to resolve.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<string>} Resolved URL, or Error if git or ssh can not
+ * be run or <code>gitUrl</code> can not be parsed.
+ * @private
+ */
+exports.resolveGitUrl = async function resolveGitUrl(gitUrl, options) {
+  // ls-remote prints URLs which are not remote names after rewriting
+  const rewrittenUrl = gitUrl.startsWith('-') ? gitUrl
+    : trim(await execFileOut(
+      'git',
+      ['ls-remote', '--get-url', '--', gitUrl],
+      options,
+    ));
+
+  const gitUrlObj = exports.parseGitUrl(rewrittenUrl);
+  if (gitUrlObj.helper !== undefined) {
+    return rewrittenUrl;
+  }
+
+  const scheme = gitUrlObj.protocol.slice(0, -1).toLowerCase();
+  if (!gitUrlObj.host && Object.hasOwn(SHORTHAND_HOSTS, scheme)) {
+    const repoPath = gitUrlObj.pathname.replace(/^\/+/, '');
+    return `https://${SHORTHAND_HOSTS[scheme]}/${repoPath}`;
+  }
+
+  if (gitUrlObj.hostname
+    && (scheme === 'ssh' || scheme === 'git+ssh' || scheme === 'ssh+git')) {
+    const hostName = await exports.getSshHostName(gitUrlObj.hostname, options);
+    if (hostName.toLowerCase() !== gitUrlObj.hostname.toLowerCase()) {
+      gitUrlObj.hostname = hostName;
+      return gitUrlObj.href;
+    }
+  }
+
+  return rewrittenUrl;
+};
+
 /** Resolve a named commit to its hash.
  *
  * @param {string} commitName Name of commit to resolve.
@@ -154,3 +257,47 @@ exports.resolveCommit = function resolveCommit(commitName, options) {
   return execFileOut('git', ['rev-parse', '--verify', commitName], options)
     .then(trim);
 };
+
+/** Is a commit an ancestor of (or the same as) another commit?
+ *
+ * @param {string} ancestor Name of the possible ancestor commit.
+ * @param {string} descendant Name of the possible descendant commit.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<boolean>} <code>true</code> if <code>ancestor</code> is
+ * an ancestor of <code>descendant</code>, <code>false</code> if not, or Error
+ * if either commit can not be resolved or another error occurs.
+ * @private
+ */
+exports.isAncestor = function isAncestor(ancestor, descendant, options) {
+  const gitArgs = ['merge-base', '--is-ancestor', ancestor, descendant];
+  return execFileOut('git', gitArgs, options)
+    .then(
+      () => true,
+      (err) => {
+        // git merge-base --is-ancestor exits with 1 if not an ancestor
+        if (err.code === 1) {
+          return false;
+        }
+        throw err;
+      },
+    );
+};
+
+/** Counts the commits reachable from one commit which are not reachable from
+ * another commit.
+ *
+ * @param {string} from Name of the commit from which to count.
+ * @param {string} to Name of the commit to which to count.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<number>} Number of commits reachable from
+ * <code>to</code> which are not reachable from <code>from</code> (i.e. in
+ * <code>from..to</code>), or Error if either commit can not be resolved or
+ * another error occurs.
+ * @private
+ */
+exports.countCommits = function countCommits(from, to, options) {
+  return execFileOut('git', ['rev-list', '--count', `${from}..${to}`], options)
+    .then(Number);
+};
@@ -0,0 +1,39 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { default: escapeStringRegexp } = require('escape-string-regexp');
+
+/** Converts a glob pattern to a RegExp which matches the whole string.
+ *
+ * Supports <code>*</code> (any characters except <code>/</code> and
+ * <code>\</code>), <code>**</code> (any characters), and <code>?</code>
+ * (any single character except <code>/</code> and <code>\</code>).  All other
+ * characters match literally.
+ *
+ * @private
+ * @param {string} glob Glob pattern to convert.
+ * @param {string=} flags RegExp flags.
+ * @returns {!RegExp} RegExp which matches strings matched by
+ * <code>glob</code>.
+ * @throws {TypeError} If glob is not a string.
+ */
+module.exports =
+function globToRegExp(glob, flags) {
+  if (typeof glob !== 'string') {
+    throw new TypeError('glob must be a string');
+  }
+
+  const reParts = glob.split(/(\*\*|\*|\?)/).map((part) => {
+    switch (part) {
+      case '**': return '.*';
+      case '*': return '[^/\\\\]*';
+      case '?': return '[^/\\\\]';
+      default: return escapeStringRegexp(part);
+    }
+  });
+  return new RegExp(`^${reParts.join('')}$`, flags);
+};
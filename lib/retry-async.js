@@ -8,7 +8,11 @@
 const { setTimeout: setTimeoutP } = require('node:timers/promises');
 
 const constant = require('./retry-async/constant.js');
+const decorrelatedJitter = require('./retry-async/decorrelated-jitter.js');
+const equalJitter = require('./retry-async/equal-jitter.js');
 const exponential = require('./retry-async/exponential.js');
+const fibonacci = require('./retry-async/fibonacci.js');
+const fullJitter = require('./retry-async/full-jitter.js');
 
 function defaultShouldRetry(result) {
   // Retry if the value was falsey
@@ -38,6 +42,18 @@ function defaultShouldRetry(result) {
  * milliseconds to wait between attempts.
  */
 
+/** Default values for options of {@link makeWaitMs}.
+ *
+ * @constant
+ * @private
+ * @type {!{factor: number, initialMs: number, maxMs: number}}
+ */
+const DEFAULT_WAIT_OPTIONS = Object.freeze({
+  factor: 2,
+  initialMs: 4000,
+  maxMs: 60000,
+});
+
 /** Default values for options.
  *
  * @constant
@@ -51,7 +67,12 @@ const DEFAULT_OPTIONS = Object.freeze({
   setTimeout: setTimeoutP,
   shouldRetry: defaultShouldRetry,
   get waitMs() {
-    return exponential(2, 4000, 60000, Infinity);
+    return exponential(
+      DEFAULT_WAIT_OPTIONS.factor,
+      DEFAULT_WAIT_OPTIONS.initialMs,
+      DEFAULT_WAIT_OPTIONS.maxMs,
+      Infinity,
+    );
   },
 });
 
@@ -125,3 +146,77 @@ async function retryAsync(
 };
 
 module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.DEFAULT_WAIT_OPTIONS = DEFAULT_WAIT_OPTIONS;
+
+/** Names of the strategies supported by {@link makeWaitMs}.
+ *
+ * @constant
+ * @private
+ * @type {!Array<string>}
+ */
+module.exports.WAIT_STRATEGIES = Object.freeze([
+  'decorrelated-jitter',
+  'equal-jitter',
+  'exponential',
+  'fibonacci',
+  'full-jitter',
+]);
+
+/** Makes wait times for {@link RetryAsyncOptions}.waitMs using a named
+ * strategy.
+ *
+ * Jittered strategies randomize the exponentially increasing wait times to
+ * avoid many callers retrying in lockstep.
+ *
+ * @private
+ * @param {string} strategy Name of the strategy (one of
+ * <code>WAIT_STRATEGIES</code>).
+ * @param {{
+ *   factor: number|undefined,
+ *   initialMs: number|undefined,
+ *   maxMs: number|undefined,
+ *   minMs: number|undefined,
+ *   random: ((function(): number)|undefined)
+ * }=} options Multiplicative increase between waits (for exponential and
+ * exponential jitter strategies), initial (and minimum, for
+ * decorrelated-jitter) wait time, maximum wait time, minimum wait time for
+ * full-jitter (which otherwise may be arbitrarily close to 0), and source of
+ * randomness for jittered strategies.  (Default:
+ * <code>DEFAULT_WAIT_OPTIONS</code>, 0, and Math.random)
+ * @returns {!module:globals.Iterable<number>} Milliseconds to wait between
+ * attempts.
+ * @throws {RangeError} If strategy is not supported.
+ */
+module.exports.makeWaitMs = function makeWaitMs(
+  strategy,
+  {
+    factor = DEFAULT_WAIT_OPTIONS.factor,
+    initialMs = DEFAULT_WAIT_OPTIONS.initialMs,
+    maxMs = DEFAULT_WAIT_OPTIONS.maxMs,
+    minMs = 0,
+    random = Math.random,
+  } = {},
+) {
+  switch (strategy) {
+    case 'decorrelated-jitter':
+      return decorrelatedJitter(initialMs, maxMs, Infinity, random);
+    case 'equal-jitter':
+      return equalJitter(
+        exponential(factor, initialMs, maxMs, Infinity),
+        random,
+      );
+    case 'exponential':
+      return exponential(factor, initialMs, maxMs, Infinity);
+    case 'fibonacci':
+      return fibonacci(initialMs, maxMs, Infinity);
+    case 'full-jitter':
+      return fullJitter(
+        exponential(factor, initialMs, maxMs, Infinity),
+        random,
+        minMs,
+      );
+    default:
+      throw new RangeError(`Unknown wait strategy "${strategy}".  Must be `
+        + `one of ${module.exports.WAIT_STRATEGIES.join(', ')}`);
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function* generateDecorrelatedJitter(initial, maxValue, count, random) {
+  let value = initial;
+  for (let i = 0; i < count; i += 1) {
+    value = Math.min(initial + (random() * ((value * 3) - initial)), maxValue);
+    yield value;
+  }
+}
+
+/** Generates values chosen uniformly at random between an initial value and
+ * three times the previous value, with optional count/limit ("Decorrelated
+ * Jitter" from
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/).
+ *
+ * @private
+ * @param {number=} initial Minimum value to yield, and previous value for
+ * the first value.  (Default: 1)
+ * @param {number=} maxValue Maximum value to yield.  (Growth is
+ * limited/capped to this value.  Default: Infinity)
+ * @param {number=} count Number of values to yield.  (Default: Infinity)
+ * @param {(function(): number)=} random Function which returns a number
+ * between 0 (inclusive) and 1 (exclusive).  (Default: Math.random)
+ * @yields {number} Random values between initial and three times the
+ * previous value.
+ * @throws {TypeError} If initial, maxValue, or count is not a number or
+ * random is not a function.
+ * @throws {RangeError} If maxValue or count is NaN, count is negative, or
+ * count is not an integer (or Infinity).
+ */
+module.exports =
+function decorrelatedJitter(
+  initial = 1,
+  maxValue = Infinity,
+  count = Infinity,
+  random = Math.random,
+) {
+  if (typeof initial !== 'number') {
+    throw new TypeError('initial must be a number');
+  }
+  if (typeof maxValue !== 'number') {
+    throw new TypeError('maxValue must be a number');
+  }
+  if (Number.isNaN(maxValue)) {
+    throw new RangeError('maxValue must not be NaN');
+  }
+  if (typeof count !== 'number') {
+    throw new TypeError('count must be a number');
+  }
+  if (count < 0 || count !== Math.floor(count)) {
+    throw new RangeError('count must be a non-negative integer, or Infinity');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+
+  return generateDecorrelatedJitter(initial, maxValue, count, random);
+};
@@ -0,0 +1,37 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function* generateEqualJitter(values, random) {
+  for (const value of values) {
+    const half = value / 2;
+    yield half + (random() * half);
+  }
+}
+
+/** Generates values chosen uniformly at random between half of and each value
+ * of a given Iterable ("Equal Jitter" from
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/).
+ *
+ * @private
+ * @param {!module:globals.Iterable<number>} values Maximum of each value to
+ * yield (e.g. from exponential).
+ * @param {(function(): number)=} random Function which returns a number
+ * between 0 (inclusive) and 1 (exclusive).  (Default: Math.random)
+ * @yields {number} Random value between half of and each value.
+ * @throws {TypeError} If values is not Iterable or random is not a function.
+ */
+module.exports =
+function equalJitter(values, random = Math.random) {
+  if (!values || typeof values[Symbol.iterator] !== 'function') {
+    throw new TypeError('values must be Iterable');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+
+  return generateEqualJitter(values, random);
+};
@@ -0,0 +1,51 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function* generateFibonacci(initial, maxValue, count) {
+  let prev = 0;
+  let value = initial;
+  for (let i = 0; i < count; i += 1) {
+    yield Math.min(value, maxValue);
+    [prev, value] = [value, prev + value];
+  }
+}
+
+/** Generates multiples of a value by the Fibonacci sequence, with optional
+ * count/limit.
+ *
+ * @private
+ * @param {number=} initial Initial value to yield, which is multiplied by
+ * each number in the Fibonacci sequence (1, 1, 2, 3, 5, ...).  (Default: 1)
+ * @param {number=} maxValue Maximum value to yield.  (Growth is
+ * limited/capped to this value.  Default: Infinity)
+ * @param {number=} count Number of values to yield.  (Default: Infinity)
+ * @yields {number} Values increasing as the Fibonacci sequence, starting
+ * from initial.
+ * @throws {TypeError} If initial, maxValue, or count is not a number.
+ * @throws {RangeError} If maxValue or count is NaN, count is negative, or
+ * count is not an integer (or Infinity).
+ */
+module.exports =
+function fibonacci(initial = 1, maxValue = Infinity, count = Infinity) {
+  if (typeof initial !== 'number') {
+    throw new TypeError('initial must be a number');
+  }
+  if (typeof maxValue !== 'number') {
+    throw new TypeError('maxValue must be a number');
+  }
+  if (Number.isNaN(maxValue)) {
+    throw new RangeError('maxValue must not be NaN');
+  }
+  if (typeof count !== 'number') {
+    throw new TypeError('count must be a number');
+  }
+  if (count < 0 || count !== Math.floor(count)) {
+    throw new RangeError('count must be a non-negative integer, or Infinity');
+  }
+
+  return generateFibonacci(initial, maxValue, count);
+};
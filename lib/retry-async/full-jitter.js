@@ -0,0 +1,42 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function* generateFullJitter(values, random, minValue) {
+  for (const value of values) {
+    yield minValue + (random() * (Math.max(value, minValue) - minValue));
+  }
+}
+
+/** Generates values chosen uniformly at random between a minimum (0 by
+ * default) and each value of a given Iterable ("Full Jitter" from
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/).
+ *
+ * @private
+ * @param {!module:globals.Iterable<number>} values Maximum of each value to
+ * yield (e.g. from exponential).
+ * @param {(function(): number)=} random Function which returns a number
+ * between 0 (inclusive) and 1 (exclusive).  (Default: Math.random)
+ * @param {number=} minValue Minimum value to yield.  (Default: 0)
+ * @yields {number} Random value between minValue and each value (or
+ * minValue, if greater).
+ * @throws {TypeError} If values is not Iterable, random is not a function,
+ * or minValue is not a number.
+ */
+module.exports =
+function fullJitter(values, random = Math.random, minValue = 0) {
+  if (!values || typeof values[Symbol.iterator] !== 'function') {
+    throw new TypeError('values must be Iterable');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+  if (typeof minValue !== 'number') {
+    throw new TypeError('minValue must be a number');
+  }
+
+  return generateFullJitter(values, random, minValue);
+};
@@ -0,0 +1,212 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { setTimeout: setTimeoutP } = require('node:timers/promises');
+
+const exponential = require('./retry-async/exponential.js');
+
+/** HTTP methods of requests which may be retried after a network error or
+ * server error, since repeating them has no additional effect.
+ *
+ * Note: PUT is not included, since the AppVeyor API uses PUT to re-run a
+ * build, which would start another build if repeated.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+const IDEMPOTENT_METHODS = Object.freeze(['DELETE', 'GET', 'HEAD', 'OPTIONS']);
+
+/** Default values for options.
+ *
+ * @constant
+ * @private
+ * @type {RetryFetchOptions}
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  maxRetries: 3,
+  maxRetryAfterMs: 300000,
+  now: Date.now,
+  onRetry: undefined,
+  setTimeout: setTimeoutP,
+  waitMs: () => exponential(2, 1000, 30000, Infinity),
+});
+
+/** Options for {@link module:appveyor-status/lib/retry-fetch.retryFetch}.
+ *
+ * @private
+ * @typedef {object} RetryFetchOptions
+ * @property {number=} maxRetries Maximum number of times each request is
+ * retried.
+ * @property {number=} maxRetryAfterMs Maximum delay, in milliseconds,
+ * requested by <code>Retry-After</code> which is honored.  Responses with a
+ * longer delay are returned without retrying.
+ * @property {(function(): number)=} now Function to get the current time in
+ * milliseconds since the epoch.
+ * @property {(function((Error|!object), number))=} onRetry Function called
+ * with the Error or Response and the delay in milliseconds before each retry.
+ * @property {module:timers/promise.setTimeout=} setTimeout Function to
+ * perform waits between retries.
+ * @property {(function(): !module:globals.Iterable<number>)=} waitMs
+ * Function called for each request to get the number of milliseconds to wait
+ * before each retry, when not specified by <code>Retry-After</code>.  The
+ * request is not retried after the Iterable is exhausted.
+ */
+
+/** Gets the delay requested by the <code>Retry-After</code> header of a
+ * response.
+ *
+ * @param {!object} response Fetch Response.
+ * @param {function(): number} now Function to get the current time in
+ * milliseconds since the epoch.
+ * @returns {number|undefined} Requested delay in milliseconds, or
+ * <code>undefined</code> if the header is absent or invalid.
+ * @private
+ */
+function getRetryAfterMs(response, now) {
+  const retryAfter = response.headers && response.headers.get('retry-after');
+  if (!retryAfter) {
+    return undefined;
+  }
+
+  // Retry-After is either delay-seconds or an HTTP-date (RFC 9110 10.2.3)
+  if (/^\s*\d+\s*$/.test(retryAfter)) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const retryDate = Date.parse(retryAfter);
+  return Number.isNaN(retryDate) ? undefined : Math.max(retryDate - now(), 0);
+}
+
+/** Should a request be retried after a given Error or Response?
+ *
+ * @param {string} method HTTP method of the request.
+ * @param {Error=} err Error from fetch, if it rejected.
+ * @param {object=} response Response from fetch, if it resolved.
+ * @returns {boolean} <code>true</code> if the request failed due to a
+ * network error or server error and is idempotent, or was rate-limited.
+ * @private
+ */
+function shouldRetryRequest(method, err, response) {
+  if (err) {
+    return err.name !== 'AbortError' && IDEMPOTENT_METHODS.includes(method);
+  }
+
+  // Server has not processed a rate-limited request, so any method is safe
+  return response.status === 429
+    || (response.status >= 500 && IDEMPOTENT_METHODS.includes(method));
+}
+
+/** Discards the body of a response which will not be returned, so that the
+ * connection can be reused.
+ *
+ * @private
+ */
+async function discardBody(response) {
+  try {
+    await response.arrayBuffer();
+  } catch {
+    // Errors reading a discarded body are not actionable.
+  }
+}
+
+/** Wraps a fetch-compatible function to retry requests which fail due to
+ * network errors or server errors (5xx), or are rate-limited (429), with
+ * exponential backoff or the delay requested by <code>Retry-After</code>.
+ *
+ * Requests with non-idempotent methods (e.g. POST) are only retried when
+ * rate-limited.  Waits are cancelled by <code>init.signal</code>.
+ *
+ * @param {function(string|!URL|!object, object=): !Promise<!object>}
+ * fetchFunc Fetch-compatible function to wrap.
+ * @param {RetryFetchOptions=} options Options.
+ * @returns {function(string|!URL|!object, object=): !Promise<!object>}
+ * Fetch-compatible function which retries failed requests.  It returns the
+ * Response (or rejects with the Error) from the last attempt.
+ * @throws {TypeError} If fetchFunc or waitMs is not a function or maxRetries
+ * is not a number.
+ * @throws {RangeError} If maxRetries is not a non-negative integer.
+ * @private
+ */
+module.exports =
+function retryFetch(
+  fetchFunc,
+  {
+    maxRetries = DEFAULT_OPTIONS.maxRetries,
+    maxRetryAfterMs = DEFAULT_OPTIONS.maxRetryAfterMs,
+    now = DEFAULT_OPTIONS.now,
+    onRetry = DEFAULT_OPTIONS.onRetry,
+    setTimeout: retrySetTimeout = DEFAULT_OPTIONS.setTimeout,
+    waitMs = DEFAULT_OPTIONS.waitMs,
+  } = {},
+) {
+  if (typeof fetchFunc !== 'function') {
+    throw new TypeError('fetchFunc must be a function');
+  }
+  if (typeof maxRetries !== 'number') {
+    throw new TypeError('maxRetries must be a number');
+  }
+  if (maxRetries < 0 || !Number.isSafeInteger(maxRetries)) {
+    throw new RangeError('maxRetries must be a non-negative integer');
+  }
+  if (typeof waitMs !== 'function') {
+    throw new TypeError('waitMs must be a function');
+  }
+
+  return async function fetchWithRetry(resource, init) {
+    const method = (
+      (init && init.method) || (resource && resource.method) || 'GET'
+    ).toUpperCase();
+    const signal = init && init.signal;
+    const waitIterator = waitMs()[Symbol.iterator]();
+    try {
+      /* eslint-disable no-await-in-loop */
+      for (let retries = 0; ; retries += 1) {
+        let err;
+        let response;
+        try {
+          response = await fetchFunc(resource, init);
+        } catch (errFetch) {
+          err = errFetch;
+        }
+
+        let delay;
+        if (retries < maxRetries && shouldRetryRequest(method, err, response)) {
+          const retryAfterMs = response && getRetryAfterMs(response, now);
+          if (retryAfterMs === undefined) {
+            const waitResult = waitIterator.next();
+            delay = waitResult.done ? undefined : waitResult.value;
+          } else if (retryAfterMs <= maxRetryAfterMs) {
+            delay = retryAfterMs;
+          }
+        }
+
+        if (delay === undefined) {
+          if (err) {
+            throw err;
+          }
+          return response;
+        }
+
+        if (response) {
+          await discardBody(response);
+        }
+        if (onRetry) {
+          onRetry(err || response, delay);
+        }
+        await retrySetTimeout(delay, undefined, { signal });
+      }
+      /* eslint-enable no-await-in-loop */
+    } finally {
+      if (waitIterator.return !== undefined) {
+        waitIterator.return();
+      }
+    }
+  };
+};
+
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
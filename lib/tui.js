@@ -0,0 +1,541 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const timers = require('node:timers');
+const { setTimeout: setTimeoutP } = require('node:timers/promises');
+
+const { default: ansiStyles } = require('ansi-styles');
+
+const appveyorStatus = require('../index.js');
+const createAppveyorClient = require('./appveyor-client.js');
+const appveyorUtils = require('./appveyor-utils.js');
+const retryAsync = require('./retry-async.js');
+
+const { now } = timers.Date || Date;
+
+/** Number of lines at the end of the job log shown for each project.
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+exports.LOG_TAIL_LINES = 3;
+
+/** Default time between refreshes of each project, in milliseconds.
+ *
+ * @constant
+ * @type {number}
+ * @private
+ */
+exports.REFRESH_INTERVAL_MS = 10000;
+
+/** Keys (as written to a raw-mode TTY) and the action each performs.
+ *
+ * @constant
+ * @type {!Object<string, string>}
+ * @private
+ */
+const keyActions = {
+  // Note: Escape is not mapped, since it also starts the sequence for arrow
+  // keys, which may be split across reads.
+  '\u{3}': 'quit',
+  '\u{1B}[A': 'previousProject',
+  '\u{1B}[B': 'nextProject',
+  '\u{1B}[C': 'nextJob',
+  '\u{1B}[D': 'previousJob',
+  '\r': 'openLog',
+  c: 'cancel',
+  h: 'previousJob',
+  j: 'nextProject',
+  k: 'previousProject',
+  l: 'nextJob',
+  o: 'openLog',
+  q: 'back',
+  r: 'rerun',
+  y: 'confirm',
+};
+
+/** Help text listing keyboard shortcuts, shown in the dashboard header.
+ *
+ * @constant
+ * @type {string}
+ * @private
+ */
+const KEY_HELP = 'up/down: project  left/right: job  enter: log  '
+  + 'r: re-run  c: cancel  q: quit';
+
+/** Maps AppVeyor build status to an ansi-styles color name.
+ *
+ * Unlike the single-status output, in-progress builds are highlighted so
+ * they stand out on the dashboard.
+ *
+ * @constant
+ * @type {!Object<string, string>}
+ * @private
+ */
+const statusColor = {
+  cancelled: 'gray',
+  failed: 'red',
+  queued: 'yellow',
+  running: 'yellow',
+  success: 'green',
+};
+
+/** Colors a status (or other text) for output, if color is enabled.
+ *
+ * @private
+ */
+function style(color, colorName, text) {
+  if (!color || !colorName) {
+    return text;
+  }
+
+  const ansiStyle = ansiStyles[colorName];
+  return `${ansiStyle.open}${text}${ansiStyle.close}`;
+}
+
+/** Truncates a line to a given number of columns.
+ *
+ * @private
+ */
+function truncate(line, columns) {
+  return columns && line.length > columns ? line.slice(0, columns) : line;
+}
+
+/** Gets the job for which the log tail is shown for a project.
+ *
+ * @private
+ */
+function getLogJob(entry) {
+  const jobs = entry.projectBuild ? entry.projectBuild.build.jobs : [];
+  return jobs[entry.jobIndex]
+    || jobs.find((job) => job.status === 'running')
+    || jobs.find((job) => job.status === 'failed')
+    || jobs[0];
+}
+
+/** State of a project shown on the dashboard.
+ *
+ * @private
+ * @typedef {{
+ *   options: !module:appveyor-status.AppveyorStatusOptions,
+ *   label: string,
+ *   projectBuild: (object|undefined),
+ *   error: (Error|undefined),
+ *   jobIndex: (number|undefined),
+ *   logKey: (string|undefined),
+ *   logLines: !Array<string>
+ * }} DashboardEntry
+ * @property {!module:appveyor-status.AppveyorStatusOptions} options Options
+ * for API functions which query the project.
+ * @property {string} label Name of the project, for display.
+ * @property {object=} projectBuild Last build of the project (as an
+ * <code>appveyorSwagger.ProjectBuild</code>), once it has been fetched.
+ * @property {Error=} error Error from the most recent refresh, if any.
+ * @property {number=} jobIndex Index of the selected job, if any.
+ * @property {string=} logKey Job ID and status for which
+ * <code>logLines</code> were fetched.
+ * @property {!Array<string>} logLines Last lines of the log of the job
+ * returned by {@link getLogJob}.
+ */
+
+/** Renders the dashboard as lines of text.
+ *
+ * @param {!Array<!DashboardEntry>} entries Projects to render.
+ * @param {!{
+ *   color: boolean,
+ *   columns: (number|undefined),
+ *   message: (string|undefined),
+ *   now: number,
+ *   selected: number
+ * }} options Rendering options.  <code>selected</code> is the index of the
+ * selected entry.  <code>message</code> is shown below the header.
+ * @returns {!Array<string>} Lines of the rendered dashboard.
+ * @private
+ */
+exports.renderDashboard = function renderDashboard(entries, options) {
+  const { color, columns } = options;
+  const lines = [
+    style(color, 'bold', 'AppVeyor Dashboard'),
+    style(color, 'gray', truncate(KEY_HELP, columns)),
+    truncate(options.message || '', columns),
+  ];
+
+  for (const [i, entry] of entries.entries()) {
+    const isSelected = i === options.selected;
+    const marker = isSelected ? '> ' : '  ';
+    lines.push('');
+
+    if (!entry.projectBuild) {
+      const state = entry.error ? style(color, 'red', `${entry.error}`)
+        : style(color, 'gray', 'loading...');
+      lines.push(truncate(`${marker}${entry.label}  ${state}`, columns));
+    } else {
+      const { build } = entry.projectBuild;
+      const { jobs } = build;
+      const finishedJobs = jobs.filter((job) => job.finished).length;
+      const elapsed = appveyorUtils.formatDuration(
+        appveyorUtils.getElapsedMs(build, options.now),
+      );
+      lines.push(truncate(
+        `${marker}${entry.label}  ${build.version} (${build.branch})  ${
+          style(color, statusColor[build.status], build.status)}  ${
+          finishedJobs}/${jobs.length} jobs  ${elapsed}${
+          entry.error ? `  ${style(color, 'red', `${entry.error}`)}` : ''}`,
+        columns,
+      ));
+
+      const logJob = getLogJob(entry);
+      for (const [j, job] of jobs.entries()) {
+        const jobMarker = isSelected && job === logJob ? '> ' : '  ';
+        const jobElapsed = job.started ? `  ${appveyorUtils.formatDuration(
+          appveyorUtils.getElapsedMs(job, options.now),
+        )}` : '';
+        lines.push(truncate(
+          `  ${jobMarker}${job.name || `Job ${j + 1}`}  ${
+            style(color, statusColor[job.status], job.status)}${jobElapsed}`,
+          columns,
+        ));
+      }
+
+      for (const logLine of entry.logLines) {
+        lines.push(truncate(
+          `      ${style(color, 'gray', '|')} ${logLine}`,
+          columns,
+        ));
+      }
+    }
+  }
+
+  return lines;
+};
+
+/** Gets the last non-empty lines of a log.
+ *
+ * @private
+ */
+function getLogTail(log, count) {
+  return log.split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(-count);
+}
+
+/** Runs the dashboard for <code>runTui</code> with canonicalized options.
+ *
+ * @param {!object} options Options passed to <code>runTui</code>.
+ * @param {!Array<!DashboardEntry>} entries Projects to show.
+ * @param {!AbortController} abortController Controller which is aborted
+ * (and whose signal is in the options of each entry) when the dashboard is
+ * closed.
+ * @returns {!Promise<void>} Promise which resolves once the user quits.
+ * @private
+ */
+function runDashboard(options, entries, abortController) {
+  const { stdin, stdout } = options;
+  const interval = options.interval || exports.REFRESH_INTERVAL_MS;
+  const { signal } = abortController;
+  let selected = 0;
+  let message;
+  let logView;
+  let confirmation;
+
+  function render() {
+    if (signal.aborted) {
+      return;
+    }
+
+    let lines;
+    if (logView) {
+      const maxLines = Math.max((stdout.rows || 24) - 2, 1);
+      lines = [
+        `${logView.title}  ${style(options.color, 'gray', 'q: back')}`,
+        '',
+        ...logView.log.split(/\r?\n/).slice(-maxLines),
+      ];
+    } else {
+      lines = exports.renderDashboard(entries, {
+        color: options.color,
+        columns: stdout.columns,
+        message,
+        now: now(),
+        selected,
+      });
+    }
+
+    // Move cursor home and clear screen before drawing
+    stdout.write(`\u{1B}[H\u{1B}[2J${lines.join('\n')}\n`);
+  }
+
+  async function refresh(entry) {
+    try {
+      // Note: getLastBuild would return a build without jobs when the
+      // project is found by repository, statusBadgeId, or webhookId.
+      const projectBuild = await appveyorStatus.getLastBuildWithJobs({
+        ...entry.options,
+        wait: 0,
+      });
+      // Query the project found for later refreshes, rather than finding it
+      // again on each refresh.
+      entry.options = {
+        ...entry.options,
+        project: projectBuild.project,
+        repo: undefined,
+        statusBadgeId: undefined,
+        webhookId: undefined,
+      };
+      entry.projectBuild = projectBuild;
+      entry.label = appveyorUtils.projectToString(projectBuild.project);
+      entry.error = undefined;
+
+      // Fetch log if the job or its status changed, or it is still running
+      const job = getLogJob(entry);
+      const logKey = job && `${job.jobId}:${job.status}`;
+      if (job && (logKey !== entry.logKey || job.status === 'running')) {
+        const log = await appveyorStatus.getJobLog({
+          ...entry.options,
+          job: job.jobId,
+          wait: 0,
+        });
+        entry.logKey = logKey;
+        entry.logLines = getLogTail(log, exports.LOG_TAIL_LINES);
+      }
+    } catch (err) {
+      if (signal.aborted) {
+        throw err;
+      }
+      entry.error = err;
+    }
+
+    render();
+    return entry;
+  }
+
+  function poll(entry) {
+    return retryAsync(refresh, {
+      minWaitMs: 0,
+      // Pass through injected now+setTimeout for testing
+      now,
+      setTimeout: setTimeoutP,
+      shouldRetry: () => true,
+      signal,
+      waitMs: interval,
+    }, entry);
+  }
+
+  function runAction(entry, funcName, verb) {
+    message = `${verb} ${entry.label}...`;
+    render();
+    appveyorStatus[funcName]({ ...entry.options, wait: 0 })
+      .then(
+        (projectBuild) => {
+          message = `${verb} ${entry.label} build ${
+            projectBuild.build.version}`;
+          return refresh(entry);
+        },
+        (err) => {
+          message = style(options.color, 'red', `${err}`);
+          render();
+        },
+      )
+      .catch(() => {
+        // Refresh is only rejected if the dashboard was closed.
+      });
+  }
+
+  function confirmAction(entry, funcName, question, verb) {
+    confirmation = { entry, funcName, verb };
+    message = `${question} ${entry.label}? (y/n)`;
+    render();
+  }
+
+  function openLog(entry) {
+    const job = getLogJob(entry);
+    if (!job) {
+      return Promise.resolve();
+    }
+
+    const title = `${entry.label} ${job.name}`;
+    logView = { title, log: 'loading...' };
+    render();
+    const logOptions = { ...entry.options, job: job.jobId, wait: 0 };
+    return appveyorStatus.getJobLog(logOptions)
+      .catch((err) => `${err}`)
+      .then((log) => {
+        // Ignore the log if the view was closed (or another log opened)
+        if (logView && logView.title === title) {
+          logView.log = log;
+          render();
+        }
+        return undefined;
+      });
+  }
+
+  function selectJob(delta) {
+    const entry = entries[selected];
+    if (!entry.projectBuild) {
+      return;
+    }
+
+    const { jobs } = entry.projectBuild.build;
+    const current = jobs.indexOf(getLogJob(entry));
+    entry.jobIndex = (current + delta + jobs.length) % jobs.length;
+    entry.logKey = undefined;
+    render();
+    refresh(entry).catch(() => {
+      // Refresh is only rejected if the dashboard was closed.
+    });
+  }
+
+  // Note: Promise.withResolvers() requires Node.js 22.
+  let resolveQuit;
+  // eslint-disable-next-line unicorn/prefer-promise-with-resolvers
+  const quitP = new Promise((resolve) => { resolveQuit = resolve; });
+
+  function onData(data) {
+    const action = keyActions[String(data)];
+    if (logView && action !== 'quit') {
+      // Other keys are ignored while the log is shown
+      if (action === 'back' || action === 'openLog') {
+        logView = undefined;
+        render();
+      }
+      return;
+    }
+
+    if (confirmation && action !== 'quit') {
+      // Any key other than y declines
+      const { entry, funcName, verb } = confirmation;
+      confirmation = undefined;
+      if (action === 'confirm') {
+        runAction(entry, funcName, verb);
+      } else {
+        message = undefined;
+        render();
+      }
+      return;
+    }
+
+    switch (action) {
+      case 'back':
+      case 'quit':
+        resolveQuit();
+        break;
+      case 'previousProject':
+        selected = (selected - 1 + entries.length) % entries.length;
+        render();
+        break;
+      case 'nextProject':
+        selected = (selected + 1) % entries.length;
+        render();
+        break;
+      case 'previousJob':
+        selectJob(-1);
+        break;
+      case 'nextJob':
+        selectJob(1);
+        break;
+      case 'openLog':
+        openLog(entries[selected]);
+        break;
+      case 'rerun':
+        confirmAction(
+          entries[selected],
+          'rerunBuild',
+          'Re-run build of',
+          'Re-running',
+        );
+        break;
+      case 'cancel':
+        confirmAction(
+          entries[selected],
+          'cancelBuild',
+          'Cancel build of',
+          'Cancelling',
+        );
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (typeof stdin.setRawMode === 'function') {
+    stdin.setRawMode(true);
+  }
+  stdin.on('data', onData);
+  stdin.resume();
+  // Switch to alternate screen buffer and hide cursor
+  stdout.write('\u{1B}[?1049h\u{1B}[?25l');
+  render();
+
+  const pollsP = Promise.all(entries.map(poll)).catch((err) => {
+    if (!signal.aborted) {
+      throw err;
+    }
+  });
+
+  return Promise.race([quitP, pollsP])
+    .finally(() => {
+      abortController.abort();
+      stdin.removeListener('data', onData);
+      stdin.pause();
+      if (typeof stdin.setRawMode === 'function') {
+        stdin.setRawMode(false);
+      }
+      // Show cursor and restore main screen buffer
+      stdout.write('\u{1B}[?25h\u{1B}[?1049l');
+    });
+}
+
+/** Runs an interactive dashboard of the last build of each project, which
+ * refreshes until the user quits.
+ *
+ * @param {!{
+ *   color: boolean,
+ *   interval: (number|undefined),
+ *   projectOptions: !Array<!module:appveyor-status.AppveyorStatusOptions>,
+ *   stdin: !module:stream.Readable,
+ *   stdout: !module:stream.Writable
+ * }} options Options.  <code>projectOptions</code> are the options for API
+ * functions for each project.  <code>interval</code> is the time between
+ * refreshes of each project, in milliseconds.
+ * @returns {!Promise<void>} Promise which resolves once the user quits.
+ * @private
+ */
+exports.runTui = function runTui(options) {
+  const abortController = new AbortController();
+  const { signal } = abortController;
+
+  // Use the same API client (and HTTP Agent) for every refresh of every
+  // project, rather than creating one for each API call.
+  let client;
+  try {
+    client = createAppveyorClient({
+      ...options.projectOptions[0],
+      // Pass through injected now+setTimeout for testing
+      now,
+      setTimeout: setTimeoutP,
+    });
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  const entries = options.projectOptions.map((projectOptions) => ({
+    options: {
+      ...projectOptions,
+      appveyorClient: client.appveyorClient,
+      signal,
+    },
+    label: projectOptions.project || projectOptions.repo || '.',
+    logLines: [],
+  }));
+  return runDashboard(options, entries, abortController)
+    .finally(() => {
+      if (client.agent) {
+        client.agent.destroy();
+      }
+    });
+};
@@ -347,6 +347,27 @@ exports.getProjectBuild = function getLastBuild(options) {
   return projectBuild;
 };
 
+/**
+ * Gets a ProjectHistory API response with builds having given properties.
+ *
+ * @param {!Array<object>} buildsOptions Property values to update in each
+ * build of the response.
+ * @returns {object} Mock getProjectHistory API response.
+ */
+exports.getProjectHistory = function getProjectHistory(buildsOptions) {
+  const { project } = exports.getProjectBuild();
+  const builds = buildsOptions.map((buildOptions) => {
+    const { build } = exports.getProjectBuild(buildOptions);
+    // Jobs are always empty in getProjectHistory responses
+    build.jobs = [];
+    return build;
+  });
+  return {
+    project,
+    builds,
+  };
+};
+
 /**
  * Gets a status badge API response with a given status.
  *
@@ -11,8 +11,11 @@
  * timers/promises API which wrap the setInterval and setTimeout functions
  * from a given object.
  *
- * @param {!{setImmediate: !Function, setTimeout: !Function}} timers Timer
- * functions to wrap.
+ * @param {!{
+ *   clearTimeout: !Function,
+ *   setImmediate: !Function,
+ *   setTimeout: !Function
+ * }} timers Timer functions to wrap.
  * @returns {!{setImmediate: !Function, setTimeout: !Function}} Promisified
  * versions.
  */
@@ -38,12 +41,39 @@ function promisifyTimers(timers) {
 
   // eslint-disable-next-line no-shadow
   function setTimeout(delay, value, options) {
-    if (options && (options.ref || options.signal)) {
-      throw new TypeError('options is not supported');
+    if (options && options.ref) {
+      throw new TypeError('options.ref is not supported');
     }
 
-    return new Promise((resolve) => {
-      timers.setTimeout(resolve, delay, value);
+    const signal = options && options.signal;
+    return new Promise((resolve, reject) => {
+      let timeout;
+
+      // Reject with an Error like the one from timers/promises
+      function onAbort() {
+        timers.clearTimeout(timeout);
+        const abortErr = new Error('The operation was aborted');
+        abortErr.name = 'AbortError';
+        abortErr.code = 'ABORT_ERR';
+        abortErr.cause = signal.reason;
+        reject(abortErr);
+      }
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      timeout = timers.setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve(value);
+      }, delay);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
     });
   }
 
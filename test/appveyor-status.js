@@ -6,6 +6,15 @@
 'use strict';
 
 const assert = require('node:assert');
+const { once } = require('node:events');
+const {
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+} = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
 const stream = require('node:stream');
 const url = require('node:url');
 
@@ -74,6 +83,68 @@ function waitForTimer(maxRetries) {
   });
 }
 
+/** Gets build options for builds in a ProjectHistory, most recent first,
+ * created one day apart ending on 2016-11-20.
+ *
+ * @private
+ */
+function makeHistoryBuilds(count, firstBuildNumber, buildOptions) {
+  return Array.from({ length: count }, (v, i) => {
+    const buildNumber = firstBuildNumber - i;
+    return {
+      buildId: 9_876_000 + buildNumber,
+      buildNumber,
+      version: `0.0.${buildNumber}`,
+      created: new Date(Date.UTC(2016, 10, 20 - i)).toISOString(),
+      ...buildOptions,
+    };
+  });
+}
+
+function getRunningBuild() {
+  const projectBuild = apiResponses.getProjectBuild({ status: 'running' });
+  delete projectBuild.build.finished;
+  for (const job of projectBuild.build.jobs) {
+    job.status = 'running';
+    delete job.finished;
+  }
+  return projectBuild;
+}
+
+function collectEvents(watcher) {
+  const events = [];
+  for (const type of ['build', 'job', 'status']) {
+    watcher.on(type, (event) => { events.push(event); });
+  }
+  return events;
+}
+
+function getProjectBuildWithJobs(...statuses) {
+  const projectBuild = apiResponses.getProjectBuild({});
+  const { jobs } = projectBuild.build;
+  for (const [i, status] of statuses.entries()) {
+    jobs[i].status = status;
+  }
+  return projectBuild;
+}
+
+function makeAccountProject(slug, repositoryType, builds) {
+  const project = apiResponses.getProject({ repositoryType });
+  const [templateBuild] = project.builds;
+  return {
+    ...project,
+    name: `Project ${slug}`,
+    slug,
+    builds: builds.map(([branch, status, day]) => ({
+      ...templateBuild,
+      branch,
+      status,
+      version: `1.0.${day}`,
+      created: `2016-11-${day}T00:00:00+00:00`,
+    })),
+  };
+}
+
 function assertAuthorization(req, authorization) {
   try {
     assert.strictEqual(
@@ -361,6 +432,35 @@ describe('appveyorStatus', function() {
           });
       });
 
+      it('calls options.onPoll with each unfinished build', async () => {
+        const testProject = 'foo/bar';
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: 'queued' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: 'running' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+        options.onPoll = sinon.spy();
+        options.project = testProject;
+        options.wait = true;
+        const projectBuildP = appveyorStatus.getLastBuild(options);
+        await waitForTimer(10);
+        clock.tick(60000);
+        await waitForTimer(10);
+        clock.tick(60000);
+        const projectBuild = await projectBuildP;
+        assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+        assert.deepStrictEqual(
+          options.onPoll.args.map(([pb]) => projectBuildToStatus(pb)),
+          ['queued', 'running'],
+        );
+        ne.done();
+      });
+
       it('true retries queued status verbosely', () => {
         const testProject = 'foo/bar';
         const testStatus = 'success';
@@ -464,6 +564,167 @@ describe('appveyorStatus', function() {
           });
       });
 
+      it('waits between retries using options.pollStrategy', async () => {
+        const testProject = 'foo/bar';
+        const testStatus = 'success';
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .times(2)
+          .reply(200, apiResponses.getProjectBuild({ status: 'queued' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+
+        options.pollStrategy = 'fibonacci';
+        options.project = testProject;
+        options.wait = true;
+        options.verbosity = 1;
+        const projectBuildP = appveyorStatus.getLastBuild(options);
+        await waitForTimer(10);
+        clock.tick(4000);
+        await waitForTimer(10);
+        clock.tick(4000);
+        const projectBuild = await projectBuildP;
+        assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+        assert.match(
+          String(options.err.read()),
+          /\bWaiting 4 seconds\b[\s\S]+\bWaiting 4 seconds\b/,
+        );
+        ne.done();
+      });
+
+      it('waits at least pollInterval with full-jitter', async () => {
+        const testProject = 'foo/bar';
+        const testStatus = 'success';
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: 'queued' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+
+        const randomStub = sinon.stub(Math, 'random').returns(0);
+        try {
+          options.pollInterval = 1000;
+          options.pollStrategy = 'full-jitter';
+          options.project = testProject;
+          options.wait = true;
+          options.verbosity = 1;
+          const projectBuildP = appveyorStatus.getLastBuild(options);
+          await waitForTimer(10);
+          clock.tick(1000);
+          const projectBuild = await projectBuildP;
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          assert.match(String(options.err.read()), /\bWaiting 1 seconds\b/);
+        } finally {
+          randomStub.restore();
+        }
+        ne.done();
+      });
+
+      it('waits between retries using poll interval options', async () => {
+        const testProject = 'foo/bar';
+        const testStatus = 'success';
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .times(3)
+          .reply(200, apiResponses.getProjectBuild({ status: 'queued' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+
+        options.backoffFactor = 3;
+        options.maxPollInterval = 5000;
+        options.pollInterval = 1000;
+        options.project = testProject;
+        options.wait = true;
+        options.verbosity = 1;
+        const projectBuildP = appveyorStatus.getLastBuild(options);
+        for (const delay of [1000, 3000, 5000]) {
+          // eslint-disable-next-line no-await-in-loop
+          await waitForTimer(10);
+          clock.tick(delay);
+        }
+        const projectBuild = await projectBuildP;
+        assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+        assert.match(
+          String(options.err.read()),
+          /\bWaiting 1 seconds\b[\s\S]+\bWaiting 3 seconds\b[\s\S]+\b5 seconds\b/,
+        );
+        ne.done();
+      });
+
+      it('waits pollInterval longer than default maximum', async () => {
+        const testProject = 'foo/bar';
+        const testStatus = 'success';
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: 'queued' }))
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+
+        options.pollInterval = 120000;
+        options.project = testProject;
+        options.wait = true;
+        options.verbosity = 1;
+        const projectBuildP = appveyorStatus.getLastBuild(options);
+        await waitForTimer(10);
+        clock.tick(119999);
+        assert(!ne.isDone(), 'Retry is not done before pollInterval.');
+        clock.tick(1);
+        const projectBuild = await projectBuildP;
+        assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+        assert.match(String(options.err.read()), /\bWaiting 120 seconds\b/);
+        ne.done();
+      });
+
+      it('rejects with RangeError for pollInterval > maxPollInterval', () => {
+        options.maxPollInterval = 60000;
+        options.pollInterval = 120000;
+        options.project = 'foo/bar';
+        options.wait = true;
+        return assert.rejects(
+          () => appveyorStatus.getLastBuild(options),
+          (err) => {
+            assert(err instanceof RangeError);
+            assert.match(err.message, /\bpollInterval\b/);
+            return true;
+          },
+        );
+      });
+
+      for (const [name, value, ErrorType] of [
+        ['backoffFactor', 0.5, RangeError],
+        ['maxPollInterval', -1, RangeError],
+        ['pollInterval', '1000', TypeError],
+        ['pollInterval', 0, RangeError],
+      ]) {
+        it(`rejects with ${ErrorType.name} for ${name} ${value}`, () => {
+          options[name] = value;
+          options.project = 'foo/bar';
+          options.wait = true;
+          return assert.rejects(
+            () => appveyorStatus.getLastBuild(options),
+            ErrorType,
+          );
+        });
+      }
+
+      it('rejects with RangeError for unknown pollStrategy', () => {
+        options.pollStrategy = 'linear';
+        options.project = 'foo/bar';
+        options.wait = true;
+        return assert.rejects(
+          () => appveyorStatus.getLastBuild(options),
+          RangeError,
+        );
+      });
+
       it('is stopped on error', () => {
         const testErrMsg = 'something bad';
         const testProject = 'foo/bar';
@@ -477,6 +738,7 @@ describe('appveyorStatus', function() {
           .replyWithError(testErrMsg);
 
         options.project = testProject;
+        options.requestRetries = 0;
         options.wait = true;
         const projectBuildP = appveyorStatus.getLastBuild(options);
         return waitForTimer(10)
@@ -706,6 +968,299 @@ describe('appveyorStatus', function() {
       );
     });
 
+    it('matches repo on host in repoHosts', () => {
+      const testStatus = 'success';
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('getRemote').never();
+      gitUtilsMock.expects('getRemoteUrl').never();
+      gitUtilsMock.expects('resolveCommit').never();
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [
+          apiResponses.getProject({
+            repositoryType: 'gitHub',
+            repositoryName: 'foo/bar',
+            status: 'failed',
+          }),
+          apiResponses.getProject({
+            repositoryType: 'gitHubEnterprise',
+            repositoryName: 'foo/bar',
+            status: testStatus,
+          }),
+        ]);
+      options.repo = 'git@GHE.example.com:foo/bar.git';
+      options.repoHosts = { 'ghe.example.com': 'gitHubEnterprise' };
+      return appveyorStatus.getLastBuild(options)
+        .then((projectBuild) => {
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          ne.done();
+        });
+    });
+
+    it('matches repo after resolving SSH host alias', () => {
+      const testRepo = 'git@github-work:foo/bar.git';
+      const testStatus = 'success';
+      gitUtilsMock.expects('resolveGitUrl')
+        .once().withArgs(testRepo)
+        .resolves('ssh://git@github.com/foo/bar.git');
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [
+          apiResponses.getProject({
+            repositoryType: 'gitHub',
+            repositoryName: 'foo/bar',
+            status: testStatus,
+          }),
+        ]);
+      options.repo = testRepo;
+      options.verbosity = 1;
+      return appveyorStatus.getLastBuild(options)
+        .then((projectBuild) => {
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          assert.match(
+            String(options.err.read()),
+            /\bResolved git@github-work:foo\/bar\.git to ssh:\/\/git@github\.com\//,
+          );
+          gitUtilsMock.verify();
+          ne.done();
+        });
+    });
+
+    it('does not resolve repo on known host', () => {
+      const testStatus = 'success';
+      gitUtilsMock.expects('resolveGitUrl').never();
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [
+          apiResponses.getProject({
+            repositoryType: 'gitHub',
+            repositoryName: 'foo/bar',
+            status: testStatus,
+          }),
+        ]);
+      options.repo = 'git@github.com:foo/bar.git';
+      return appveyorStatus.getLastBuild(options)
+        .then((projectBuild) => {
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          gitUtilsMock.verify();
+          ne.done();
+        });
+    });
+
+    it('reports unresolvable repo if verbose', () => {
+      const testRepo = 'git@example.com:foo/bar.git';
+      gitUtilsMock.expects('resolveGitUrl')
+        .once().rejects(new Error('test resolve error'));
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, []);
+      options.repo = testRepo;
+      options.verbosity = 1;
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        /\bNo AppVeyor projects matching\b/,
+      )
+        .then(() => {
+          assert.match(
+            String(options.err.read()),
+            /\bUnable to resolve git@example\.com:foo\/bar\.git: Error: test resolve error\b/,
+          );
+          ne.done();
+        });
+    });
+
+    it('reports repositoryType mismatch if verbose', () => {
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [
+          apiResponses.getProject({
+            repositoryType: 'gitHubEnterprise',
+            repositoryName: 'Foo/Bar',
+          }),
+        ]);
+      options.repo = 'https://github.com/foo/bar.git';
+      options.verbosity = 1;
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        /\bNo AppVeyor projects matching\b/,
+      )
+        .then(() => {
+          assert.match(
+            String(options.err.read()),
+            /\brepository \{"repositoryType":"gitHubEnterprise","repositoryName":"Foo\/Bar"\} does not match \{"repositoryType":"gitHub","repositoryName":"foo\/bar"\}/,
+          );
+          ne.done();
+        });
+    });
+
+    it('reports unknown repository host if verbose', () => {
+      const testRepo = 'https://example.com/foo/bar.git';
+      gitUtilsMock.expects('resolveGitUrl').once().resolves(testRepo);
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, []);
+      options.repo = testRepo;
+      options.verbosity = 1;
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        /\bNo AppVeyor projects matching\b/,
+      )
+        .then(() => {
+          assert.match(
+            String(options.err.read()),
+            /\bnot on a known repository host\b[\s\S]+--repo-host\b/,
+          );
+          ne.done();
+        });
+    });
+
+    describe('with allRemotes', () => {
+      const testRemotes = [
+        { name: 'fork', url: 'https://github.com/me/repo.git' },
+        { name: 'origin', url: 'https://github.com/org/repo.git' },
+        { name: 'upstream', url: 'git@github.com:other/repo.git' },
+      ];
+      const orgProject = apiResponses.getProject({
+        accountName: 'org',
+        repositoryName: 'org/repo',
+        repositoryType: 'gitHub',
+        slug: 'repo',
+        status: 'success',
+      });
+      const otherProject = apiResponses.getProject({
+        accountName: 'other',
+        repositoryName: 'other/repo',
+        repositoryType: 'gitHub',
+        slug: 'repo',
+        status: 'failed',
+      });
+
+      beforeEach(() => {
+        options.allRemotes = true;
+        gitUtilsMock.expects('getBranch')
+          .once().withArgs(matchOptionsCwd).resolves('main');
+        gitUtilsMock.expects('getRemoteUrl').never();
+      });
+
+      function expectRemotes(remote, remotes = testRemotes) {
+        gitUtilsMock.expects('getRemote')
+          .once().withArgs('main', matchOptionsCwd).resolves(remote);
+        gitUtilsMock.expects('getRemoteUrls')
+          .once().withArgs(matchOptionsCwd).resolves(remotes);
+      }
+
+      it('prefers project of upstream remote of branch', () => {
+        expectRemotes('upstream');
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [orgProject, otherProject]);
+        return appveyorStatus.getLastBuild(options)
+          .then((projectBuild) => {
+            assert.strictEqual(projectBuildToStatus(projectBuild), 'failed');
+            gitUtilsMock.verify();
+            ne.done();
+          });
+      });
+
+      it('uses project of other remote if upstream has none', () => {
+        expectRemotes('fork');
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [
+            apiResponses.getProject({
+              repositoryName: 'someone/else',
+              repositoryType: 'gitHub',
+            }),
+            orgProject,
+          ]);
+        return appveyorStatus.getLastBuild(options)
+          .then((projectBuild) => {
+            assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+            gitUtilsMock.verify();
+            ne.done();
+          });
+      });
+
+      it('AmbiguousProjectError if other remotes match projects', () => {
+        expectRemotes('fork');
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [orgProject, otherProject]);
+        return assert.rejects(
+          () => appveyorStatus.getLastBuild(options),
+          (err) => {
+            assert(err instanceof AmbiguousProjectError);
+            assert.deepStrictEqual(err.projects, ['org/repo', 'other/repo']);
+            ne.done();
+            return true;
+          },
+        );
+      });
+
+      it('uses project matched by multiple other remotes', () => {
+        expectRemotes('fork', [
+          ...testRemotes.slice(0, 2),
+          { name: 'mirror', url: 'git@github.com:org/repo.git' },
+        ]);
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [orgProject, otherProject]);
+        return appveyorStatus.getLastBuild(options)
+          .then((projectBuild) => {
+            assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+            ne.done();
+          });
+      });
+
+      it('uses origin first if branch has no upstream remote', () => {
+        gitUtilsMock.expects('getRemote')
+          .once().withArgs('main', matchOptionsCwd)
+          .rejects(new Error('test'));
+        gitUtilsMock.expects('getRemoteUrls')
+          .once().withArgs(matchOptionsCwd).resolves(testRemotes);
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [orgProject, otherProject]);
+        return appveyorStatus.getLastBuild(options)
+          .then((projectBuild) => {
+            assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+            ne.done();
+          });
+      });
+
+      it('rejects with Error if there are no remotes', () => {
+        expectRemotes('origin', []);
+        return assert.rejects(
+          () => appveyorStatus.getLastBuild(options),
+          /\bNo remotes\b/,
+        );
+      });
+    });
+
+    it('rejects with RangeError for unknown repoHosts type', () => {
+      options.repo = 'https://ghe.example.com/foo/bar.git';
+      options.repoHosts = { 'ghe.example.com': 'github' };
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        RangeError,
+      );
+    });
+
+    it('rejects with TypeError for non-object repoHosts', () => {
+      options.repo = 'https://ghe.example.com/foo/bar.git';
+      options.repoHosts = 'ghe.example.com=gitHubEnterprise';
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        TypeError,
+      );
+    });
+
     it('AmbiguousProjectError if multiple projects match repo', () => {
       const testProject1 = ['myacct', 'proj1'];
       const testProject2 = ['youracct', 'proj2'];
@@ -803,6 +1358,7 @@ describe('appveyorStatus', function() {
         .query(true)
         .replyWithError(testErrMsg);
       options.project = testProject;
+      options.requestRetries = 0;
       return appveyorStatus.getLastBuild(options).then(
         sinon.mock().never(),
         (err) => {
@@ -911,21 +1467,1538 @@ describe('appveyorStatus', function() {
     });
   });
 
-  describe('.getStatusBadge', () => {
-    it('queries badge by repo URL', () => {
-      const testBadgeUrlPath = 'gitHub/foo/bar';
-      const testRepoUrl = 'git@github.com:foo/bar.git';
-      const testStatus = 'success';
-      gitUtilsMock.expects('getBranch').never();
-      gitUtilsMock.expects('getRemote').never();
-      gitUtilsMock.expects('getRemoteUrl').never();
-      gitUtilsMock.expects('resolveCommit').never();
-      const ne = nock(apiUrl)
-        .get(`/api/projects/status/${testBadgeUrlPath}`)
+  describe('.getLastBuild with commitOrDescendant', () => {
+    const testCommit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+    const buildCommit = '123098123a941928301820ef938ab2c123572909';
+    const testProject = 'foo/bar';
+
+    let ne;
+    beforeEach(() => {
+      ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
         .query(true)
-        .reply(
-          200,
-          apiResponses.getStatusBadge(testStatus),
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.commit = testCommit;
+      options.commitOrDescendant = true;
+      options.project = testProject;
+    });
+
+    it('resolves with build of descendant commit', async () => {
+      gitUtilsMock.expects('isAncestor')
+        .once().withArgs(testCommit, buildCommit, matchOptionsCwd)
+        .resolves(true);
+      gitUtilsMock.expects('countCommits')
+        .once().withArgs(testCommit, buildCommit, matchOptionsCwd)
+        .resolves(3);
+      const projectBuild = await appveyorStatus.getLastBuild(options);
+      assert.strictEqual(projectBuild.build.commitId, buildCommit);
+      assert.strictEqual(
+        String(options.err.read()),
+        `Build commit ${buildCommit} is 3 commits ahead of ${testCommit}.\n`,
+      );
+      ne.done();
+    });
+
+    it('does not print distance with negative verbosity', async () => {
+      gitUtilsMock.expects('isAncestor').once().resolves(true);
+      gitUtilsMock.expects('countCommits').once().resolves(1);
+      options.verbosity = -1;
+      await appveyorStatus.getLastBuild(options);
+      assert.strictEqual(options.err.read(), null);
+      ne.done();
+    });
+
+    it('rejects with CommitMismatchError if not descendant', async () => {
+      gitUtilsMock.expects('isAncestor').once().resolves(false);
+      gitUtilsMock.expects('countCommits').never();
+      await assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        { name: 'CommitMismatchError' },
+      );
+      ne.done();
+    });
+
+    it('rejects with CommitMismatchError if build has no commit', async () => {
+      nock.cleanAll();
+      ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ commitId: undefined }));
+      gitUtilsMock.expects('isAncestor').never();
+      gitUtilsMock.expects('countCommits').never();
+      await assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        (err) => {
+          assert.strictEqual(err.name, 'CommitMismatchError');
+          assert.strictEqual(err.actual, undefined);
+          assert.doesNotMatch(err.message, /\bundefined\b/);
+          return true;
+        },
+      );
+      ne.done();
+    });
+
+    it('rejects with CommitMismatchError if ancestry unknown', async () => {
+      gitUtilsMock.expects('isAncestor')
+        .once().rejects(new Error('Not a valid commit name'));
+      options.verbosity = 1;
+      await assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        { name: 'CommitMismatchError' },
+      );
+      assert.match(String(options.err.read()), /\bNot a valid commit name\b/);
+      ne.done();
+    });
+  });
+
+  describe('.getLastBuild with commitSearch', () => {
+    const testCommit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+    const testProject = 'foo/bar';
+    const historyPath = `/api/projects/${testProject}/history`;
+
+    beforeEach(() => {
+      options.commit = testCommit;
+      options.commitSearch = true;
+    });
+
+    it('finds most recent build of commit in history', async () => {
+      const builds = makeHistoryBuilds(4, 63, { status: 'success' });
+      builds[1].commitId = testCommit;
+      builds[1].status = 'failed';
+      builds[3].commitId = testCommit;
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(builds));
+      options.project = testProject;
+      const projectBuild = await appveyorStatus.getLastBuild(options);
+      assert.strictEqual(projectBuild.build.version, '0.0.62');
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'failed');
+      assert.strictEqual(projectBuild.project.slug, 'test-proj');
+      ne.done();
+    });
+
+    it('searches history of options.branch', async () => {
+      const builds = makeHistoryBuilds(1, 63, { commitId: testCommit });
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ branch: 'main', recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(builds));
+      options.branch = 'main';
+      options.project = testProject;
+      const projectBuild = await appveyorStatus.getLastBuild(options);
+      assert.strictEqual(projectBuild.build.commitId, testCommit);
+      ne.done();
+    });
+
+    it('uses project.builds of project matching repo', async () => {
+      const testProj = apiResponses.getProject({
+        accountName: 'foo',
+        commitId: testCommit,
+        repositoryName: 'foo/bar',
+        slug: 'bar',
+      });
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .reply(200, [testProj]);
+      options.repo = 'https://github.com/foo/bar.git';
+      const projectBuild = await appveyorStatus.getLastBuild(options);
+      assert.strictEqual(projectBuild.build.commitId, testCommit);
+      ne.done();
+    });
+
+    it('rejects with CommitMismatchError if commit not found', async () => {
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(3, 63)));
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        (err) => {
+          assert.strictEqual(err.name, 'CommitMismatchError');
+          assert.strictEqual(
+            err.actual,
+            '123098123a941928301820ef938ab2c123572909',
+          );
+          assert.strictEqual(err.expected, testCommit);
+          assert.match(err.message, /\b3 builds\b/);
+          assert.strictEqual(err.build.version, '0.0.63');
+          return true;
+        },
+      );
+      ne.done();
+    });
+
+    it('waits for queued build of commit', async () => {
+      const builds = makeHistoryBuilds(2, 63);
+      builds[1].commitId = testCommit;
+      builds[1].status = 'queued';
+      const buildPath =
+        '/api/projects/test-account-name/test-proj/build/0.0.62';
+      const expectQueued = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(builds))
+        .get(buildPath)
+        .reply(200, apiResponses.getProjectBuild({ status: 'running' }));
+      const expectSuccess = nock(apiUrl)
+        .get(buildPath)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.project = testProject;
+      options.wait = true;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(30);
+      assert(expectQueued.isDone(), 'Build is fetched immediately.');
+      assert(!expectSuccess.isDone(), 'Retry is not done immediately.');
+      clock.tick(60000);
+      const projectBuild = await projectBuildP;
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+      expectSuccess.done();
+    });
+  });
+
+  describe('.getLastBuild with waitForCommit', () => {
+    const testCommit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+    const testProject = 'foo/bar';
+    const lastBuildPath = `/api/projects/${testProject}`;
+
+    beforeEach(() => {
+      options.commit = testCommit;
+      options.project = testProject;
+      options.waitForCommit = true;
+    });
+
+    it('waits for build of commit to be queued then finish', async () => {
+      const buildPath =
+        '/api/projects/test-account-name/test-proj/build/0.0.64';
+      const commitBuildOptions = { commitId: testCommit, version: '0.0.64' };
+      const expectOld = nock(apiUrl)
+        .get(lastBuildPath)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      const expectCommit = nock(apiUrl)
+        .get(lastBuildPath)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({
+          ...commitBuildOptions,
+          status: 'queued',
+        }))
+        .get(buildPath)
+        .reply(200, apiResponses.getProjectBuild({
+          ...commitBuildOptions,
+          status: 'running',
+        }));
+      const expectSuccess = nock(apiUrl)
+        .get(buildPath)
+        .reply(200, apiResponses.getProjectBuild({
+          ...commitBuildOptions,
+          status: 'success',
+        }));
+      options.wait = true;
+      options.verbosity = 1;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      assert(expectOld.isDone(), 'Last build is fetched immediately.');
+      assert(!expectCommit.isDone(), 'Retry is not done immediately.');
+      clock.tick(4000);
+      await waitForTimer(30);
+      assert(expectCommit.isDone(), 'Build of commit is fetched.');
+      clock.tick(4000);
+      const projectBuild = await projectBuildP;
+      assert.strictEqual(projectBuild.build.commitId, testCommit);
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+      assert.match(
+        String(options.err.read()),
+        new RegExp(`\\bNo build of commit ${testCommit} yet\\b`),
+      );
+      expectSuccess.done();
+    });
+
+    it('rejects with CommitMismatchError when wait elapses', async () => {
+      const ne = nock(apiUrl)
+        .get(lastBuildPath)
+        .query(true)
+        .times(3)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.wait = 10000;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      clock.tick(4000);
+      await waitForTimer(10);
+      clock.tick(6000);
+      await assert.rejects(
+        projectBuildP,
+        (err) => {
+          assert.strictEqual(err.name, 'CommitMismatchError');
+          assert.strictEqual(err.expected, testCommit);
+          return true;
+        },
+      );
+      ne.done();
+    });
+
+    it('rejects with CommitMismatchError immediately without wait', () => {
+      const ne = nock(apiUrl)
+        .get(lastBuildPath)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      return assert.rejects(
+        appveyorStatus.getLastBuild(options),
+        (err) => {
+          assert.strictEqual(err.name, 'CommitMismatchError');
+          ne.done();
+          return true;
+        },
+      );
+    });
+  });
+
+  describe('.getLastBuild with signal', () => {
+    const testProject = 'foo/bar';
+
+    it('rejects with AbortError if signal already aborted', async () => {
+      const abortController = new AbortController();
+      const testReason = new Error('test reason');
+      abortController.abort(testReason);
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('resolveCommit').never();
+      options.project = testProject;
+      options.signal = abortController.signal;
+      await assert.rejects(
+        appveyorStatus.getLastBuild(options),
+        (err) => {
+          assert.strictEqual(err.name, 'AbortError');
+          assert.strictEqual(err.code, 'ABORT_ERR');
+          assert.strictEqual(err.cause, testReason);
+          return true;
+        },
+      );
+    });
+
+    it('rejects with AbortError when aborted during wait', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'queued' }));
+      const abortController = new AbortController();
+      options.project = testProject;
+      options.signal = abortController.signal;
+      options.wait = true;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      assert.strictEqual(clock.countTimers(), 1);
+      abortController.abort();
+      await assert.rejects(projectBuildP, { name: 'AbortError' });
+      assert.strictEqual(clock.countTimers(), 0, 'Wait cancelled');
+      ne.done();
+    });
+
+    it('rejects with AbortError when aborted during request', async () => {
+      const abortController = new AbortController();
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(() => {
+          abortController.abort();
+          return [200, apiResponses.getProjectBuild({ status: 'success' })];
+        });
+      options.project = testProject;
+      options.signal = abortController.signal;
+      await assert.rejects(
+        appveyorStatus.getLastBuild(options),
+        { name: 'AbortError' },
+      );
+      ne.done();
+    });
+
+    it('passes signal to git commands', async () => {
+      const abortController = new AbortController();
+      const testCommit = 'testtag';
+      gitUtilsMock.expects('resolveCommit')
+        .once()
+        .withArgs(testCommit, match({ signal: abortController.signal }))
+        .callsFake(() => {
+          abortController.abort();
+          return Promise.reject(new Error('git killed'));
+        });
+      options.commit = testCommit;
+      options.project = testProject;
+      options.signal = abortController.signal;
+      await assert.rejects(
+        appveyorStatus.getLastBuild(options),
+        { name: 'AbortError' },
+      );
+    });
+
+    it('throws TypeError for non-AbortSignal', async () => {
+      options.project = testProject;
+      options.signal = {};
+      await assert.rejects(
+        appveyorStatus.getLastBuild(options),
+        TypeError,
+      );
+    });
+  });
+
+  describe('with baseUrl', () => {
+    const testBaseUrl = 'https://appveyor.example.com/av/api';
+
+    it('queries last build for project at baseUrl', () => {
+      const testProject = 'foo/bar';
+      const testStatus = 'success';
+      const ne = nock('https://appveyor.example.com')
+        .get(`/av/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+      options.baseUrl = testBaseUrl;
+      options.project = testProject;
+      return appveyorStatus.getLastBuild(options)
+        .then((projectBuild) => {
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          ne.done();
+        });
+    });
+
+    it('queries projects at baseUrl with trailing slash', () => {
+      const testRepoUrl = 'git://foo.bar/baz';
+      const testStatus = 'success';
+      gitUtilsMock.expects('getBranch').never();
+      const ne = nock('https://appveyor.example.com')
+        .get('/av/api/projects')
+        .query(true)
+        .reply(200, [
+          apiResponses.getProject({
+            repositoryType: 'git',
+            repositoryName: testRepoUrl,
+            status: testStatus,
+          }),
+        ]);
+      options.baseUrl = new URL(`${testBaseUrl}/`);
+      options.repo = testRepoUrl;
+      return appveyorStatus.getLastBuild(options)
+        .then((projectBuild) => {
+          assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+          ne.done();
+        });
+    });
+
+    it('queries badge at http baseUrl', () => {
+      const testStatusBadgeId = 'abcde';
+      const testStatus = 'success';
+      const ne = nock('http://appveyor.example.com:8080')
+        .get(`/api/projects/status/${testStatusBadgeId}`)
+        .query(true)
+        .reply(
+          200,
+          apiResponses.getStatusBadge(testStatus),
+          { 'Content-Type': 'image/svg+xml' },
+        );
+      options.baseUrl = 'http://appveyor.example.com:8080/api';
+      options.statusBadgeId = testStatusBadgeId;
+      return appveyorStatus.getStatusBadge(options)
+        .then((badge) => {
+          assert.strictEqual(badgeToStatus(badge), testStatus);
+          ne.done();
+        });
+    });
+
+    it('throws TypeError for invalid URL', () => {
+      options.baseUrl = 'not a URL';
+      options.project = 'foo/bar';
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        TypeError,
+      );
+    });
+
+    it('throws RangeError for non-HTTP URL', () => {
+      options.baseUrl = 'ftp://appveyor.example.com/api';
+      options.project = 'foo/bar';
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        RangeError,
+      );
+    });
+  });
+
+  describe('with requestRetries', () => {
+    const testProject = 'foo/bar';
+
+    it('retries request after server error', async () => {
+      const testStatus = 'success';
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(503, { message: 'Service Unavailable' })
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: testStatus }));
+      options.project = testProject;
+      options.verbosity = 1;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      assert(!ne.isDone(), 'Retry is not done immediately.');
+      clock.tick(1000);
+      const projectBuild = await projectBuildP;
+      assert.strictEqual(projectBuildToStatus(projectBuild), testStatus);
+      assert.match(
+        String(options.err.read()),
+        /\bRetrying request in 1000ms after 503\b/,
+      );
+      ne.done();
+    });
+
+    it('waits for Retry-After when rate-limited', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(429, { message: 'Too Many Requests' }, { 'Retry-After': '5' })
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({}));
+      options.project = testProject;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      clock.tick(4900);
+      assert(!ne.isDone(), 'Retry is not done before Retry-After.');
+      clock.tick(100);
+      await projectBuildP;
+      ne.done();
+    });
+
+    it('rejects with Error after requestRetries', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .times(2)
+        .reply(502, { message: 'Bad Gateway' });
+      options.project = testProject;
+      options.requestRetries = 1;
+      const projectBuildP = appveyorStatus.getLastBuild(options);
+      await waitForTimer(10);
+      clock.tick(1000);
+      await assert.rejects(projectBuildP, /\b502\b/);
+      ne.done();
+    });
+
+    it('throws TypeError for non-number', () => {
+      options.project = testProject;
+      options.requestRetries = '1';
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        TypeError,
+      );
+    });
+
+    it('throws RangeError for negative number', () => {
+      options.project = testProject;
+      options.requestRetries = -1;
+      return assert.rejects(
+        () => appveyorStatus.getLastBuild(options),
+        RangeError,
+      );
+    });
+  });
+
+  describe('.getJobs', () => {
+    it('returns jobs from last build for options.project', () => {
+      const testProject = 'foo/bar';
+      const testProjectBuild = apiResponses.getProjectBuild({
+        status: 'failed',
+      });
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, testProjectBuild);
+      options.project = testProject;
+      return appveyorStatus.getJobs(options)
+        .then((jobs) => {
+          assert.deepStrictEqual(jobs, testProjectBuild.build.jobs);
+          ne.done();
+        });
+    });
+
+    it('gets build by version for project matching repo', () => {
+      const testProjectParts = ['foo', 'bar'];
+      const testRepoUrl = 'git://foo.bar/baz';
+      const testProject = apiResponses.getProject({
+        accountName: testProjectParts[0],
+        repositoryType: 'git',
+        repositoryName: testRepoUrl,
+        slug: testProjectParts[1],
+        status: 'failed',
+      });
+      const testVersion = testProject.builds[0].version;
+      const testProjectBuild = apiResponses.getProjectBuild({
+        status: 'failed',
+      });
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [testProject])
+        .get(`/api/projects/${testProjectParts.join('/')}/build/${
+          testVersion}`)
+        .query(true)
+        .reply(200, testProjectBuild);
+      options.repo = testRepoUrl;
+      return appveyorStatus.getJobs(options)
+        .then((jobs) => {
+          assert.deepStrictEqual(jobs, testProjectBuild.build.jobs);
+          ne.done();
+        });
+    });
+
+    it('rejects with Error for non-200 build by version', () => {
+      const testProjectParts = ['foo', 'bar'];
+      const testRepoUrl = 'git://foo.bar/baz';
+      const testProject = apiResponses.getProject({
+        accountName: testProjectParts[0],
+        repositoryType: 'git',
+        repositoryName: testRepoUrl,
+        slug: testProjectParts[1],
+      });
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .query(true)
+        .reply(200, [testProject])
+        .get(/\/build\//)
+        .query(true)
+        .reply(500, { message: 'test' });
+      options.repo = testRepoUrl;
+      options.requestRetries = 0;
+      return appveyorStatus.getJobs(options).then(
+        sinon.mock().never(),
+        (err) => {
+          assert.match(err.message, /\bbuild\b/i);
+          assert.match(err.message, /\b500\b/);
+          ne.done();
+        },
+      );
+    });
+  });
+
+  describe('.getJobLog', () => {
+    const testProject = 'foo/bar';
+
+    it('returns log of first failed job', () => {
+      const projectBuild = getProjectBuildWithJobs('success', 'failed');
+      const failedJobId = projectBuild.build.jobs[1].jobId;
+      const testLog = 'Build started\nBuild failed\n';
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${failedJobId}/log`)
+        .reply(200, testLog, { 'Content-Type': 'text/plain' });
+      options.project = testProject;
+      return appveyorStatus.getJobLog(options)
+        .then((log) => {
+          assert.strictEqual(log, testLog);
+          ne.done();
+        });
+    });
+
+    it('returns log of named job', () => {
+      const projectBuild = getProjectBuildWithJobs('failed', 'success');
+      const { jobId, name } = projectBuild.build.jobs[1];
+      const testLog = 'Build success\n';
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${jobId}/log`)
+        .reply(200, testLog, { 'Content-Type': 'application/octet-stream' });
+      options.job = name;
+      options.out = new stream.PassThrough();
+      options.project = testProject;
+      return appveyorStatus.getJobLog(options)
+        .then((log) => {
+          assert.strictEqual(log, testLog);
+          assert.strictEqual(String(options.out.read()), testLog);
+          ne.done();
+        });
+    });
+
+    it('rejects with Error if no job matches', () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getProjectBuildWithJobs('success', 'success'));
+      options.job = 'nonexistent';
+      options.project = testProject;
+      return appveyorStatus.getJobLog(options).then(
+        sinon.mock().never(),
+        (err) => {
+          assert.match(err.message, /\bnonexistent\b/);
+          ne.done();
+        },
+      );
+    });
+
+    it('follows log of running job with wait', () => {
+      const runningBuild = getProjectBuildWithJobs('running', 'queued');
+      const { jobId } = runningBuild.build.jobs[0];
+      const { version } = runningBuild.build;
+      const buildPath = `/api/projects/${
+        appveyorUtils.projectToString(runningBuild.project)}/build/${version}`;
+      const testLog1 = 'Build started\n';
+      const testLog2 = `${testLog1}Build success\n`;
+      const expectFirst = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, runningBuild)
+        .get(buildPath)
+        .query(true)
+        .reply(200, runningBuild)
+        .get(`/api/buildjobs/${jobId}/log`)
+        .reply(200, testLog1, { 'Content-Type': 'text/plain' });
+      const expectSecond = nock(apiUrl)
+        .get(buildPath)
+        .query(true)
+        .reply(200, getProjectBuildWithJobs('success', 'running'))
+        .get(`/api/buildjobs/${jobId}/log`)
+        .reply(200, testLog2, { 'Content-Type': 'text/plain' });
+
+      options.out = new stream.PassThrough();
+      options.project = testProject;
+      options.wait = true;
+      const logP = appveyorStatus.getJobLog(options);
+      return waitForTimer(30)
+        .then(() => {
+          assert(expectFirst.isDone(), 'First poll is made immediately.');
+          assert(!expectSecond.isDone(), 'Second poll is not immediate.');
+          assert.strictEqual(String(options.out.read()), testLog1);
+
+          clock.tick(4000);
+          return logP;
+        })
+        .then((log) => {
+          assert.strictEqual(log, testLog2);
+          assert.strictEqual(String(options.out.read()), 'Build success\n');
+          assert.strictEqual(clock.countTimers(), 0, 'Retries completed');
+          expectSecond.done();
+        });
+    });
+  });
+
+  describe('.listArtifacts', () => {
+    const testProject = 'foo/bar';
+
+    function nockArtifacts() {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      const [job1, job2] = projectBuild.build.jobs;
+      return nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${job1.jobId}/artifacts`)
+        .reply(200, [
+          {
+            fileName: 'out/foo-x86.zip',
+            name: 'out\\foo-x86.zip',
+            type: 'Zip',
+            size: 1234,
+          },
+          {
+            fileName: 'README.md',
+            name: 'README.md',
+            type: 'File',
+            size: 56,
+          },
+        ])
+        .get(`/api/buildjobs/${job2.jobId}/artifacts`)
+        .reply(200, [
+          {
+            fileName: 'out/foo-amd64.zip',
+            name: 'out\\foo-amd64.zip',
+            type: 'Zip',
+            size: 5678,
+          },
+        ]);
+    }
+
+    it('lists artifacts of all jobs', () => {
+      const ne = nockArtifacts();
+      options.project = testProject;
+      return appveyorStatus.listArtifacts(options)
+        .then((artifacts) => {
+          assert.deepStrictEqual(
+            artifacts.map((artifact) => artifact.fileName),
+            ['out/foo-x86.zip', 'README.md', 'out/foo-amd64.zip'],
+          );
+          assert.deepStrictEqual(artifacts[2], {
+            fileName: 'out/foo-amd64.zip',
+            jobId: 'u4c732mxowrfkwaq',
+            jobName: 'Platform: amd64',
+            name: 'out\\foo-amd64.zip',
+            size: 5678,
+            type: 'Zip',
+          });
+          ne.done();
+        });
+    });
+
+    it('lists artifacts matching artifactPattern', () => {
+      const ne = nockArtifacts();
+      options.artifactPattern = 'out/*.zip';
+      options.project = testProject;
+      return appveyorStatus.listArtifacts(options)
+        .then((artifacts) => {
+          assert.deepStrictEqual(
+            artifacts.map((artifact) => artifact.fileName),
+            ['out/foo-x86.zip', 'out/foo-amd64.zip'],
+          );
+          ne.done();
+        });
+    });
+
+    it('lists artifacts of named job', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      const job = projectBuild.build.jobs[1];
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${job.jobId}/artifacts`)
+        .reply(200, []);
+      options.job = job.name;
+      options.project = testProject;
+      return appveyorStatus.listArtifacts(options)
+        .then((artifacts) => {
+          assert.deepStrictEqual(artifacts, []);
+          ne.done();
+        });
+    });
+
+    it('rejects with CommitMismatchError if commit does not match', () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ commitId: '12345' }));
+      options.commit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+      options.project = testProject;
+      return appveyorStatus.listArtifacts(options).then(
+        sinon.mock().never(),
+        (err) => {
+          assert.strictEqual(err.name, 'CommitMismatchError');
+          ne.done();
+        },
+      );
+    });
+  });
+
+  describe('.downloadArtifacts', () => {
+    const testProject = 'foo/bar';
+
+    let tempDir;
+    beforeEach(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'appveyor-status-'));
+    });
+    afterEach(() => rm(tempDir, { force: true, recursive: true }));
+
+    function nockArtifacts(artifacts) {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      const { jobId } = projectBuild.build.jobs[0];
+      return nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${jobId}/artifacts`)
+        .reply(200, artifacts);
+    }
+
+    it('saves artifacts of named job to directory', async () => {
+      const { jobId, name } = apiResponses.getProjectBuild({}).build.jobs[0];
+      const testData = Buffer.from([0, 1, 2, 255]);
+      const ne = nockArtifacts([
+        {
+          fileName: 'out/foo.zip',
+          name: 'foo.zip',
+          type: 'Zip',
+          size: testData.length,
+        },
+      ])
+        .get(`/api/buildjobs/${jobId}/artifacts/out%2Ffoo.zip`)
+        .reply(200, testData, { 'Content-Type': 'application/octet-stream' });
+      options.directory = tempDir;
+      options.job = name;
+      options.project = testProject;
+      const paths = await appveyorStatus.downloadArtifacts(options);
+      const expectPath = path.join(tempDir, 'out', 'foo.zip');
+      assert.deepStrictEqual(paths, [expectPath]);
+      assert.deepStrictEqual(await readFile(expectPath), testData);
+      ne.done();
+    });
+
+    it('rejects artifacts outside of directory', async () => {
+      const ne = nockArtifacts([
+        {
+          fileName: '../foo.zip',
+          name: 'foo.zip',
+          type: 'Zip',
+          size: 1,
+        },
+      ]);
+      options.directory = tempDir;
+      options.job = 'Platform: x86';
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.downloadArtifacts(options),
+        /\boutside\b/,
+      );
+      assert.deepStrictEqual(await readdir(tempDir), []);
+      ne.done();
+    });
+
+    for (const fileName of ['..', 'out/../../foo.zip', '.']) {
+      it(`rejects artifact ${fileName} outside of directory`, async () => {
+        const ne = nockArtifacts([
+          {
+            fileName,
+            name: 'foo.zip',
+            type: 'Zip',
+            size: 1,
+          },
+        ]);
+        options.directory = tempDir;
+        options.job = 'Platform: x86';
+        options.project = testProject;
+        await assert.rejects(
+          () => appveyorStatus.downloadArtifacts(options),
+          /\boutside\b/,
+        );
+        assert.deepStrictEqual(await readdir(tempDir), []);
+        ne.done();
+      });
+    }
+
+    it('accepts artifacts in root directory', async () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      // Artifact produced by multiple jobs is rejected after checking paths,
+      // before saving any artifacts.
+      const artifacts = [
+        {
+          fileName: 'foo.zip',
+          name: 'foo.zip',
+          type: 'Zip',
+          size: 1,
+        },
+      ];
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${projectBuild.build.jobs[0].jobId}/artifacts`)
+        .reply(200, artifacts)
+        .get(`/api/buildjobs/${projectBuild.build.jobs[1].jobId}/artifacts`)
+        .reply(200, artifacts);
+      options.directory = path.parse(tempDir).root;
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.downloadArtifacts(options),
+        /\bproduced by jobs\b/,
+      );
+      ne.done();
+    });
+
+    it('rejects same artifact from multiple jobs', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      const artifacts = [
+        {
+          fileName: 'foo.zip',
+          name: 'foo.zip',
+          type: 'Zip',
+          size: 1,
+        },
+      ];
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, projectBuild)
+        .get(`/api/buildjobs/${projectBuild.build.jobs[0].jobId}/artifacts`)
+        .reply(200, artifacts)
+        .get(`/api/buildjobs/${projectBuild.build.jobs[1].jobId}/artifacts`)
+        .reply(200, artifacts);
+      options.directory = tempDir;
+      options.project = testProject;
+      return appveyorStatus.downloadArtifacts(options).then(
+        sinon.mock().never(),
+        (err) => {
+          assert.match(err.message, /\bfoo\.zip\b/);
+          assert.match(err.message, /\bjobs?\b/);
+          ne.done();
+        },
+      );
+    });
+  });
+
+  describe('.getBuildHistory', () => {
+    const testProject = 'foo/bar';
+    const historyPath = `/api/projects/${testProject}/history`;
+
+    it('gets history of options.project', async () => {
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(3, 63)));
+      options.project = testProject;
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.deepStrictEqual(
+        history.builds.map((build) => build.version),
+        ['0.0.63', '0.0.62', '0.0.61'],
+      );
+      assert.strictEqual(history.project.slug, 'test-proj');
+      ne.done();
+    });
+
+    it('gets history of options.branch', async () => {
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ branch: 'feature', recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory([]));
+      options.branch = 'feature';
+      options.project = testProject;
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.deepStrictEqual(history.builds, []);
+      ne.done();
+    });
+
+    it('pages through history until options.limit builds match', async () => {
+      const page1 = makeHistoryBuilds(10, 63, { status: 'success' });
+      page1[4].status = 'failed';
+      const page2 = makeHistoryBuilds(10, 53, { status: 'failed' });
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(page1))
+        .get(historyPath)
+        .query({ recordsNumber: '10', startBuildId: '9876054' })
+        .reply(200, apiResponses.getProjectHistory(page2));
+      options.limit = 3;
+      options.project = testProject;
+      options.status = 'failed';
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.deepStrictEqual(
+        history.builds.map((build) => build.version),
+        ['0.0.59', '0.0.53', '0.0.52'],
+      );
+      ne.done();
+    });
+
+    it('stops paging at last page', async () => {
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(10, 63)))
+        .get(historyPath)
+        .query({ recordsNumber: '10', startBuildId: '9876054' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(2, 53)));
+      options.limit = Infinity;
+      options.project = testProject;
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.strictEqual(history.builds.length, 12);
+      ne.done();
+    });
+
+    it('filters by date range, stopping before options.since', async () => {
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(10, 63)));
+      options.project = testProject;
+      options.since = '2016-11-16';
+      options.until = new Date('2016-11-18T12:00:00Z');
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.deepStrictEqual(
+        history.builds.map((build) => build.version),
+        ['0.0.61', '0.0.60', '0.0.59'],
+      );
+      ne.done();
+    });
+
+    it('filters by author name or username, ignoring case', async () => {
+      const builds = makeHistoryBuilds(3, 63);
+      builds[0].authorName = 'Other Author';
+      builds[0].authorUsername = 'other-author';
+      builds[1].authorName = 'Other Author';
+      builds[1].authorUsername = 'test-author-user';
+      const ne = nock(apiUrl)
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(builds));
+      options.author = 'Test-Author-User';
+      options.project = testProject;
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.deepStrictEqual(
+        history.builds.map((build) => build.version),
+        ['0.0.62', '0.0.61'],
+      );
+      ne.done();
+    });
+
+    it('gets history of project matching options.repo', async () => {
+      const testRepo = 'https://github.com/foo/bar.git';
+      const testProj = apiResponses.getProject({
+        accountName: 'foo',
+        repositoryName: 'foo/bar',
+        slug: 'bar',
+      });
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .reply(200, [testProj])
+        .get(historyPath)
+        .query({ recordsNumber: '10' })
+        .reply(200, apiResponses.getProjectHistory(makeHistoryBuilds(1, 63)));
+      options.repo = testRepo;
+      const history = await appveyorStatus.getBuildHistory(options);
+      assert.strictEqual(history.builds.length, 1);
+      ne.done();
+    });
+
+    it('rejects invalid options.since without requests', () => {
+      options.project = testProject;
+      options.since = 'not a date';
+      return assert.rejects(
+        () => appveyorStatus.getBuildHistory(options),
+        RangeError,
+      );
+    });
+
+    it('rejects negative options.limit without requests', () => {
+      options.project = testProject;
+      options.limit = -1;
+      return assert.rejects(
+        () => appveyorStatus.getBuildHistory(options),
+        RangeError,
+      );
+    });
+
+    it('rejects for options.statusBadgeId', () => {
+      options.statusBadgeId = 'abcde';
+      return assert.rejects(
+        () => appveyorStatus.getBuildHistory(options),
+        /\bproject or repo\b/,
+      );
+    });
+  });
+
+  describe('.startBuild', () => {
+    const testProject = 'foo/bar';
+
+    it('starts build of options.branch and options.commit', async () => {
+      const testCommit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+      const { build } = apiResponses.getProjectBuild({ status: 'queued' });
+      const ne = nock(apiUrl)
+        .post('/api/builds', {
+          accountName: 'foo',
+          projectSlug: 'bar',
+          branch: 'main',
+          commitId: testCommit,
+        })
+        .reply(200, build);
+      options.branch = 'main';
+      options.commit = testCommit;
+      options.project = testProject;
+      const projectBuild = await appveyorStatus.startBuild(options);
+      assert.strictEqual(projectBuild.build.version, build.version);
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'queued');
+      assert.strictEqual(projectBuild.project.slug, 'bar');
+      ne.done();
+    });
+
+    it('starts build of project matching options.repo', async () => {
+      const testProj = apiResponses.getProject({
+        accountName: 'foo',
+        repositoryName: 'foo/bar',
+        slug: 'bar',
+      });
+      const { build } = apiResponses.getProjectBuild({ status: 'queued' });
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .reply(200, [testProj])
+        .post('/api/builds', { accountName: 'foo', projectSlug: 'bar' })
+        .reply(200, build);
+      options.repo = 'https://github.com/foo/bar.git';
+      await appveyorStatus.startBuild(options);
+      ne.done();
+    });
+
+    it('waits for started build with options.wait', async () => {
+      const { build } = apiResponses.getProjectBuild({ status: 'queued' });
+      const expectStart = nock(apiUrl)
+        .post('/api/builds')
+        .reply(200, build)
+        .get(`/api/projects/foo/bar/build/${build.version}`)
+        .reply(200, apiResponses.getProjectBuild({ status: 'running' }));
+      const expectSuccess = nock(apiUrl)
+        .get(`/api/projects/foo/bar/build/${build.version}`)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.project = testProject;
+      options.wait = true;
+      const projectBuildP = appveyorStatus.startBuild(options);
+      await waitForTimer(30);
+      assert(expectStart.isDone(), 'Build is started immediately.');
+      assert(!expectSuccess.isDone(), 'Retry is not done immediately.');
+      clock.tick(60000);
+      const projectBuild = await projectBuildP;
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'success');
+      expectSuccess.done();
+    });
+
+    it('rejects with Error on API error', async () => {
+      const ne = nock(apiUrl)
+        .post('/api/builds')
+        .reply(401, { message: 'Unauthorized' });
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.startBuild(options),
+        /\bUnable to start build\b/,
+      );
+      ne.done();
+    });
+  });
+
+  describe('.rerunBuild', () => {
+    const testProject = 'foo/bar';
+
+    for (const rerunIncomplete of [false, true]) {
+      it(`re-runs last build with rerunIncomplete ${rerunIncomplete}`, () => {
+        const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+        const ne = nock(apiUrl)
+          .get(`/api/projects/${testProject}`)
+          .query(true)
+          .reply(200, projectBuild)
+          .put('/api/builds', {
+            buildId: projectBuild.build.buildId,
+            reRunIncomplete: rerunIncomplete,
+          })
+          .reply(200, { ...projectBuild.build, status: 'queued' });
+        options.project = testProject;
+        options.rerunIncomplete = rerunIncomplete;
+        return appveyorStatus.rerunBuild(options)
+          .then((result) => {
+            assert.strictEqual(projectBuildToStatus(result), 'queued');
+            assert.strictEqual(result.project.slug, 'test-proj');
+            ne.done();
+          });
+      });
+    }
+
+    it('rejects with CommitMismatchError without re-run', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ commitId: '12345' }));
+      options.commit = 'adc83b19e793491b1c6ea0fd8b46cd9f32e592a1';
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.rerunBuild(options),
+        { name: 'CommitMismatchError' },
+      );
+      ne.done();
+    });
+  });
+
+  describe('.cancelBuild', () => {
+    const testProject = 'foo/bar';
+    const buildPath = '/api/projects/test-account-name/test-proj/build/0.0.63';
+
+    it('cancels running last build', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'running' }))
+        .delete('/api/builds/test-account-name/test-proj/0.0.63')
+        .reply(204)
+        .get(buildPath)
+        .reply(200, apiResponses.getProjectBuild({ status: 'cancelling' }));
+      options.project = testProject;
+      const projectBuild = await appveyorStatus.cancelBuild(options);
+      assert.strictEqual(projectBuildToStatus(projectBuild), 'cancelling');
+      ne.done();
+    });
+
+    it('rejects for completed last build without cancel', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.project = testProject;
+      await assert.rejects(
+        () => appveyorStatus.cancelBuild(options),
+        /\bsuccess\b/,
+      );
+      ne.done();
+    });
+  });
+
+  describe('.watch', () => {
+    const testProject = 'foo/bar';
+
+    it('emits events for each change until stopped', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getRunningBuild())
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.project = testProject;
+      const watcher = appveyorStatus.watch(options);
+      const events = collectEvents(watcher);
+      const endP = once(watcher, 'end');
+
+      await waitForTimer(30);
+      assert.deepStrictEqual(events.map((event) => event.type), ['build']);
+      assert.strictEqual(events[0].status, 'running');
+
+      clock.tick(4000);
+      await waitForTimer(30);
+      assert.deepStrictEqual(
+        events.map((event) => event.type),
+        ['build', 'job', 'job', 'status'],
+      );
+      assert.strictEqual(events[3].status, 'success');
+      assert.strictEqual(events[3].finished, true);
+      ne.done();
+
+      watcher.stop();
+      await endP;
+      assert.strictEqual(clock.countTimers(), 0, 'Stop clears timers');
+    });
+
+    it('emits build event for each new build', async () => {
+      const newBuild = getRunningBuild();
+      newBuild.build.buildId += 1;
+      newBuild.build.version = '0.0.64';
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }))
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, newBuild);
+      options.project = testProject;
+      const watcher = appveyorStatus.watch(options);
+      const events = collectEvents(watcher);
+      const endP = once(watcher, 'end');
+
+      await waitForTimer(30);
+      clock.tick(59000);
+      assert.strictEqual(events.length, 1, 'Waits longer for new build');
+      clock.tick(1000);
+      await waitForTimer(30);
+      assert.deepStrictEqual(
+        events.map((event) => [event.type, event.version]),
+        [['build', '0.0.63'], ['build', '0.0.64']],
+      );
+      ne.done();
+
+      watcher.stop();
+      await endP;
+    });
+
+    it('emits end when signal is aborted', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getRunningBuild());
+      const abortController = new AbortController();
+      options.project = testProject;
+      options.signal = abortController.signal;
+      const watcher = appveyorStatus.watch(options);
+      const endP = once(watcher, 'end');
+
+      await waitForTimer(30);
+      abortController.abort();
+      await endP;
+      assert.strictEqual(clock.countTimers(), 0, 'Abort clears timers');
+      ne.done();
+    });
+
+    it('emits end if signal already aborted', async () => {
+      options.project = testProject;
+      options.signal = AbortSignal.abort();
+      const watcher = appveyorStatus.watch(options);
+      await once(watcher, 'end');
+    });
+
+    it('emits error on API error', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(500, { message: 'Server Error' });
+      options.project = testProject;
+      options.requestRetries = 0;
+      const watcher = appveyorStatus.watch(options);
+      const [err] = await once(watcher, 'error');
+      assert.match(err.message, /\bUnable to get last project build\b/);
+      ne.done();
+    });
+
+    it('emits error for invalid options', async () => {
+      const watcher = appveyorStatus.watch({ project: 'foo' });
+      const [err] = await once(watcher, 'error');
+      assert.match(err.message, /\bInvalid project\b/);
+    });
+  });
+
+  describe('.watchBuild', () => {
+    const testProject = 'foo/bar';
+
+    it('yields snapshots until build completes', async () => {
+      const runningBuild = getRunningBuild();
+      const buildPath = `/api/projects/${
+        appveyorUtils.projectToString(runningBuild.project)}/build/${
+        runningBuild.build.version}`;
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, runningBuild)
+        .get(buildPath)
+        .query(true)
+        .reply(200, runningBuild)
+        .get(buildPath)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.project = testProject;
+      const snapshots = [];
+      const iterP = (async () => {
+        for await (const snapshot of appveyorStatus.watchBuild(options)) {
+          snapshots.push(snapshot);
+        }
+      })();
+
+      await waitForTimer(30);
+      assert.strictEqual(snapshots.length, 1);
+      assert.strictEqual(snapshots[0].projectBuild.build.status, 'running');
+      assert.deepStrictEqual(
+        snapshots[0].events.map((event) => event.type),
+        ['build'],
+      );
+      assert.strictEqual(snapshots[0].time, new Date(clock.now).toISOString());
+
+      clock.tick(4000);
+      await waitForTimer(30);
+      assert.strictEqual(snapshots.length, 2);
+      assert.deepStrictEqual(snapshots[1].events, []);
+
+      clock.tick(4000);
+      await iterP;
+      assert.strictEqual(snapshots.length, 3);
+      assert.strictEqual(snapshots[2].projectBuild.build.status, 'success');
+      assert.deepStrictEqual(
+        snapshots[2].events.map((event) => event.type),
+        ['job', 'job', 'status'],
+      );
+      assert.strictEqual(clock.countTimers(), 0);
+      ne.done();
+    });
+
+    it('yields single snapshot of completed build', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, apiResponses.getProjectBuild({ status: 'failed' }));
+      options.project = testProject;
+      // Note: Array.fromAsync() requires Node.js 22.
+      /* eslint-disable unicorn/prefer-array-from-async */
+      const snapshots = [];
+      for await (const snapshot of appveyorStatus.watchBuild(options)) {
+        snapshots.push(snapshot);
+      }
+      /* eslint-enable unicorn/prefer-array-from-async */
+      assert.strictEqual(snapshots.length, 1);
+      assert.strictEqual(snapshots[0].projectBuild.build.status, 'failed');
+      ne.done();
+    });
+
+    it('stops polling on break', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getRunningBuild());
+      options.project = testProject;
+      // eslint-disable-next-line no-unreachable-loop
+      for await (const snapshot of appveyorStatus.watchBuild(options)) {
+        assert.strictEqual(snapshot.projectBuild.build.status, 'running');
+        break;
+      }
+      assert.strictEqual(clock.countTimers(), 0);
+      ne.done();
+    });
+
+    it('rejects with AbortError when signal is aborted', async () => {
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getRunningBuild());
+      const abortController = new AbortController();
+      options.project = testProject;
+      options.signal = abortController.signal;
+      const iterator = appveyorStatus.watchBuild(options);
+      const first = await iterator.next();
+      assert.strictEqual(first.done, false);
+      const nextP = iterator.next();
+      await waitForTimer(30);
+      abortController.abort();
+      await assert.rejects(nextP, { name: 'AbortError' });
+      assert.strictEqual(clock.countTimers(), 0);
+      ne.done();
+    });
+
+    it('rejects with AbortError if signal already aborted', async () => {
+      const abortController = new AbortController();
+      abortController.abort();
+      options.project = testProject;
+      options.signal = abortController.signal;
+      await assert.rejects(
+        appveyorStatus.watchBuild(options).next(),
+        { name: 'AbortError' },
+      );
+    });
+
+    it('rejects with commit mismatch error', async () => {
+      const testCommit = 'testtag';
+      gitUtilsMock.expects('resolveCommit')
+        .once().withArgs(testCommit, matchOptionsCwd).resolves('abcde');
+      const ne = nock(apiUrl)
+        .get(`/api/projects/${testProject}`)
+        .query(true)
+        .reply(200, getRunningBuild());
+      options.commit = testCommit;
+      options.project = testProject;
+      await assert.rejects(
+        appveyorStatus.watchBuild(options).next(),
+        { name: 'CommitMismatchError' },
+      );
+      ne.done();
+    });
+
+    it('rejects for invalid options', async () => {
+      await assert.rejects(
+        appveyorStatus.watchBuild({ project: 'foo' }).next(),
+        /\bInvalid project\b/,
+      );
+    });
+  });
+
+  describe('.getStatusBadge', () => {
+    it('queries badge by repo URL', () => {
+      const testBadgeUrlPath = 'gitHub/foo/bar';
+      const testRepoUrl = 'git@github.com:foo/bar.git';
+      const testStatus = 'success';
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('getRemote').never();
+      gitUtilsMock.expects('getRemoteUrl').never();
+      gitUtilsMock.expects('resolveCommit').never();
+      const ne = nock(apiUrl)
+        .get(`/api/projects/status/${testBadgeUrlPath}`)
+        .query(true)
+        .reply(
+          200,
+          apiResponses.getStatusBadge(testStatus),
           { 'Content-Type': 'image/svg+xml' },
         );
       options.repo = testRepoUrl;
@@ -1139,6 +3212,247 @@ describe('appveyorStatus', function() {
     });
   });
 
+  describe('.getStatuses', () => {
+    it('returns status of each project in order', async () => {
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('getRemote').never();
+      gitUtilsMock.expects('getRemoteUrl').never();
+      gitUtilsMock.expects('resolveCommit').never();
+      const ne = nock(apiUrl)
+        .get('/api/projects/foo/bar')
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }))
+        .get('/api/projects/foo/baz/branch/dev')
+        .reply(200, apiResponses.getProjectBuild({ status: 'failed' }))
+        .get('/api/projects/foo/quux')
+        .reply(200, apiResponses.getProjectBuild({ status: 'queued' }));
+      options.projects = [
+        'foo/bar',
+        { project: 'foo/baz', branch: 'dev' },
+        { project: 'foo/quux' },
+      ];
+      const results = await appveyorStatus.getStatuses(options);
+      assert.deepStrictEqual(results, [
+        { project: 'foo/bar', branch: undefined, status: 'success' },
+        { project: 'foo/baz', branch: 'dev', status: 'failed' },
+        { project: 'foo/quux', branch: undefined, status: 'queued' },
+      ]);
+      ne.done();
+    });
+
+    it('queries options.branch by default', async () => {
+      const ne = nock(apiUrl)
+        .get('/api/projects/foo/bar/branch/main')
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }))
+        .get('/api/projects/foo/baz/branch/dev')
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.branch = 'main';
+      options.concurrency = 1;
+      options.projects = ['foo/bar', { project: 'foo/baz', branch: 'dev' }];
+      const results = await appveyorStatus.getStatuses(options);
+      assert.deepStrictEqual(
+        results.map((result) => result.branch),
+        ['main', 'dev'],
+      );
+      ne.done();
+    });
+
+    it('returns error for project which fails', async () => {
+      const ne = nock(apiUrl)
+        .get('/api/projects/foo/bar')
+        .reply(404, { message: 'Project not found' })
+        .get('/api/projects/foo/baz')
+        .reply(200, apiResponses.getProjectBuild({ status: 'success' }));
+      options.projects = ['foo/bar', 'foo/baz'];
+      const results = await appveyorStatus.getStatuses(options);
+      assert.strictEqual(results[0].status, undefined);
+      assert.match(results[0].error.message, /\bnot found\b/i);
+      assert.deepStrictEqual(
+        results[1],
+        { project: 'foo/baz', branch: undefined, status: 'success' },
+      );
+      ne.done();
+    });
+
+    it('returns empty Array for no projects', async () => {
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('getRemoteUrl').never();
+      options.projects = [];
+      assert.deepStrictEqual(await appveyorStatus.getStatuses(options), []);
+    });
+
+    it('rejects with TypeError for non-Array projects', () => {
+      options.projects = 'foo/bar';
+      return assert.rejects(
+        () => appveyorStatus.getStatuses(options),
+        TypeError,
+      );
+    });
+
+    it('rejects with TypeError for project without name', () => {
+      options.projects = [{ branch: 'dev' }];
+      return assert.rejects(
+        () => appveyorStatus.getStatuses(options),
+        TypeError,
+      );
+    });
+
+    it('rejects with RangeError for non-positive concurrency', () => {
+      options.concurrency = 0;
+      options.projects = ['foo/bar'];
+      return assert.rejects(
+        () => appveyorStatus.getStatuses(options),
+        RangeError,
+      );
+    });
+
+    it('rejects if projects and project are specified', () => {
+      options.project = 'foo/bar';
+      options.projects = ['foo/baz'];
+      return assert.rejects(
+        () => appveyorStatus.getStatuses(options),
+        /\bproject and projects\b/,
+      );
+    });
+  });
+
+  describe('.getAccountStatus', () => {
+    const testProjects = [
+      makeAccountProject('proj-a', 'gitHub', [
+        ['main', 'success', 12],
+        ['dev', 'failed', 13],
+        ['main', 'failed', 11],
+      ]),
+      makeAccountProject('proj-b', 'bitBucket', [['main', 'failed', 10]]),
+      makeAccountProject('other', 'gitHub', []),
+    ];
+
+    function nockProjects() {
+      return nock(apiUrl)
+        .get('/api/projects')
+        .reply(200, testProjects);
+    }
+
+    it('returns latest build of each branch of each project', async () => {
+      gitUtilsMock.expects('getBranch').never();
+      gitUtilsMock.expects('getRemote').never();
+      gitUtilsMock.expects('getRemoteUrl').never();
+      const ne = nockProjects();
+      const results = await appveyorStatus.getAccountStatus(options);
+      assert.deepStrictEqual(results, [
+        {
+          project: 'test-account-name/proj-a',
+          name: 'Project proj-a',
+          repositoryType: 'gitHub',
+          repositoryName: 'test-account-name/test-proj',
+          branches: [
+            {
+              branch: 'dev',
+              status: 'failed',
+              version: '1.0.13',
+              created: '2016-11-13T00:00:00+00:00',
+            },
+            {
+              branch: 'main',
+              status: 'success',
+              version: '1.0.12',
+              created: '2016-11-12T00:00:00+00:00',
+            },
+          ],
+        },
+        {
+          project: 'test-account-name/proj-b',
+          name: 'Project proj-b',
+          repositoryType: 'bitBucket',
+          repositoryName: 'test-account-name/test-proj',
+          branches: [
+            {
+              branch: 'main',
+              status: 'failed',
+              version: '1.0.10',
+              created: '2016-11-10T00:00:00+00:00',
+            },
+          ],
+        },
+        {
+          project: 'test-account-name/other',
+          name: 'Project other',
+          repositoryType: 'gitHub',
+          repositoryName: 'test-account-name/test-proj',
+          branches: [],
+        },
+      ]);
+      ne.done();
+    });
+
+    it('filters projects by projectPattern', async () => {
+      const ne = nockProjects();
+      options.projectPattern = 'PROJ-*';
+      const results = await appveyorStatus.getAccountStatus(options);
+      assert.deepStrictEqual(
+        results.map((result) => result.project),
+        ['test-account-name/proj-a', 'test-account-name/proj-b'],
+      );
+      ne.done();
+    });
+
+    it('filters projects by repositoryType', async () => {
+      const ne = nockProjects();
+      options.repositoryType = 'github';
+      const results = await appveyorStatus.getAccountStatus(options);
+      assert.deepStrictEqual(
+        results.map((result) => result.project),
+        ['test-account-name/proj-a', 'test-account-name/other'],
+      );
+      ne.done();
+    });
+
+    it('filters branches and projects by status', async () => {
+      const ne = nockProjects();
+      options.status = 'failed';
+      const results = await appveyorStatus.getAccountStatus(options);
+      assert.deepStrictEqual(
+        results.map((result) => [
+          result.project,
+          result.branches.map((branch) => branch.branch),
+        ]),
+        [
+          ['test-account-name/proj-a', ['dev']],
+          ['test-account-name/proj-b', ['main']],
+        ],
+      );
+      ne.done();
+    });
+
+    it('filters branches and projects by branch', async () => {
+      const ne = nockProjects();
+      options.branch = 'dev';
+      const results = await appveyorStatus.getAccountStatus(options);
+      assert.deepStrictEqual(
+        results.map((result) => [
+          result.project,
+          result.branches.map((branch) => branch.status),
+        ]),
+        [['test-account-name/proj-a', ['failed']]],
+      );
+      ne.done();
+    });
+
+    it('rejects with Error for API error', () => {
+      const ne = nock(apiUrl)
+        .get('/api/projects')
+        .reply(500, { message: 'Server Error' });
+      options.requestRetries = 0;
+      return assert.rejects(
+        () => appveyorStatus.getAccountStatus(options),
+        (err) => {
+          assert.match(err.message, /\bUnable to get projects\b/);
+          ne.done();
+          return true;
+        },
+      );
+    });
+  });
+
   describe('.getStatus', () => {
     it('returns status from last build for project', () => {
       const testProject = 'foo/bar';
@@ -1305,6 +3619,17 @@ describe('appveyorStatus', function() {
       ),
     );
 
+    it('rejects non-function onPoll with TypeError', () => {
+      options.onPoll = true;
+      return appveyorStatus.getStatus(options).then(
+        sinon.mock().never(),
+        (err) => {
+          assert(err instanceof TypeError);
+          assert.match(err.message, /\bonPoll\b/);
+        },
+      );
+    });
+
     it('rejects non-numeric wait with TypeError', () => {
       options.wait = 'forever';
       return appveyorStatus.getStatus(options).then(
@@ -6,6 +6,7 @@
 'use strict';
 
 const assert = require('node:assert');
+const EventEmitter = require('node:events');
 const fs = require('node:fs');
 const path = require('node:path');
 const stream = require('node:stream');
@@ -18,18 +19,25 @@ const sinon = require('sinon');
 
 const appveyorStatusCmd = require('../cli.js');
 const appveyorStatus = require('../index.js');
+const AmbiguousProjectError = require('../lib/ambiguous-project-error.js');
 const CommitMismatchError = require('../lib/commit-mismatch-error.js');
+const config = require('../lib/config.js');
 const packageJson = require('../package.json');
+const apiResponses = require('../test-lib/api-responses.js');
 
 const { match } = sinon;
 const statusValues = appveyorSwagger.definitions.Status.enum;
 
 // Simulate arguments passed by the node runtime
 const RUNTIME_ARGS = ['node', 'appveyor-status'];
+const TEST_PROJECTS_PATH =
+  path.join(__dirname, '..', 'test-data', 'projects.txt');
 const TEST_TOKEN_PATH =
   path.join(__dirname, '..', 'test-data', 'token.txt');
 
 process.env.APPVEYOR_API_TOKEN = 'env-token';
+// Avoid reading configuration of the user running the tests
+process.env.XDG_CONFIG_HOME = path.join(__dirname, '..', 'test-data');
 
 // supports-color checks $FORCE_COLOR in require.  Can't test if set.
 const colorIt =
@@ -44,6 +52,15 @@ function restoreTerm() {
   }
 }
 
+function makeJobs(...statuses) {
+  const { jobs } = apiResponses.getProjectBuild({}).build;
+  return statuses.map((status, i) => ({
+    ...jobs[i % jobs.length],
+    name: `Job ${i}`,
+    status,
+  }));
+}
+
 function toRegExp(str) {
   return new RegExp(escapeStringRegexp(str));
 }
@@ -125,6 +142,11 @@ describe('appveyor-status command', () => {
   }
 
   // Check individual arguments are handled correctly
+  expectArgsResult(['--api-url'], 4, null, /missing|not enough/i);
+  expectArgsAs(
+    ['--api-url', 'https://av.example.com/api'],
+    match({ baseUrl: 'https://av.example.com/api' }),
+  );
   expectArgsResult(['--badge'], 4, null, /missing|not enough/i);
   expectArgsResult(['-B'], 4, null, /missing|not enough/i);
   expectArgsAs(['--badge', 'foo'], match({ statusBadgeId: 'foo' }));
@@ -135,17 +157,60 @@ describe('appveyor-status command', () => {
   expectArgsAs(['-b', 'foo'], match({ branch: 'foo' }));
   expectArgsAs(['--color'], match({ color: true }));
   expectArgsAs(['--no-color'], match({ color: false }));
+  expectArgsResult(['--concurrency'], 4, null, /missing|not enough/i);
+  for (const concurrency of ['0', '1.5', 'Infinity']) {
+    expectArgsResult(
+      ['--concurrency', concurrency],
+      4,
+      null,
+      /\bInvalid positive integer\b/,
+    );
+  }
+  expectArgsAs(['--concurrency', '2'], match({ concurrency: 2 }));
   expectArgsAs(['--commit'], match({ commit: 'HEAD' }));
   expectArgsAs(['-c'], match({ commit: 'HEAD' }));
   expectArgsAs(['--commit', 'foo'], match({ commit: 'foo' }));
+  expectArgsAs([], match({ jobs: match.falsy }));
+  expectArgsAs([], match({ log: undefined }));
+  expectArgsAs([], match({ format: 'text' }));
+  expectArgsAs(['--format', 'text'], match({ format: 'text' }));
+  expectArgsResult(['--format', 'foo'], 4, null, /choices|invalid/i);
   expectArgsAs(['--commit', '123'], match({ commit: '123' }));
+  expectArgsAs(
+    ['--commit-search'],
+    match({ commit: 'HEAD', commitSearch: true }),
+  );
+  expectArgsAs(
+    ['--commit-search', '-c', 'foo'],
+    match({ commit: 'foo', commitSearch: true }),
+  );
+  expectArgsAs([], match({ commitSearch: match.falsy }));
+  expectArgsAs(
+    ['--commit-or-descendant'],
+    match({ commit: 'HEAD', commitOrDescendant: true }),
+  );
+  expectArgsAs([], match({ commitOrDescendant: match.falsy }));
   expectArgsAs(['-c', 'foo'], match({ commit: 'foo' }));
   expectArgsResult(['--help'], 0, /usage/i, null);
+  expectArgsResult(['--help'], 0, /--jobs/, null);
   expectArgsResult(['-h'], 0, /usage/i, null);
   expectArgsResult(['-?'], 0, /usage/i, null);
   expectArgsResult(['--project'], 4, null, /missing|not enough/i);
   expectArgsResult(['-p'], 4, null, /missing|not enough/i);
   // Note: Format is checked inside appveyor-status module, not this one
+  expectArgsAs(['--all-remotes'], match({ allRemotes: true }));
+  expectArgsAs(['--backoff-factor', '1.5'], match({ backoffFactor: 1.5 }));
+  expectArgsAs(
+    ['--max-poll-interval', '300'],
+    match({ maxPollInterval: 300000 }),
+  );
+  expectArgsAs(['--poll-interval', '120'], match({ pollInterval: 120000 }));
+  expectArgsAs([], match({ pollInterval: undefined }));
+  expectArgsAs(
+    ['--poll-strategy', 'full-jitter'],
+    match({ pollStrategy: 'full-jitter' }),
+  );
+  expectArgsResult(['--poll-strategy', 'linear'], 4, null, /choices/i);
   expectArgsAs(['--project', 'foo'], match({ project: 'foo' }));
   expectArgsAs(['-p', 'foo'], match({ project: 'foo' }));
   expectArgsAs(['--quiet'], match({ verbosity: -1 }));
@@ -156,6 +221,17 @@ describe('appveyor-status command', () => {
   expectArgsResult(['-r'], 4, null, /missing|not enough/i);
   expectArgsAs(['--repo', 'foo'], match({ repo: 'foo' }));
   expectArgsAs(['-r', 'foo'], match({ repo: 'foo' }));
+  expectArgsAs(
+    ['--repo-host', 'ghe.example.com=gitHubEnterprise'],
+    match({ repoHosts: { 'ghe.example.com': 'gitHubEnterprise' } }),
+  );
+  expectArgsAs(
+    ['--repo-host', 'a.example.com=gitea,b.example.com=git'],
+    match({ repoHosts: { 'a.example.com': 'gitea', 'b.example.com': 'git' } }),
+  );
+  expectArgsAs([], match({ repoHosts: undefined }));
+  expectArgsResult(['--repo-host', 'gitea'], 4, null, /HOST=TYPE/);
+  expectArgsAs(['--request-retries', '5'], match({ requestRetries: 5 }));
   expectArgsResult(['--token'], 4, null, /missing|not enough/i);
   expectArgsResult(['-t'], 4, null, /missing|not enough/i);
   // Default token from $APPVEYOR_API_TOKEN
@@ -179,6 +255,14 @@ describe('appveyor-status command', () => {
   expectArgsAs(['-w'], match({ wait: Infinity }));
   expectArgsAs(['--wait', '10'], match({ wait: 10000 }));
   expectArgsAs(['-w', '10'], match({ wait: 10000 }));
+  expectArgsAs(
+    ['--wait-for-commit'],
+    match({ commit: 'HEAD', wait: Infinity, waitForCommit: true }),
+  );
+  expectArgsAs(
+    ['--wait-for-commit', '-w', '10'],
+    match({ wait: 10000, waitForCommit: true }),
+  );
   expectArgsResult(['--wait', 'foo'], 4, null, /number/i);
   expectArgsResult(['-w', 'foo'], 4, null, /number/i);
   expectArgsResult(['--webhook'], 4, null, /missing|not enough/i);
@@ -307,173 +391,1737 @@ describe('appveyor-status command', () => {
     }
   });
 
-  for (const arg of ['-q', '--quiet']) {
-    it(`${arg} exits without printing status`, (done) => {
-      appveyorStatusMock.expects('getStatus')
-        .once().withArgs(match.object, match.func).yields(null, 'failed');
-      const allArgs = [...RUNTIME_ARGS, arg];
+  describe('with --format json', () => {
+    it('prints build from getLastBuild as JSON', (done) => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+      appveyorStatusMock.expects('getStatus').never();
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match({ format: 'json' }), match.func)
+        .yields(null, projectBuild);
+      const allArgs = [...RUNTIME_ARGS, '--format', 'json'];
       appveyorStatusCmd(allArgs, options, (err, code) => {
         assert.ifError(err);
         assert.strictEqual(code, 2);
-        assert.strictEqual(options.stdout.read(), null);
+        const outString = String(options.stdout.read());
+        assert.match(outString, /\n {2}"status"/);
+        assert.deepStrictEqual(JSON.parse(outString), {
+          project: 'test-account-name/test-proj',
+          buildNumber: projectBuild.build.buildNumber,
+          version: projectBuild.build.version,
+          branch: projectBuild.build.branch,
+          commitId: projectBuild.build.commitId,
+          status: 'failed',
+          started: projectBuild.build.started,
+          finished: projectBuild.build.finished,
+        });
         assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
         done();
       });
     });
-  }
 
-  // This tests exception handling in the parseYargs wrapper
-  it('allows callback errors to propagate', () => {
-    appveyorStatusMock.expects('getStatus').never();
-    const errTest = new Error('test');
-    let caughtError = false;
-    let called = false;
-    // Note:  Chai assert.throws does not accept comparison function like node
-    try {
-      const allArgs = [...RUNTIME_ARGS, 'foo'];
-      appveyorStatusCmd(allArgs, options, () => {
-        assert(!called, 'callback called exactly once');
-        called = true;
-        throw errTest;
+    it('prints status from getStatus without token', (done) => {
+      appveyorStatusMock.expects('getLastBuild').never();
+      appveyorStatusMock.expects('getStatus')
+        .once().withArgs(match({ statusBadgeId: 'foo' }), match.func)
+        .yields(null, 'success');
+      const allArgs = [...RUNTIME_ARGS, '--format', 'json', '-B', 'foo'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const outString = String(options.stdout.read());
+        assert.deepStrictEqual(JSON.parse(outString), {
+          project: null,
+          buildNumber: null,
+          version: null,
+          branch: null,
+          commitId: null,
+          status: 'success',
+          started: null,
+          finished: null,
+        });
+        appveyorStatusMock.verify();
+        done();
       });
-    } catch (err) {
-      caughtError = true;
-      assert.strictEqual(err, errTest);
-    }
-    assert(caughtError, 'Missing expected exception.');
-  });
+    });
 
-  it('throws for non-function callback', () => {
-    appveyorStatusMock.expects('getStatus').never();
-    assert.throws(
-      () => { appveyorStatusCmd(RUNTIME_ARGS, {}, true); },
-      TypeError,
-    );
-  });
+    it('prints CommitMismatchError with build, exit code 3', (done) => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'success' });
+      const errTest = new CommitMismatchError({
+        actual: projectBuild.build.commitId,
+        expected: '123',
+      });
+      errTest.build = projectBuild.build;
+      errTest.project = projectBuild.project;
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match.object, match.func).yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, '--format', 'json', '-c', '123'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 3);
+        const record = JSON.parse(String(options.stdout.read()));
+        assert.strictEqual(record.status, 'success');
+        assert.strictEqual(record.commitId, projectBuild.build.commitId);
+        assert.deepStrictEqual(record.error, {
+          name: 'CommitMismatchError',
+          message: errTest.message,
+          actual: projectBuild.build.commitId,
+          expected: '123',
+        });
+        done();
+      });
+    });
 
-  it('can be called without arguments', () => {
-    appveyorStatusMock.expects('getStatus')
-      .once()
-      .withArgs(
-        match.object,
-        match.func,
-      );
-    appveyorStatusCmd(null, sinon.mock().never());
-    appveyorStatusMock.verify();
-  });
+    it('prints AmbiguousProjectError, exit code 1', (done) => {
+      const errTest = new AmbiguousProjectError('test', ['a/b', 'c/d']);
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match.object, match.func).yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        const outString = String(options.stdout.read());
+        assert.deepStrictEqual(JSON.parse(outString), {
+          error: {
+            name: 'AmbiguousProjectError',
+            message: 'test',
+            projects: ['a/b', 'c/d'],
+          },
+        });
+        done();
+      });
+    });
 
-  it('yields TypeError for non-Array-like args', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    appveyorStatusCmd(true, options, (err) => {
-      assert(err instanceof TypeError);
-      assert.match(err.message, /\bArray\b/);
-      done();
+    it('does not print JSON with -q', (done) => {
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match.object, match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'success' }));
+      const allArgs = [...RUNTIME_ARGS, '--format', 'json', '-q'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(options.stdout.read(), null);
+        done();
+      });
     });
   });
 
-  it('yields RangeError for less than 2 args', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    appveyorStatusCmd([], options, (err) => {
-      assert(err instanceof RangeError);
-      assert.match(err.message, /\bargs\b/);
-      done();
+  describe('with --jobs', () => {
+    it('prints status and duration of each job', (done) => {
+      appveyorStatusMock.expects('getStatus').never();
+      appveyorStatusMock.expects('getJobs')
+        .once().withArgs(match({ jobs: true }), match.func)
+        .yields(null, makeJobs('success', 'failed'));
+      const allArgs = [...RUNTIME_ARGS, '--jobs', '--no-color'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          'Job 0: success (23s)\nJob 1: failed (21s)\n',
+        );
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
     });
-  });
 
-  it('yields Error for non-object options', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    appveyorStatusCmd(RUNTIME_ARGS, true, (err) => {
-      assert(err instanceof TypeError);
-      assert.match(err.message, /\boptions\b/);
-      done();
+    it('exits with code 0 if failed job is allowed to fail', (done) => {
+      const jobs = makeJobs('success', 'failed');
+      jobs[1].allowFailure = true;
+      appveyorStatusMock.expects('getJobs')
+        .once().withArgs(match.object, match.func).yields(null, jobs);
+      const allArgs = [...RUNTIME_ARGS, '-j', '--no-color'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.match(
+          String(options.stdout.read()),
+          /^Job 1: failed .*allow failure/m,
+        );
+        done();
+      });
     });
-  });
 
-  it('yields Error for non-Readable in', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    appveyorStatusCmd(RUNTIME_ARGS, { stdin: true }, (err) => {
-      assert(err instanceof TypeError);
-      assert.match(err.message, /\boptions.stdin\b/);
-      done();
+    it('prints jobs as JSON with --format json', (done) => {
+      appveyorStatusMock.expects('getJobs')
+        .once().withArgs(match.object, match.func)
+        .yields(null, makeJobs('success', 'running'));
+      const allArgs = [...RUNTIME_ARGS, '--jobs', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        const record = JSON.parse(String(options.stdout.read()));
+        assert.strictEqual(record.status, 'running');
+        assert.deepStrictEqual(
+          record.jobs.map((job) => job.status),
+          ['success', 'running'],
+        );
+        done();
+      });
     });
-  });
 
-  it('yields Error for non-Writable out', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    const badOptions = { stdout: new stream.Readable() };
-    appveyorStatusCmd(RUNTIME_ARGS, badOptions, (err) => {
-      assert(err instanceof TypeError);
-      assert.match(err.message, /\boptions.stdout\b/);
-      done();
+    it('prints each job on a line with --format ndjson', (done) => {
+      appveyorStatusMock.expects('getJobs')
+        .once().withArgs(match.object, match.func)
+        .yields(null, makeJobs('success', 'success'));
+      const allArgs = [...RUNTIME_ARGS, '--jobs', '--format', 'ndjson'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const lines = String(options.stdout.read()).split('\n');
+        assert.strictEqual(lines.length, 3);
+        assert.strictEqual(JSON.parse(lines[1]).name, 'Job 1');
+        done();
+      });
     });
-  });
 
-  it('yields Error for non-Writable err', (done) => {
-    appveyorStatusMock.expects('getStatus').never();
-    const badOptions = { stderr: new stream.Readable() };
-    appveyorStatusCmd(RUNTIME_ARGS, badOptions, (err) => {
-      assert(err instanceof TypeError);
-      assert.match(err.message, /\boptions.stderr\b/);
-      done();
+    it('exit code 3 on CommitMismatchError', (done) => {
+      const errTest = new CommitMismatchError({
+        actual: 'foo',
+        expected: '123',
+      });
+      appveyorStatusMock.expects('getJobs')
+        .once().withArgs(match.object, match.func).yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, '--jobs', '-c', '123'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 3);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(String(options.stderr.read()), /\bfoo\b/);
+        done();
+      });
     });
   });
 
-  it('exit code 1 and prints message on Error', (done) => {
-    const errMsg = 'super duper test error';
-    appveyorStatusMock.expects('getStatus')
-      .once().withArgs(match.object, match.func).yields(new Error(errMsg));
-    appveyorStatusCmd(RUNTIME_ARGS, options, (err, code) => {
-      assert.ifError(err);
-      assert.strictEqual(code, 1);
-      assert.strictEqual(options.stdout.read(), null);
-      const errString = String(options.stderr.read());
-      assert.match(errString, toRegExp(errMsg));
-      done();
+  describe('with --log', () => {
+    it('prints log of default job, then status', (done) => {
+      const testLog = 'Build started\nBuild failed';
+      appveyorStatusMock.expects('getJobLog')
+        .once()
+        .withArgs(
+          match({ job: undefined, out: options.stdout }),
+          match.func,
+        )
+        .yields(null, testLog);
+      appveyorStatusMock.expects('getStatus')
+        .once().withArgs(match.object, match.func).yields(null, 'failed');
+      const allArgs = [...RUNTIME_ARGS, '--log', '--no-color'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        // Log is written by getJobLog.  Newline added if missing.
+        assert.strictEqual(
+          String(options.stdout.read()),
+          '\nAppVeyor build status: failed\n',
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
     });
-  });
 
-  it('exit code 3 and prints message on CommitMismatchError', (done) => {
-    const testCommit = '123';
-    const errTest = new CommitMismatchError({
-      actual: 'foo',
-      expected: testCommit,
+    it('passes named job', (done) => {
+      appveyorStatusMock.expects('getJobLog')
+        .once().withArgs(match({ job: 'Platform: x86' }), match.func)
+        .yields(null, 'log\n');
+      appveyorStatusMock.expects('getStatus')
+        .once().withArgs(match.object, match.func).yields(null, 'success');
+      const allArgs = [...RUNTIME_ARGS, '-l', 'Platform: x86'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
     });
-    appveyorStatusMock.expects('getStatus')
-      .once().withArgs(match.object, match.func).yields(errTest);
-    const allArgs = [...RUNTIME_ARGS, '-c', testCommit];
-    appveyorStatusCmd(allArgs, options, (err, code) => {
-      assert.ifError(err);
-      assert.strictEqual(code, 3);
-      assert.strictEqual(options.stdout.read(), null);
-      const errString = String(options.stderr.read());
-      assert.match(errString, toRegExp(errTest.actual));
-      assert.match(errString, toRegExp(errTest.expected));
-      done();
+
+    it('writes log to stderr with --format json', (done) => {
+      appveyorStatusMock.expects('getJobLog')
+        .once().withArgs(match({ out: options.stderr }), match.func)
+        .yields(null, 'log\n');
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match.object, match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'success' }));
+      const allArgs = [...RUNTIME_ARGS, '--log', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const outString = String(options.stdout.read());
+        assert.strictEqual(JSON.parse(outString).status, 'success');
+        appveyorStatusMock.verify();
+        done();
+      });
     });
-  });
 
-  it('CommitMismatchError prints both given and resolved', (done) => {
-    const testCommit = '123';
-    const testTag = 'tagname';
-    const errTest = new CommitMismatchError({
-      actual: 'abc',
-      expected: testCommit,
+    it('exit code 1 and prints message on Error', (done) => {
+      appveyorStatusMock.expects('getJobLog')
+        .once().withArgs(match.object, match.func)
+        .yields(new Error('No job matching'));
+      appveyorStatusMock.expects('getStatus').never();
+      const allArgs = [...RUNTIME_ARGS, '--log', 'foo'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.match(String(options.stderr.read()), /No job matching/);
+        appveyorStatusMock.verify();
+        done();
+      });
     });
-    appveyorStatusMock.expects('getStatus')
-      .once().withArgs(match.object, match.func).yields(errTest);
-    const allArgs = [...RUNTIME_ARGS, '-c', testTag];
-    appveyorStatusCmd(allArgs, options, (err, code) => {
-      assert.ifError(err);
-      assert.strictEqual(code, 3);
-      assert.strictEqual(options.stdout.read(), null);
-      const errString = String(options.stderr.read());
-      assert.match(errString, toRegExp(errTest.actual));
-      assert.match(errString, toRegExp(errTest.expected));
-      assert.match(errString, toRegExp(testTag));
-      done();
+
+    it('prints JSON error record on Error with --format json', (done) => {
+      appveyorStatusMock.expects('getJobLog')
+        .once().withArgs(match.object, match.func)
+        .yields(new Error('No job matching'));
+      appveyorStatusMock.expects('getLastBuild').never();
+      const allArgs = [...RUNTIME_ARGS, '--log', 'foo', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        const outString = String(options.stdout.read());
+        assert.match(JSON.parse(outString).error.message, /No job matching/);
+        appveyorStatusMock.verify();
+        done();
+      });
     });
   });
 
+  describe('artifacts', () => {
+    const testArtifacts = [
+      {
+        fileName: 'out/foo.zip',
+        jobId: 'abc',
+        jobName: 'Platform: x86',
+        name: 'foo.zip',
+        size: 1234,
+        type: 'Zip',
+      },
+    ];
+
+    it('downloads matching artifacts to directory', (done) => {
+      appveyorStatusMock.expects('getStatus').never();
+      appveyorStatusMock.expects('downloadArtifacts')
+        .once()
+        .withArgs(
+          match({
+            artifactPattern: '*.zip',
+            commit: 'HEAD',
+            directory: 'dist',
+          }),
+          match.func,
+        )
+        .yields(null, ['dist/out/foo.zip']);
+      const allArgs =
+        [...RUNTIME_ARGS, 'artifacts', '*.zip', '-d', 'dist', '-c'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(String(options.stdout.read()), 'dist/out/foo.zip\n');
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('lists artifacts with --list', (done) => {
+      appveyorStatusMock.expects('listArtifacts')
+        .once().withArgs(match({ job: 'Platform: x86' }), match.func)
+        .yields(null, testArtifacts);
+      const allArgs =
+        [...RUNTIME_ARGS, 'artifacts', '--list', '--job', 'Platform: x86'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          'out/foo.zip (1234 bytes) [Platform: x86]\n',
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('lists artifacts as JSON with --format json', (done) => {
+      appveyorStatusMock.expects('listArtifacts')
+        .once().withArgs(match.object, match.func)
+        .yields(null, testArtifacts);
+      const allArgs =
+        [...RUNTIME_ARGS, 'artifacts', '--list', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const outString = String(options.stdout.read());
+        assert.deepStrictEqual(JSON.parse(outString), testArtifacts);
+        done();
+      });
+    });
+
+    it('exit code 1 if no artifacts match', (done) => {
+      appveyorStatusMock.expects('downloadArtifacts')
+        .once().withArgs(match.object, match.func).yields(null, []);
+      const allArgs = [...RUNTIME_ARGS, 'artifacts', '*.msi'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(String(options.stderr.read()), /\*\.msi/);
+        done();
+      });
+    });
+
+    it('exit code 3 on CommitMismatchError', (done) => {
+      const errTest = new CommitMismatchError({
+        actual: 'foo',
+        expected: '123',
+      });
+      appveyorStatusMock.expects('downloadArtifacts')
+        .once().withArgs(match.object, match.func).yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, 'artifacts', '-c', '123'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 3);
+        assert.strictEqual(options.stdout.read(), null);
+        done();
+      });
+    });
+  });
+
+  expectArgsResult(['artifacts', 'a', 'b'], 4, null, /\bargument/i);
+
+  describe('history', () => {
+    const testHistory = apiResponses.getProjectHistory([
+      {
+        version: '0.0.63',
+        status: 'failed',
+        branch: 'main',
+        message: 'Fix everything\n\nReally.',
+        created: '2016-11-16T20:41:59.1683638+00:00',
+      },
+      {
+        version: '0.0.9',
+        status: 'success',
+        branch: 'feature',
+        commitId: 'abcdef0123456789abcdef0123456789abcdef01',
+        authorName: 'Other',
+        message: 'Add feature',
+        created: '2016-11-15T10:01:02.1234567+00:00',
+      },
+    ]);
+
+    it('prints table of matching builds', (done) => {
+      appveyorStatusMock.expects('getBuildHistory')
+        .once()
+        .withArgs(
+          match({
+            author: 'Other',
+            limit: 5,
+            since: '2016-11-01',
+            status: 'success',
+            until: '2016-11-30',
+          }),
+          match.func,
+        )
+        .yields(null, testHistory);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        'history',
+        '--author',
+        'Other',
+        '-n',
+        '5',
+        '--since',
+        '2016-11-01',
+        '--status',
+        'success',
+        '--until',
+        '2016-11-30',
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          '0.0.63  failed   main     1230981  2016-11-16 20:41  Test Author  '
+          + 'Fix everything\n'
+          + '0.0.9   success  feature  abcdef0  2016-11-15 10:01  Other        '
+          + 'Add feature\n',
+        );
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('defaults to 10 builds', (done) => {
+      appveyorStatusMock.expects('getBuildHistory')
+        .once().withArgs(match({ limit: 10 }), match.func)
+        .yields(null, testHistory);
+      const allArgs = [...RUNTIME_ARGS, 'history'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints builds as JSON with --format json', (done) => {
+      appveyorStatusMock.expects('getBuildHistory')
+        .once().withArgs(match.object, match.func)
+        .yields(null, testHistory);
+      const allArgs = [...RUNTIME_ARGS, 'history', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const records = JSON.parse(String(options.stdout.read()));
+        assert.strictEqual(records.length, 2);
+        assert.deepStrictEqual(records[1], {
+          project: 'test-account-name/test-proj',
+          buildNumber: 63,
+          version: '0.0.9',
+          branch: 'feature',
+          commitId: 'abcdef0123456789abcdef0123456789abcdef01',
+          status: 'success',
+          started: '2016-11-16T20:42:09.2109847+00:00',
+          finished: '2016-11-16T20:42:59.486954+00:00',
+          authorName: 'Other',
+          authorUsername: 'test-author-user',
+          created: '2016-11-15T10:01:02.1234567+00:00',
+          message: 'Add feature',
+        });
+        done();
+      });
+    });
+
+    it('prints a line per build with --format ndjson', (done) => {
+      appveyorStatusMock.expects('getBuildHistory')
+        .once().withArgs(match.object, match.func)
+        .yields(null, testHistory);
+      const allArgs = [...RUNTIME_ARGS, 'history', '--format', 'ndjson'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const lines = String(options.stdout.read()).split('\n');
+        assert.strictEqual(lines.length, 3);
+        assert.strictEqual(JSON.parse(lines[0]).version, '0.0.63');
+        assert.strictEqual(JSON.parse(lines[1]).version, '0.0.9');
+        done();
+      });
+    });
+
+    it('exit code 1 if no builds match', (done) => {
+      appveyorStatusMock.expects('getBuildHistory')
+        .once().withArgs(match.object, match.func)
+        .yields(null, apiResponses.getProjectHistory([]));
+      const allArgs = [...RUNTIME_ARGS, 'history', '--status', 'failed'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(String(options.stderr.read()), /\bNo matching builds\b/);
+        done();
+      });
+    });
+  });
+
+  expectArgsResult(['history', '--limit', 'foo'], 4, null, /\bfoo\b/);
+  expectArgsResult(['history', '--limit'], 4, null, /missing|not enough/i);
+  for (const limit of ['0', '-1', '1.5', 'Infinity']) {
+    expectArgsResult(
+      ['history', '--limit', limit],
+      4,
+      null,
+      /\bInvalid positive integer\b/,
+    );
+  }
+  expectArgsResult(['--status', 'failed'], 4, null, /\bstatus\b/);
+
+  it('passes stderr to API functions as err', (done) => {
+    appveyorStatusMock.expects('getStatus')
+      .once().withArgs(match({ err: options.stderr }), match.func)
+      .yields(null, 'success');
+    appveyorStatusCmd(RUNTIME_ARGS, options, (err) => {
+      assert.ifError(err);
+      appveyorStatusMock.verify();
+      done();
+    });
+  });
+
+  describe('overview', () => {
+    const testProjects = [
+      {
+        project: 'acct/proj-a',
+        name: 'Project A',
+        repositoryType: 'gitHub',
+        repositoryName: 'acct/proj-a',
+        branches: [
+          {
+            branch: 'dev',
+            status: 'failed',
+            version: '1.0.13',
+            created: '2016-11-13T10:01:02.1234567+00:00',
+          },
+          {
+            branch: 'main',
+            status: 'success',
+            version: '1.0.12',
+            created: '2016-11-12T09:00:00.1234567+00:00',
+          },
+        ],
+      },
+      {
+        project: 'acct/other',
+        name: 'Other',
+        repositoryType: 'gitHub',
+        repositoryName: 'acct/other',
+        branches: [],
+      },
+    ];
+
+    it('prints table of project branches', (done) => {
+      appveyorStatusMock.expects('getAccountStatus')
+        .once()
+        .withArgs(
+          match({
+            projectPattern: 'proj-*',
+            repositoryType: 'gitHub',
+            status: 'failed',
+          }),
+          match.func,
+        )
+        .yields(null, testProjects);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        'overview',
+        'proj-*',
+        '--repo-type',
+        'gitHub',
+        '--status',
+        'failed',
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          'acct/proj-a  dev   failed     1.0.13  2016-11-13 10:01\n'
+          + 'acct/proj-a  main  success    1.0.12  2016-11-12 09:00\n'
+          + 'acct/other         no builds\n',
+        );
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints JSON Array of projects', (done) => {
+      appveyorStatusMock.expects('getAccountStatus')
+        .once().withArgs(match.object, match.func)
+        .yields(null, testProjects);
+      const allArgs = [...RUNTIME_ARGS, 'overview', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(
+          JSON.parse(options.stdout.read()),
+          testProjects,
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints NDJSON record for each project', (done) => {
+      appveyorStatusMock.expects('getAccountStatus')
+        .once().withArgs(match.object, match.func)
+        .yields(null, testProjects);
+      const allArgs = [...RUNTIME_ARGS, 'overview', '--format', 'ndjson'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(
+          String(options.stdout.read()).trimEnd().split('\n').map(JSON.parse),
+          testProjects,
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints error and exits if no projects match', (done) => {
+      appveyorStatusMock.expects('getAccountStatus')
+        .once().withArgs(match.object, match.func)
+        .yields(null, []);
+      const allArgs = [...RUNTIME_ARGS, 'overview', 'nomatch'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(
+          String(options.stderr.read()),
+          /\bNo matching projects\b/,
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints error and exits for API error', (done) => {
+      appveyorStatusMock.expects('getAccountStatus')
+        .once().withArgs(match.object, match.func)
+        .yields(new Error('test error'));
+      const allArgs = [...RUNTIME_ARGS, 'overview'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.match(String(options.stderr.read()), /\btest error\b/);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+  });
+
+  describe('tui', () => {
+    it('prints error and exits without a terminal', (done) => {
+      appveyorStatusMock.expects('getLastBuildWithJobs').never();
+      const allArgs = [...RUNTIME_ARGS, 'tui'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(
+          String(options.stderr.read()),
+          /\btui requires an interactive terminal\b/,
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('shows named projects until q is pressed', (done) => {
+      options.stdin.isTTY = true;
+      options.stdin.setRawMode = sinon.spy();
+      options.stdout.isTTY = true;
+      appveyorStatusMock.expects('getLastBuildWithJobs').atLeast(1)
+        .withArgs(match({ project: match.defined, repo: undefined }))
+        .resolves(apiResponses.getProjectBuild({}));
+      appveyorStatusMock.expects('getJobLog').atLeast(1).resolves('');
+      let written = '';
+      options.stdout.on('data', (data) => {
+        written += data;
+        if (/ 0\.0\.63 /.test(written)) {
+          options.stdin.write('q');
+        }
+      });
+      const allArgs = [...RUNTIME_ARGS, 'tui', 'foo/bar'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    expectArgsResult(['tui', '--interval'], 4, null, /missing|not enough/i);
+    for (const interval of ['0', '-1', 'Infinity', 'foo']) {
+      expectArgsResult(
+        ['tui', '--interval', interval],
+        4,
+        null,
+        /\bInvalid positive number\b/,
+      );
+    }
+  });
+
+  describe('build', () => {
+    for (const [action, funcName] of [
+      ['start', 'startBuild'],
+      ['rerun', 'rerunBuild'],
+      ['cancel', 'cancelBuild'],
+    ]) {
+      it(`${action} calls ${funcName} and prints status`, (done) => {
+        appveyorStatusMock.expects(funcName)
+          .once().withArgs(match({ action }), match.func)
+          .yields(null, apiResponses.getProjectBuild({ status: 'queued' }));
+        const allArgs = [...RUNTIME_ARGS, 'build', action];
+        appveyorStatusCmd(allArgs, options, (err, code) => {
+          assert.ifError(err);
+          assert.strictEqual(code, 0);
+          assert.strictEqual(
+            String(options.stdout.read()),
+            'AppVeyor build 0.0.63 status: queued\n',
+          );
+          assert.strictEqual(options.stderr.read(), null);
+          appveyorStatusMock.verify();
+          done();
+        });
+      });
+    }
+
+    it('rerun --incomplete sets rerunIncomplete', (done) => {
+      appveyorStatusMock.expects('rerunBuild')
+        .once().withArgs(match({ rerunIncomplete: true }), match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'queued' }));
+      const allArgs = [...RUNTIME_ARGS, 'build', 'rerun', '--incomplete'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('start --wait exits with code for build status', (done) => {
+      appveyorStatusMock.expects('startBuild')
+        .once().withArgs(match({ wait: Infinity }), match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'failed' }));
+      const allArgs = [...RUNTIME_ARGS, 'build', 'start', '--wait'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          'AppVeyor build 0.0.63 status: failed\n',
+        );
+        done();
+      });
+    });
+
+    it('cancel --wait exits 0 for cancelled build', (done) => {
+      appveyorStatusMock.expects('cancelBuild')
+        .once().withArgs(match.object, match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'cancelled' }));
+      const allArgs = [...RUNTIME_ARGS, 'build', 'cancel', '--wait'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        done();
+      });
+    });
+
+    it('prints build as JSON with --format json', (done) => {
+      appveyorStatusMock.expects('startBuild')
+        .once().withArgs(match.object, match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'queued' }));
+      const allArgs = [...RUNTIME_ARGS, 'build', 'start', '--format', 'json'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const record = JSON.parse(String(options.stdout.read()));
+        assert.strictEqual(record.status, 'queued');
+        assert.strictEqual(record.version, '0.0.63');
+        done();
+      });
+    });
+
+    it('exit code 1 and prints message on error', (done) => {
+      const errTest = new Error('Unable to start build: Unauthorized');
+      appveyorStatusMock.expects('startBuild')
+        .once().withArgs(match.object, match.func).yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, 'build', 'start'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.match(String(options.stderr.read()), /\bUnauthorized\b/);
+        done();
+      });
+    });
+  });
+
+  expectArgsResult(['build'], 4, null, /\baction\b/);
+  expectArgsResult(['build', 'foo'], 4, null, /\bfoo\b/);
+
+  describe('--watch', () => {
+    const buildEvent = {
+      type: 'build',
+      time: '2016-11-16T20:42:19.210Z',
+      project: 'foo/bar',
+      version: '0.0.63',
+      status: 'queued',
+      finished: false,
+      elapsedMs: 10_000,
+    };
+    const jobEvent = {
+      ...buildEvent,
+      type: 'job',
+      status: 'failed',
+      previousStatus: 'running',
+      finished: true,
+      elapsedMs: 23_015,
+      job: { name: 'Platform: x86' },
+    };
+    const statusEvent = {
+      ...buildEvent,
+      type: 'status',
+      status: 'failed',
+      previousStatus: 'queued',
+      finished: true,
+      elapsedMs: 65_000,
+    };
+
+    let watcher;
+    beforeEach(() => {
+      watcher = new EventEmitter();
+    });
+
+    function emitEvents() {
+      watcher.emit('build', buildEvent);
+      watcher.emit('job', jobEvent);
+      watcher.emit('status', statusEvent);
+      watcher.emit('end');
+    }
+
+    it('prints each event', (done) => {
+      appveyorStatusMock.expects('watch')
+        .once().withArgs(match({ branch: 'main' }))
+        .returns(watcher);
+      const allArgs = [...RUNTIME_ARGS, '--watch', '-b', 'main'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          '[2016-11-16T20:42:19.210Z] foo/bar build 0.0.63: queued (10s)\n'
+          + '[2016-11-16T20:42:19.210Z] foo/bar build 0.0.63 job '
+          + 'Platform: x86: failed (23s)\n'
+          + '[2016-11-16T20:42:19.210Z] foo/bar build 0.0.63: '
+          + 'queued -> failed (1m 5s)\n',
+        );
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
+      emitEvents();
+    });
+
+    it('prints each event as a line with --format ndjson', (done) => {
+      appveyorStatusMock.expects('watch')
+        .once().withArgs(match.object).returns(watcher);
+      const allArgs = [...RUNTIME_ARGS, '--watch', '--format', 'ndjson'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        const lines = String(options.stdout.read()).split('\n');
+        assert.deepStrictEqual(
+          lines.slice(0, -1).map((line) => JSON.parse(line)),
+          [buildEvent, jobEvent, statusEvent],
+        );
+        done();
+      });
+      emitEvents();
+    });
+
+    it('exit code 1 and prints message on error', (done) => {
+      appveyorStatusMock.expects('watch')
+        .once().withArgs(match.object).returns(watcher);
+      const allArgs = [...RUNTIME_ARGS, '--watch'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.match(String(options.stderr.read()), /\bServer Error\b/);
+        done();
+      });
+      watcher.emit('error', new Error('Server Error'));
+    });
+  });
+
+  it('--format ndjson prints JSON on a single line', (done) => {
+    appveyorStatusMock.expects('getLastBuild')
+      .once().withArgs(match({ format: 'ndjson' }), match.func)
+      .yields(null, apiResponses.getProjectBuild({ status: 'success' }));
+    const allArgs = [...RUNTIME_ARGS, '--format', 'ndjson'];
+    appveyorStatusCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 0);
+      const outString = String(options.stdout.read());
+      assert.match(outString, /^\{[^\n]*\}\n$/);
+      assert.strictEqual(JSON.parse(outString).status, 'success');
+      done();
+    });
+  });
+
+  it('--format ndjson prints a line per status change with --wait', (done) => {
+    appveyorStatusMock.expects('getLastBuild')
+      .once().withArgs(match({ onPoll: match.func }), match.func)
+      .callsFake((opts, callback) => {
+        for (const status of ['queued', 'queued', 'running']) {
+          opts.onPoll(apiResponses.getProjectBuild({ status }));
+        }
+        callback(null, apiResponses.getProjectBuild({ status: 'success' }));
+      });
+    const allArgs = [...RUNTIME_ARGS, '--format', 'ndjson', '--wait'];
+    appveyorStatusCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 0);
+      const lines = String(options.stdout.read()).split('\n');
+      assert.strictEqual(lines.pop(), '');
+      assert.deepStrictEqual(
+        lines.map((line) => JSON.parse(line).status),
+        ['queued', 'running', 'success'],
+      );
+      done();
+    });
+  });
+
+  for (const arg of ['-q', '--quiet']) {
+    it(`${arg} exits without printing status`, (done) => {
+      appveyorStatusMock.expects('getStatus')
+        .once().withArgs(match.object, match.func).yields(null, 'failed');
+      const allArgs = [...RUNTIME_ARGS, arg];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.strictEqual(options.stderr.read(), null);
+        done();
+      });
+    });
+  }
+
+  describe('with --project-file', () => {
+    const testProjects = ['foo/bar', { project: 'foo/baz', branch: 'dev' }];
+
+    function expectStatuses(results) {
+      appveyorStatusMock.expects('getStatus').never();
+      return appveyorStatusMock.expects('getStatuses').once()
+        .withArgs(
+          match({ project: undefined, projects: testProjects }),
+          match.func,
+        )
+        .yields(null, results);
+    }
+
+    it('prints status of each project', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', status: 'success' },
+        { project: 'foo/baz', branch: 'dev', status: 'success' },
+      ]);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--no-color',
+        '--project-file',
+        TEST_PROJECTS_PATH,
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          'foo/bar        success\nfoo/baz (dev)  success\n',
+        );
+        assert.strictEqual(options.stderr.read(), null);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('exits with code for worst status', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', status: 'failed' },
+        { project: 'foo/baz', branch: 'dev', status: 'success' },
+      ]);
+      const allArgs = [...RUNTIME_ARGS, '--project-file', TEST_PROJECTS_PATH];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints errors with project name', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', error: new Error('test error') },
+        { project: 'foo/baz', branch: 'dev', status: 'success' },
+      ]);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--no-color',
+        '--project-file',
+        TEST_PROJECTS_PATH,
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.match(
+          String(options.stdout.read()),
+          /^foo\/bar {8}error$/m,
+        );
+        assert.strictEqual(
+          String(options.stderr.read()),
+          'foo/bar: Error: test error\n',
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints JSON with status of each project', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', error: new Error('test error') },
+        { project: 'foo/baz', branch: 'dev', status: 'success' },
+      ]);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--format',
+        'json',
+        '--project-file',
+        TEST_PROJECTS_PATH,
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.deepStrictEqual(
+          JSON.parse(options.stdout.read()),
+          {
+            projects: [
+              {
+                project: 'foo/bar',
+                error: { name: 'Error', message: 'test error' },
+              },
+              { project: 'foo/baz', branch: 'dev', status: 'success' },
+            ],
+          },
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints NDJSON record for each project', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', status: 'success' },
+        { project: 'foo/baz', branch: 'dev', status: 'failed' },
+      ]);
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--format',
+        'ndjson',
+        '--project-file',
+        TEST_PROJECTS_PATH,
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        assert.strictEqual(
+          String(options.stdout.read()),
+          '{"project":"foo/bar","status":"success"}\n'
+          + '{"project":"foo/baz","branch":"dev","status":"failed"}\n',
+        );
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('reads projects from stdin for -', (done) => {
+      expectStatuses([
+        { project: 'foo/bar', status: 'success' },
+        { project: 'foo/baz', branch: 'dev', status: 'success' },
+      ]);
+      options.stdin = fs.createReadStream(TEST_PROJECTS_PATH);
+      const allArgs = [...RUNTIME_ARGS, '--project-file', '-'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prints error and exits for unreadable file', (done) => {
+      appveyorStatusMock.expects('getStatuses').never();
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--project-file',
+        path.join(__dirname, 'nonexistent.txt'),
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.match(
+          String(options.stderr.read()),
+          /\bUnable to read project file\b/,
+        );
+        done();
+      });
+    });
+
+    it('prints error and exits for invalid line', (done) => {
+      appveyorStatusMock.expects('getStatuses').never();
+      options.stdin.end('foo/bar\nfoo/baz dev extra\n');
+      const allArgs = [...RUNTIME_ARGS, '--project-file', '-'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.match(
+          String(options.stderr.read()),
+          /\bUnexpected "extra" on line 2\b/,
+        );
+        done();
+      });
+    });
+
+    it('prints error and exits for empty file', (done) => {
+      appveyorStatusMock.expects('getStatuses').never();
+      options.stdin.end('# no projects\n');
+      const allArgs = [...RUNTIME_ARGS, '--project-file', '-'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.match(String(options.stderr.read()), /\bNo projects\b/);
+        done();
+      });
+    });
+
+    it('prints error and exits when used with command', (done) => {
+      appveyorStatusMock.expects('getBuildHistory').never();
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        'history',
+        '--project-file',
+        TEST_PROJECTS_PATH,
+      ];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.match(String(options.stderr.read()), /--project-file\b/);
+        done();
+      });
+    });
+  });
+
+  describe('with configuration', () => {
+    let loadConfigsStub;
+    beforeEach(() => {
+      loadConfigsStub = sinon.stub(config, 'loadConfigs');
+    });
+    afterEach(() => {
+      loadConfigsStub.restore();
+      delete process.env.APPVEYOR_STATUS_FOO;
+      delete process.env.APPVEYOR_STATUS_PROJECT;
+      delete process.env.APPVEYOR_STATUS_REPO;
+      process.env.APPVEYOR_API_TOKEN = 'env-token';
+    });
+
+    function expectConfigArgsAs(configs, args, expectObj) {
+      return new Promise((resolve, reject) => {
+        loadConfigsStub.returns(configs);
+        appveyorStatusMock.expects('getStatus').once()
+          .withArgs(expectObj, match.func)
+          .yields(null, 'success');
+        appveyorStatusCmd([...RUNTIME_ARGS, ...args], options, (err) => {
+          try {
+            assert.ifError(err);
+            appveyorStatusMock.verify();
+            resolve();
+          } catch (errAssert) {
+            reject(errAssert);
+          }
+        });
+      });
+    }
+
+    it('loads configuration for working directory and environment', () => {
+      loadConfigsStub.returns([]);
+      appveyorStatusMock.expects('getStatus').once()
+        .yields(null, 'success');
+      appveyorStatusCmd(RUNTIME_ARGS, options, sinon.mock().once());
+      sinon.assert.calledOnceWithExactly(
+        loadConfigsStub,
+        { cwd: process.cwd(), env: process.env },
+      );
+    });
+
+    it('uses settings from configuration', () => expectConfigArgsAs(
+      [{
+        branch: 'dev',
+        color: true,
+        project: 'foo/bar',
+        wait: 1800,
+      }],
+      [],
+      match({
+        branch: 'dev',
+        color: true,
+        project: 'foo/bar',
+        wait: 1_800_000,
+      }),
+    ));
+
+    it('uses format from configuration', (done) => {
+      loadConfigsStub.returns([{ format: 'ndjson' }]);
+      appveyorStatusMock.expects('getStatus').never();
+      appveyorStatusMock.expects('getLastBuild')
+        .once().withArgs(match({ format: 'ndjson' }), match.func)
+        .yields(null, apiResponses.getProjectBuild({ status: 'success' }));
+      appveyorStatusCmd(RUNTIME_ARGS, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        appveyorStatusMock.verify();
+        done();
+      });
+    });
+
+    it('prefers command-line arguments over configuration', () => {
+      return expectConfigArgsAs(
+        [{ project: 'foo/bar', wait: 1800 }],
+        ['-p', 'baz/quux', '-w', '60'],
+        match({ project: 'baz/quux', wait: 60_000 }),
+      );
+    });
+
+    it('prefers environment over configuration', () => {
+      process.env.APPVEYOR_STATUS_PROJECT = 'env/proj';
+      return expectConfigArgsAs(
+        [{ project: 'foo/bar' }],
+        [],
+        match({ project: 'env/proj' }),
+      );
+    });
+
+    it('ignores environment variables which are not options', () => {
+      process.env.APPVEYOR_STATUS_FOO = '1';
+      return expectConfigArgsAs(
+        [],
+        ['-p', 'foo/bar'],
+        match({ project: 'foo/bar' }),
+      );
+    });
+
+    it('ignores configured project if --repo is given', () => {
+      return expectConfigArgsAs(
+        [{ project: 'acct/proj' }],
+        ['-r', 'foo'],
+        match({ project: undefined, repo: 'foo' }),
+      );
+    });
+
+    it('ignores configured project if --badge is given', () => {
+      return expectConfigArgsAs(
+        [{ project: 'acct/proj' }],
+        ['-B', 'abc'],
+        match({ project: undefined, statusBadgeId: 'abc' }),
+      );
+    });
+
+    it('ignores configured project if repo is in environment', () => {
+      process.env.APPVEYOR_STATUS_REPO = 'foo';
+      return expectConfigArgsAs(
+        [{ project: 'acct/proj' }],
+        [],
+        match({ project: undefined, repo: 'foo' }),
+      );
+    });
+
+    it('ignores project in environment if --repo is given', () => {
+      process.env.APPVEYOR_STATUS_PROJECT = 'env/proj';
+      return expectConfigArgsAs(
+        [],
+        ['-r', 'foo'],
+        match({ project: undefined, repo: 'foo' }),
+      );
+    });
+
+    it('prefers earlier configuration', () => expectConfigArgsAs(
+      [{ project: 'repo/proj' }, { branch: 'dev', project: 'user/proj' }],
+      [],
+      match({ branch: 'dev', project: 'repo/proj' }),
+    ));
+
+    it('uses API URL from configuration', () => {
+      return expectConfigArgsAs(
+        [{ apiUrl: 'https://av.example.com/api' }],
+        [],
+        match({ baseUrl: 'https://av.example.com/api' }),
+      );
+    });
+
+    it('prefers --api-url over configuration', () => {
+      return expectConfigArgsAs(
+        [{ apiUrl: 'https://av.example.com/api' }],
+        ['--api-url', 'https://other.example.com/api'],
+        match({ baseUrl: 'https://other.example.com/api' }),
+      );
+    });
+
+    it('combines repoHosts from configuration and --repo-host', () => {
+      return expectConfigArgsAs(
+        [
+          { repoHosts: { 'a.example.com': 'gitea' } },
+          {
+            repoHosts: {
+              'a.example.com': 'git',
+              'b.example.com': 'gitLabServer',
+            },
+          },
+        ],
+        ['--repo-host', 'b.example.com=bitBucketServer'],
+        match({
+          repoHosts: {
+            'a.example.com': 'gitea',
+            'b.example.com': 'bitBucketServer',
+          },
+        }),
+      );
+    });
+
+    it('reads token from configured token file', () => {
+      delete process.env.APPVEYOR_API_TOKEN;
+      return expectConfigArgsAs(
+        [{ tokenFile: TEST_TOKEN_PATH }],
+        [],
+        match({ token: 'file-token' }),
+      );
+    });
+
+    it('prefers $APPVEYOR_API_TOKEN over configured token file', () => {
+      return expectConfigArgsAs(
+        [{ tokenFile: TEST_TOKEN_PATH }],
+        [],
+        match({ token: 'env-token' }),
+      );
+    });
+
+    it('prefers --token over configured token file', () => {
+      return expectConfigArgsAs(
+        [{ tokenFile: TEST_TOKEN_PATH }],
+        ['--token', 'foo'],
+        match({ token: 'foo' }),
+      );
+    });
+
+    describe('with profiles', () => {
+      const profiles = {
+        personal: { account: 'me', tokenEnv: 'TEST_PERSONAL_TOKEN' },
+        work: { account: 'myorg', tokenFile: TEST_TOKEN_PATH },
+      };
+      afterEach(() => {
+        delete process.env.TEST_PERSONAL_TOKEN;
+      });
+
+      it('uses token of named profile', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['--profile', 'work'],
+          match({ token: 'file-token' }),
+        );
+      });
+
+      it('uses token of profile for project account', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['-p', 'MyOrg/proj'],
+          match({ project: 'MyOrg/proj', token: 'file-token' }),
+        );
+      });
+
+      it('uses token from environment variable of profile', () => {
+        process.env.TEST_PERSONAL_TOKEN = 'personal-token';
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['-p', 'me/proj'],
+          match({ token: 'personal-token' }),
+        );
+      });
+
+      it('uses profile from configuration', () => {
+        return expectConfigArgsAs(
+          [{ profile: 'work', profiles }],
+          [],
+          match({ token: 'file-token' }),
+        );
+      });
+
+      it('prefers profiles from earlier configuration', () => {
+        return expectConfigArgsAs(
+          [{ profiles: { work: { token: 'repo-token' } } }, { profiles }],
+          ['--profile', 'work'],
+          match({ token: 'repo-token' }),
+        );
+      });
+
+      it('adds profile account to project without account', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['--profile', 'work', '-p', 'proj'],
+          match({ project: 'myorg/proj' }),
+        );
+      });
+
+      it('uses API URL of profile over configuration', () => {
+        return expectConfigArgsAs(
+          [{
+            apiUrl: 'https://av.example.com/api',
+            profiles: { work: { apiUrl: 'https://work.example.com/api' } },
+          }],
+          ['--profile', 'work'],
+          match({ baseUrl: 'https://work.example.com/api' }),
+        );
+      });
+
+      it('prefers --api-url over profile', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['--profile', 'work', '--api-url', 'https://av.example.com/api'],
+          match({ baseUrl: 'https://av.example.com/api' }),
+        );
+      });
+
+      it('prefers --token over profile', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['--profile', 'work', '--token', 'foo'],
+          match({ token: 'foo' }),
+        );
+      });
+
+      it('uses $APPVEYOR_API_TOKEN if no profile matches', () => {
+        return expectConfigArgsAs(
+          [{ profiles }],
+          ['-p', 'other/proj'],
+          match({ token: 'env-token' }),
+        );
+      });
+
+      it('prints error and exits for unknown profile', (done) => {
+        loadConfigsStub.returns([{ profiles }]);
+        appveyorStatusMock.expects('getStatus').never();
+        const allArgs = [...RUNTIME_ARGS, '--profile', 'other'];
+        appveyorStatusCmd(allArgs, options, (err, code) => {
+          assert.ifError(err);
+          assert.strictEqual(code, 4);
+          assert.match(
+            String(options.stderr.read()),
+            /\bUnknown profile "other"/,
+          );
+          done();
+        });
+      });
+
+      it('prints error and exits for unset profile token-env', (done) => {
+        loadConfigsStub.returns([{ profiles }]);
+        appveyorStatusMock.expects('getStatus').never();
+        const allArgs = [...RUNTIME_ARGS, '--profile', 'personal'];
+        appveyorStatusCmd(allArgs, options, (err, code) => {
+          assert.ifError(err);
+          assert.strictEqual(code, 4);
+          assert.match(
+            String(options.stderr.read()),
+            /\bTEST_PERSONAL_TOKEN\b.* not set\b/,
+          );
+          done();
+        });
+      });
+    });
+
+    it('prints error and exits for configuration error', (done) => {
+      loadConfigsStub.throws(new Error('Unable to parse test'));
+      appveyorStatusMock.expects('getStatus').never();
+      appveyorStatusCmd(RUNTIME_ARGS, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 4);
+        assert.strictEqual(options.stdout.read(), null);
+        assert.strictEqual(
+          String(options.stderr.read()),
+          'Error: Unable to parse test\n',
+        );
+        done();
+      });
+    });
+  });
+
+  // This tests exception handling in the parseYargs wrapper
+  it('allows callback errors to propagate', () => {
+    appveyorStatusMock.expects('getStatus').never();
+    const errTest = new Error('test');
+    let caughtError = false;
+    let called = false;
+    // Note:  Chai assert.throws does not accept comparison function like node
+    try {
+      const allArgs = [...RUNTIME_ARGS, 'foo'];
+      appveyorStatusCmd(allArgs, options, () => {
+        assert(!called, 'callback called exactly once');
+        called = true;
+        throw errTest;
+      });
+    } catch (err) {
+      caughtError = true;
+      assert.strictEqual(err, errTest);
+    }
+    assert(caughtError, 'Missing expected exception.');
+  });
+
+  it('throws for non-function callback', () => {
+    appveyorStatusMock.expects('getStatus').never();
+    assert.throws(
+      () => { appveyorStatusCmd(RUNTIME_ARGS, {}, true); },
+      TypeError,
+    );
+  });
+
+  it('can be called without arguments', () => {
+    appveyorStatusMock.expects('getStatus')
+      .once()
+      .withArgs(
+        match.object,
+        match.func,
+      );
+    appveyorStatusCmd(null, sinon.mock().never());
+    appveyorStatusMock.verify();
+  });
+
+  it('yields TypeError for non-Array-like args', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    appveyorStatusCmd(true, options, (err) => {
+      assert(err instanceof TypeError);
+      assert.match(err.message, /\bArray\b/);
+      done();
+    });
+  });
+
+  it('yields RangeError for less than 2 args', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    appveyorStatusCmd([], options, (err) => {
+      assert(err instanceof RangeError);
+      assert.match(err.message, /\bargs\b/);
+      done();
+    });
+  });
+
+  it('yields Error for non-object options', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    appveyorStatusCmd(RUNTIME_ARGS, true, (err) => {
+      assert(err instanceof TypeError);
+      assert.match(err.message, /\boptions\b/);
+      done();
+    });
+  });
+
+  it('yields Error for non-Readable in', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    appveyorStatusCmd(RUNTIME_ARGS, { stdin: true }, (err) => {
+      assert(err instanceof TypeError);
+      assert.match(err.message, /\boptions.stdin\b/);
+      done();
+    });
+  });
+
+  it('yields Error for non-Writable out', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    const badOptions = { stdout: new stream.Readable() };
+    appveyorStatusCmd(RUNTIME_ARGS, badOptions, (err) => {
+      assert(err instanceof TypeError);
+      assert.match(err.message, /\boptions.stdout\b/);
+      done();
+    });
+  });
+
+  it('yields Error for non-Writable err', (done) => {
+    appveyorStatusMock.expects('getStatus').never();
+    const badOptions = { stderr: new stream.Readable() };
+    appveyorStatusCmd(RUNTIME_ARGS, badOptions, (err) => {
+      assert(err instanceof TypeError);
+      assert.match(err.message, /\boptions.stderr\b/);
+      done();
+    });
+  });
+
+  it('exit code 1 and prints message on Error', (done) => {
+    const errMsg = 'super duper test error';
+    appveyorStatusMock.expects('getStatus')
+      .once().withArgs(match.object, match.func).yields(new Error(errMsg));
+    appveyorStatusCmd(RUNTIME_ARGS, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      const errString = String(options.stderr.read());
+      assert.match(errString, toRegExp(errMsg));
+      done();
+    });
+  });
+
+  it('exit code 3 and prints message on CommitMismatchError', (done) => {
+    const testCommit = '123';
+    const errTest = new CommitMismatchError({
+      actual: 'foo',
+      expected: testCommit,
+    });
+    appveyorStatusMock.expects('getStatus')
+      .once().withArgs(match.object, match.func).yields(errTest);
+    const allArgs = [...RUNTIME_ARGS, '-c', testCommit];
+    appveyorStatusCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 3);
+      assert.strictEqual(options.stdout.read(), null);
+      const errString = String(options.stderr.read());
+      assert.match(errString, toRegExp(errTest.actual));
+      assert.match(errString, toRegExp(errTest.expected));
+      done();
+    });
+  });
+
+  it('CommitMismatchError prints both given and resolved', (done) => {
+    const testCommit = '123';
+    const testTag = 'tagname';
+    const errTest = new CommitMismatchError({
+      actual: 'abc',
+      expected: testCommit,
+    });
+    appveyorStatusMock.expects('getStatus')
+      .once().withArgs(match.object, match.func).yields(errTest);
+    const allArgs = [...RUNTIME_ARGS, '-c', testTag];
+    appveyorStatusCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 3);
+      assert.strictEqual(options.stdout.read(), null);
+      const errString = String(options.stderr.read());
+      assert.match(errString, toRegExp(errTest.actual));
+      assert.match(errString, toRegExp(errTest.expected));
+      assert.match(errString, toRegExp(testTag));
+      done();
+    });
+  });
+
+  it('CommitMismatchError with --commit-search prints no build', (done) => {
+    const errTest = new CommitMismatchError({
+      actual: 'abc',
+      expected: '123',
+    });
+    appveyorStatusMock.expects('getStatus')
+      .once().withArgs(match({ commitSearch: true }), match.func)
+      .yields(errTest);
+    const allArgs = [...RUNTIME_ARGS, '--commit-search', '-c', '123'];
+    appveyorStatusCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 3);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        String(options.stderr.read()),
+        'Error: No recent build of commit 123 (last build commit abc)\n',
+      );
+      done();
+    });
+  });
+
+  for (const args of [['--commit-or-descendant'], ['--commit-search']]) {
+    it(`CommitMismatchError without build commit with ${args}`, (done) => {
+      const errTest = new CommitMismatchError({ expected: '123' });
+      appveyorStatusMock.expects('getStatus')
+        .once().withArgs(match.object, match.func)
+        .yields(errTest);
+      const allArgs = [...RUNTIME_ARGS, ...args, '-c', '123'];
+      appveyorStatusCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 3);
+        assert.strictEqual(options.stdout.read(), null);
+        const errString = String(options.stderr.read());
+        assert.match(errString, /^Error: [^\n]*\b123\b/);
+        assert.doesNotMatch(errString, /\bundefined\b/);
+        done();
+      });
+    });
+  }
+
   it('returns a Promise when called without a function', () => {
     appveyorStatusMock.expects('getStatus')
       .once().withArgs(match.object, match.func);
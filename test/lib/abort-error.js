@@ -0,0 +1,39 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const AbortError = require('../../lib/abort-error.js');
+
+describe('AbortError', () => {
+  it('has name, code, and default message like Node.js', () => {
+    const err = new AbortError();
+    assert.strictEqual(err.name, 'AbortError');
+    assert.strictEqual(err.code, 'ABORT_ERR');
+    assert.strictEqual(err.message, 'The operation was aborted');
+    assert(!Object.hasOwn(err, 'cause'), 'does not have cause');
+  });
+
+  it('can set .message and .cause from arguments', () => {
+    const testCause = new Error('test reason');
+    const err = new AbortError('test', { cause: testCause });
+    assert.strictEqual(err.message, 'test');
+    assert.strictEqual(err.cause, testCause);
+  });
+
+  it('can be instantiated without new', () => {
+    // eslint-disable-next-line new-cap, unicorn/throw-new-error
+    const err = AbortError('test');
+    assert(err instanceof AbortError);
+    assert.strictEqual(err.message, 'test');
+  });
+
+  it('inherits from Error', () => {
+    const err = new AbortError();
+    assert(err instanceof Error);
+  });
+});
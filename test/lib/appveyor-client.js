@@ -0,0 +1,105 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const http = require('node:http');
+const https = require('node:https');
+
+const appveyorSwagger = require('appveyor-swagger');
+const sinon = require('sinon');
+
+const createAppveyorClient = require('../../lib/appveyor-client.js');
+
+describe('createAppveyorClient', () => {
+  let agent;
+  afterEach(() => {
+    if (!agent) {
+      return;
+    }
+    agent.destroy();
+    agent = undefined;
+  });
+
+  it('creates https keep-alive Agent and client for appveyor.com', async () => {
+    const result = createAppveyorClient({});
+    ({ agent } = result);
+    assert(agent instanceof https.Agent);
+    assert.strictEqual(agent.keepAlive, true);
+    const client = await result.appveyorClient;
+    assert.strictEqual(client.connectionAgent, agent);
+    assert.strictEqual(client.spec.host, appveyorSwagger.host);
+    assert.strictEqual(client.authorizations, undefined);
+  });
+
+  it('creates http Agent and client for http baseUrl', async () => {
+    const result = createAppveyorClient({
+      baseUrl: 'http://appveyor.example.com/api/',
+    });
+    ({ agent } = result);
+    assert(agent instanceof http.Agent);
+    assert(!(agent instanceof https.Agent));
+    const client = await result.appveyorClient;
+    assert.strictEqual(client.spec.host, 'appveyor.example.com');
+    assert.strictEqual(client.spec.basePath, '/api');
+    assert.deepStrictEqual(client.spec.schemes, ['http']);
+  });
+
+  it('uses options.agent without creating an Agent', async () => {
+    const optAgent = new https.Agent();
+    try {
+      const result = createAppveyorClient({ agent: optAgent });
+      assert.strictEqual(result.agent, undefined);
+      const client = await result.appveyorClient;
+      assert.strictEqual(client.connectionAgent, optAgent);
+    } finally {
+      optAgent.destroy();
+    }
+  });
+
+  it('authorizes requests with options.token', async () => {
+    const result = createAppveyorClient({ token: 'testtoken' });
+    ({ agent } = result);
+    const client = await result.appveyorClient;
+    assert.deepStrictEqual(
+      client.authorizations,
+      { apiToken: 'Bearer testtoken' },
+    );
+  });
+
+  it('retries requests with options.userFetch', async () => {
+    const response = new Response('[]', {
+      headers: { 'Content-Type': 'application/json' },
+    });
+    const userFetch = sinon.stub();
+    userFetch.onFirstCall().rejects(new Error('test network error'));
+    userFetch.onSecondCall().resolves(response);
+    const setTimeoutStub = sinon.stub().resolves();
+    const result = createAppveyorClient({
+      setTimeout: setTimeoutStub,
+      userFetch,
+    });
+    ({ agent } = result);
+    const client = await result.appveyorClient;
+    await client.apis.Project.getProjects();
+    sinon.assert.calledTwice(userFetch);
+    sinon.assert.calledOnce(setTimeoutStub);
+  });
+
+  it('throws TypeError for non-URL baseUrl', () => {
+    assert.throws(
+      () => createAppveyorClient({ baseUrl: 'not a URL' }),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for non-http baseUrl', () => {
+    assert.throws(
+      () => createAppveyorClient({ baseUrl: 'ftp://example.com/api' }),
+      RangeError,
+    );
+  });
+});
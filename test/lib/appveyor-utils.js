@@ -10,6 +10,20 @@ const assert = require('node:assert');
 const appveyorUtils = require('../../lib/appveyor-utils.js');
 const apiResponses = require('../../test-lib/api-responses.js');
 
+function makeJobs(...statuses) {
+  return statuses.map((status) => ({ status }));
+}
+
+function getRunningBuild() {
+  const projectBuild = apiResponses.getProjectBuild({ status: 'running' });
+  delete projectBuild.build.finished;
+  for (const job of projectBuild.build.jobs) {
+    job.status = 'running';
+    delete job.finished;
+  }
+  return projectBuild;
+}
+
 describe('appveyorUtils', () => {
   describe('.badgeToStatus', () => {
     for (const status of ['success', 'failed']) {
@@ -53,6 +67,215 @@ describe('appveyorUtils', () => {
     });
   });
 
+  describe('.projectBuildToSummary', () => {
+    it('returns summary of ProjectBuild', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+      const { build } = projectBuild;
+      assert.deepStrictEqual(
+        appveyorUtils.projectBuildToSummary(projectBuild),
+        {
+          project: 'test-account-name/test-proj',
+          buildNumber: build.buildNumber,
+          version: build.version,
+          branch: build.branch,
+          commitId: build.commitId,
+          status: 'failed',
+          started: build.started,
+          finished: build.finished,
+        },
+      );
+    });
+
+    it('returns undefined times for unstarted build', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'queued' });
+      delete projectBuild.build.started;
+      delete projectBuild.build.finished;
+      const result = appveyorUtils.projectBuildToSummary(projectBuild);
+      assert.strictEqual(result.started, undefined);
+      assert.strictEqual(result.finished, undefined);
+    });
+  });
+
+  describe('.statusToSummary', () => {
+    it('returns summary with null for all but status', () => {
+      assert.deepStrictEqual(
+        appveyorUtils.statusToSummary('running'),
+        {
+          project: null,
+          buildNumber: null,
+          version: null,
+          branch: null,
+          commitId: null,
+          status: 'running',
+          started: null,
+          finished: null,
+        },
+      );
+    });
+
+    it('has the same properties as projectBuildToSummary', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+      assert.deepStrictEqual(
+        Object.keys(appveyorUtils.statusToSummary('failed')),
+        Object.keys(appveyorUtils.projectBuildToSummary(projectBuild)),
+      );
+    });
+  });
+
+  describe('.jobToSummary', () => {
+    it('returns summary of finished BuildJob with duration', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+      const job = projectBuild.build.jobs[0];
+      job.osType = 'Windows';
+      job.testsCount = 5;
+      job.passedTestsCount = 4;
+      job.failedTestsCount = 1;
+      assert.deepStrictEqual(
+        appveyorUtils.jobToSummary(job),
+        {
+          jobId: job.jobId,
+          name: job.name,
+          osType: 'Windows',
+          allowFailure: false,
+          status: 'failed',
+          started: job.started,
+          finished: job.finished,
+          durationMs: 23_015,
+          testsCount: 5,
+          passedTestsCount: 4,
+          failedTestsCount: 1,
+        },
+      );
+    });
+
+    it('returns undefined duration for unfinished BuildJob', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'running' });
+      const job = projectBuild.build.jobs[0];
+      delete job.finished;
+      const result = appveyorUtils.jobToSummary(job);
+      assert.strictEqual(result.durationMs, undefined);
+    });
+  });
+
+  describe('.jobsToStatus', () => {
+    it('returns success if all jobs succeeded', () => {
+      assert.strictEqual(
+        appveyorUtils.jobsToStatus(makeJobs('success', 'success')),
+        'success',
+      );
+    });
+
+    it('returns failed if any job failed', () => {
+      assert.strictEqual(
+        appveyorUtils.jobsToStatus(makeJobs('running', 'success', 'failed')),
+        'failed',
+      );
+    });
+
+    it('returns status of first unsuccessful job', () => {
+      assert.strictEqual(
+        appveyorUtils.jobsToStatus(makeJobs('success', 'cancelled', 'queued')),
+        'cancelled',
+      );
+    });
+
+    it('ignores jobs which are allowed to fail', () => {
+      const jobs = makeJobs('success', 'failed');
+      jobs[1].allowFailure = true;
+      assert.strictEqual(appveyorUtils.jobsToStatus(jobs), 'success');
+    });
+
+    it('returns queued if there are no jobs', () => {
+      assert.strictEqual(appveyorUtils.jobsToStatus([]), 'queued');
+    });
+  });
+
+  describe('.getBuildEvents', () => {
+    const testTime = Date.parse('2016-11-16T20:42:19.2109847+00:00');
+
+    it('returns build event for first build', () => {
+      assert.deepStrictEqual(
+        appveyorUtils.getBuildEvents(undefined, getRunningBuild(), testTime),
+        [
+          {
+            type: 'build',
+            time: '2016-11-16T20:42:19.210Z',
+            project: 'test-account-name/test-proj',
+            version: '0.0.63',
+            status: 'running',
+            finished: false,
+            elapsedMs: 10_000,
+          },
+        ],
+      );
+    });
+
+    it('returns build event for new build', () => {
+      const previous = apiResponses.getProjectBuild({ status: 'success' });
+      const current = getRunningBuild();
+      current.build.buildId += 1;
+      const events = appveyorUtils.getBuildEvents(previous, current, testTime);
+      assert.deepStrictEqual(events.map((event) => event.type), ['build']);
+    });
+
+    it('returns no events if nothing changed', () => {
+      assert.deepStrictEqual(
+        appveyorUtils.getBuildEvents(
+          getRunningBuild(),
+          getRunningBuild(),
+          testTime,
+        ),
+        [],
+      );
+    });
+
+    it('returns job events then status event when finished', () => {
+      const current = apiResponses.getProjectBuild({ status: 'failed' });
+      current.build.jobs[1].status = 'success';
+      const events = appveyorUtils.getBuildEvents(
+        getRunningBuild(),
+        current,
+        testTime + 60_000,
+      );
+      assert.deepStrictEqual(
+        events.map((event) => [event.type, event.status, event.elapsedMs]),
+        [
+          ['job', 'failed', 23_015],
+          ['job', 'success', 21_109],
+          ['status', 'failed', 50_276],
+        ],
+      );
+      assert.strictEqual(events[0].previousStatus, 'running');
+      assert.strictEqual(events[0].job.name, 'Platform: x86');
+      assert.strictEqual(events[2].previousStatus, 'running');
+      assert.strictEqual(events[2].finished, true);
+      assert.strictEqual(events[2].time, '2016-11-16T20:43:19.210Z');
+    });
+
+    it('returns status event for queued to running', () => {
+      const previous = getRunningBuild();
+      previous.build.status = 'queued';
+      delete previous.build.started;
+      const events = appveyorUtils.getBuildEvents(
+        previous,
+        getRunningBuild(),
+        testTime,
+      );
+      assert.deepStrictEqual(events, [
+        {
+          type: 'status',
+          time: '2016-11-16T20:42:19.210Z',
+          project: 'test-account-name/test-proj',
+          version: '0.0.63',
+          status: 'running',
+          previousStatus: 'queued',
+          finished: false,
+          elapsedMs: 10_000,
+        },
+      ]);
+    });
+  });
+
   describe('.parseAppveyorRepoUrl', () => {
     it('parses bitBucket HTTPS URL', () => {
       const testProject = 'foo/bar';
@@ -126,7 +349,6 @@ describe('appveyorUtils', () => {
       );
     });
 
-    // FIXME:  Can't be sure this works without paid AppVeyor account
     it('parses vso project git HTTPS URL', () => {
       const testUrl = 'https://kevinoid.visualstudio.com/_git/TestProj';
       assert.deepStrictEqual(
@@ -138,7 +360,6 @@ describe('appveyorUtils', () => {
       );
     });
 
-    // FIXME:  Can't be sure this works without paid AppVeyor account
     it('parses vso project git SSH URL', () => {
       const testUrl =
         'ssh://kevinoid@kevinoid.visualstudio.com:22/_git/TestProj';
@@ -151,7 +372,6 @@ describe('appveyorUtils', () => {
       );
     });
 
-    // FIXME:  Can't be sure this works without paid AppVeyor account
     it('parses vso sub-project git HTTPS URL', () => {
       const testUrl = 'https://kevinoid.visualstudio.com/TestProj/_git/repo2';
       assert.deepStrictEqual(
@@ -163,7 +383,6 @@ describe('appveyorUtils', () => {
       );
     });
 
-    // FIXME:  Can't be sure this works without paid AppVeyor account
     it('parses vso sub-project git SSH URL', () => {
       const testUrl =
         'ssh://kevinoid@kevinoid.visualstudio.com:22/TestProj/_git/repo2';
@@ -176,6 +395,244 @@ describe('appveyorUtils', () => {
       );
     });
 
+    it('preserves case of organization in vso HTTPS URL', () => {
+      const testUrl = 'https://KevinOid.visualstudio.com/TestProj/_git/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/KevinOid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('preserves case of organization in vso SSH URL', () => {
+      const testUrl =
+        'kevinoid@KevinOid.visualstudio.com:TestProj/_git/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/KevinOid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('preserves case of organization in Azure DevOps HTTPS URL', () => {
+      const testUrl = 'https://dev.azure.com/KevinOid/TestProj/_git/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/KevinOid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses Azure DevOps HTTPS URL', () => {
+      const testUrl = 'https://dev.azure.com/kevinoid/TestProj/_git/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses Azure DevOps HTTPS URL with user', () => {
+      const testUrl =
+        'https://kevinoid@dev.azure.com/kevinoid/TestProj/_git/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses Azure DevOps HTTPS URL without project', () => {
+      const testUrl = 'https://dev.azure.com/kevinoid/_git/TestProj';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/TestProj',
+        },
+      );
+    });
+
+    it('parses Azure DevOps SSH URL', () => {
+      const testUrl = 'git@ssh.dev.azure.com:v3/kevinoid/TestProj/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses Azure DevOps ssh: URL', () => {
+      const testUrl = 'ssh://git@ssh.dev.azure.com/v3/kevinoid/TestProj/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses vs-ssh SSH URL', () => {
+      const testUrl =
+        'kevinoid@vs-ssh.visualstudio.com:v3/kevinoid/TestProj/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('parses vs-ssh ssh: URL', () => {
+      const testUrl =
+        'ssh://kevinoid@vs-ssh.visualstudio.com:22/v3/kevinoid/TestProj/repo2';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        {
+          repositoryType: 'vso',
+          repositoryName: 'git/kevinoid/TestProj/repo2',
+        },
+      );
+    });
+
+    it('returns Azure DevOps URL without _git', () => {
+      const testUrl = 'https://dev.azure.com/kevinoid/TestProj';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(testUrl),
+        { repositoryName: testUrl },
+      );
+    });
+
+    it('parses gitHubEnterprise HTTPS URL on configured host', () => {
+      const testUrl = 'https://ghe.example.com/foo/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'ghe.example.com': 'gitHubEnterprise' },
+        ),
+        {
+          repositoryType: 'gitHubEnterprise',
+          repositoryScm: 'git',
+          repositoryName: 'foo/bar',
+        },
+      );
+    });
+
+    it('parses gitHubEnterprise SSH URL on configured host', () => {
+      const testUrl = 'git@ghe.example.com:foo/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'ghe.example.com': 'gitHubEnterprise' },
+        ),
+        {
+          repositoryType: 'gitHubEnterprise',
+          repositoryScm: 'git',
+          repositoryName: 'foo/bar',
+        },
+      );
+    });
+
+    it('parses gitLabServer URL with subgroup on configured host', () => {
+      const testUrl = 'https://gitlab.example.com/group/sub/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'gitlab.example.com': 'gitLabServer' },
+        ),
+        {
+          repositoryType: 'gitLabServer',
+          repositoryScm: 'git',
+          repositoryName: 'group/sub/bar',
+        },
+      );
+    });
+
+    it('parses bitBucketServer HTTPS URL on configured host', () => {
+      const testUrl = 'https://bb.example.com/scm/proj/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'bb.example.com': 'bitBucketServer' },
+        ),
+        {
+          repositoryType: 'bitBucketServer',
+          repositoryScm: 'git',
+          repositoryName: 'proj/bar',
+        },
+      );
+    });
+
+    it('parses bitBucketServer SSH URL on configured host', () => {
+      const testUrl = 'ssh://git@bb.example.com:7999/proj/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'bb.example.com': 'bitBucketServer' },
+        ),
+        {
+          repositoryType: 'bitBucketServer',
+          repositoryScm: 'git',
+          repositoryName: 'proj/bar',
+        },
+      );
+    });
+
+    it('parses gitea URL on configured host', () => {
+      const testUrl = 'https://gitea.example.com/foo/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'gitea.example.com': 'gitea' },
+        ),
+        {
+          repositoryType: 'gitea',
+          repositoryScm: 'git',
+          repositoryName: 'foo/bar',
+        },
+      );
+    });
+
+    it('returns git URL on configured host as name', () => {
+      const testUrl = 'https://git.example.com/foo.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'git.example.com': 'git' },
+        ),
+        {
+          repositoryType: 'git',
+          repositoryScm: 'git',
+          repositoryName: testUrl,
+        },
+      );
+    });
+
+    it('returns URL on host not in repoHosts', () => {
+      const testUrl = 'https://other.example.com/foo/bar.git';
+      assert.deepStrictEqual(
+        appveyorUtils.parseAppveyorRepoUrl(
+          testUrl,
+          { 'ghe.example.com': 'gitHubEnterprise' },
+        ),
+        { repositoryName: testUrl },
+      );
+    });
+
     it('returns unknown HTTPS URL', () => {
       const testUrl = 'https://example.com/foo.git';
       assert.deepStrictEqual(
@@ -29,6 +29,12 @@ describe('CommitMismatchError', () => {
     );
   });
 
+  it('constructs message without actual', () => {
+    const err = new CommitMismatchError({ expected: '123' });
+    assert.strictEqual(err.actual, undefined);
+    assert.strictEqual(err.message, 'No commit to match 123');
+  });
+
   it('can set .message from arguments', () => {
     const testOptions = {
       actual: 'abc',
@@ -0,0 +1,331 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const {
+  mkdir,
+  mkdtemp,
+  rm,
+  writeFile,
+} = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const config = require('../../lib/config.js');
+
+describe('config', () => {
+  describe('.parseConfig', () => {
+    const testPath = path.join(os.tmpdir(), 'proj', '.appveyor-statusrc');
+
+    it('parses JSON', () => {
+      assert.deepStrictEqual(
+        config.parseConfig('{"project": "foo/bar", "wait": 1800}', testPath),
+        { project: 'foo/bar', wait: 1800 },
+      );
+    });
+
+    it('parses YAML', () => {
+      assert.deepStrictEqual(
+        config.parseConfig('project: foo/bar\nwait: 1800\n', testPath),
+        { project: 'foo/bar', wait: 1800 },
+      );
+    });
+
+    it('returns empty object for empty file', () => {
+      assert.deepStrictEqual(config.parseConfig('', testPath), {});
+    });
+
+    it('converts option names to camelCase', () => {
+      assert.deepStrictEqual(
+        config.parseConfig('token-file: token.txt\n', testPath),
+        { tokenFile: path.join(path.dirname(testPath), 'token.txt') },
+      );
+    });
+
+    it('resolves tokenFile relative to configuration file', () => {
+      assert.deepStrictEqual(
+        config.parseConfig('tokenFile: ../token.txt\n', testPath),
+        { tokenFile: path.join(os.tmpdir(), 'token.txt') },
+      );
+    });
+
+    it('does not resolve tokenFile -', () => {
+      assert.deepStrictEqual(
+        config.parseConfig('tokenFile: "-"\n', testPath),
+        { tokenFile: '-' },
+      );
+    });
+
+    it('parses profiles', () => {
+      const content = `profiles:
+  work:
+    account: myorg
+    token-file: work-token.txt
+  personal:
+    token-env: PERSONAL_TOKEN
+`;
+      assert.deepStrictEqual(
+        config.parseConfig(content, testPath),
+        {
+          profiles: {
+            work: {
+              account: 'myorg',
+              tokenFile: path.join(path.dirname(testPath), 'work-token.txt'),
+            },
+            personal: {
+              tokenEnv: 'PERSONAL_TOKEN',
+            },
+          },
+        },
+      );
+    });
+
+    it('throws for unsupported profile setting', () => {
+      assert.throws(
+        () => config.parseConfig('profiles:\n  work:\n    wait: 1\n', testPath),
+        /\bUnsupported setting "wait" in profile "work"/,
+      );
+    });
+
+    it('throws TypeError for non-object profiles', () => {
+      assert.throws(
+        () => config.parseConfig('profiles: work\n', testPath),
+        TypeError,
+      );
+    });
+
+    it('parses repoHosts without changing host names', () => {
+      assert.deepStrictEqual(
+        config.parseConfig(
+          'repo-hosts:\n  git-server.example.com: gitLabServer\n',
+          testPath,
+        ),
+        { repoHosts: { 'git-server.example.com': 'gitLabServer' } },
+      );
+    });
+
+    it('throws TypeError for non-object repoHosts', () => {
+      assert.throws(
+        () => config.parseConfig('repoHosts: ghe.example.com\n', testPath),
+        TypeError,
+      );
+    });
+
+    it('throws for unsupported setting', () => {
+      assert.throws(
+        () => config.parseConfig('token: abc\n', testPath),
+        /\bUnsupported setting "token"/,
+      );
+    });
+
+    it('throws TypeError for non-object', () => {
+      assert.throws(
+        () => config.parseConfig('- foo\n', testPath),
+        TypeError,
+      );
+    });
+
+    it('throws with path for invalid syntax', () => {
+      assert.throws(
+        () => config.parseConfig('{"project": ', testPath),
+        (err) => err.message.includes(testPath),
+      );
+    });
+  });
+
+  describe('.getUserConfigPath', () => {
+    it('uses $XDG_CONFIG_HOME', () => {
+      const configHome = path.resolve('config');
+      assert.strictEqual(
+        config.getUserConfigPath({ XDG_CONFIG_HOME: configHome }),
+        path.join(configHome, 'appveyor-status', 'config'),
+      );
+    });
+
+    it('uses ~/.config if $XDG_CONFIG_HOME is unset', () => {
+      assert.strictEqual(
+        config.getUserConfigPath({}),
+        path.join(os.homedir(), '.config', 'appveyor-status', 'config'),
+      );
+    });
+
+    it('ignores relative $XDG_CONFIG_HOME', () => {
+      assert.strictEqual(
+        config.getUserConfigPath({ XDG_CONFIG_HOME: 'config' }),
+        path.join(os.homedir(), '.config', 'appveyor-status', 'config'),
+      );
+    });
+  });
+
+  describe('.selectProfile', () => {
+    const profiles = {
+      personal: { account: 'me', token: 'personal-token' },
+      work: { account: 'MyOrg', token: 'work-token' },
+    };
+
+    it('selects profile by name', () => {
+      assert.strictEqual(
+        config.selectProfile(profiles, 'work', 'me'),
+        profiles.work,
+      );
+    });
+
+    it('throws for unknown name', () => {
+      assert.throws(
+        () => config.selectProfile(profiles, 'other'),
+        /\bUnknown profile "other"/,
+      );
+    });
+
+    it('selects profile by account case-insensitively', () => {
+      assert.strictEqual(
+        config.selectProfile(profiles, undefined, 'myorg'),
+        profiles.work,
+      );
+    });
+
+    it('returns undefined if no profile matches account', () => {
+      assert.strictEqual(
+        config.selectProfile(profiles, undefined, 'other'),
+        undefined,
+      );
+    });
+
+    it('returns undefined without name or account', () => {
+      assert.strictEqual(config.selectProfile(profiles), undefined);
+    });
+  });
+
+  describe('with files', () => {
+    let tempDir;
+    let repoDir;
+    let configHome;
+    beforeEach(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'appveyor-status-test-'));
+      repoDir = path.join(tempDir, 'repo');
+      configHome = path.join(tempDir, 'config');
+      await mkdir(path.join(repoDir, '.git', 'objects'), { recursive: true });
+      await mkdir(path.join(repoDir, 'sub', 'dir'), { recursive: true });
+      await mkdir(path.join(configHome, 'appveyor-status'), {
+        recursive: true,
+      });
+    });
+    afterEach(async () => {
+      await rm(tempDir, { force: true, recursive: true });
+    });
+
+    describe('.readConfig', () => {
+      it('returns undefined for missing file', () => {
+        assert.strictEqual(
+          config.readConfig(path.join(tempDir, 'nonexistent')),
+          undefined,
+        );
+      });
+
+      it('throws with path if file can not be read', () => {
+        assert.throws(
+          () => config.readConfig(repoDir),
+          (err) => err.message.includes(repoDir),
+        );
+      });
+    });
+
+    describe('.findRepoRoot', () => {
+      it('finds repository root from subdirectory', () => {
+        assert.strictEqual(
+          config.findRepoRoot(path.join(repoDir, 'sub', 'dir')),
+          repoDir,
+        );
+      });
+
+      it('finds repository root from root', () => {
+        assert.strictEqual(config.findRepoRoot(repoDir), repoDir);
+      });
+    });
+
+    describe('.loadConfigs', () => {
+      it('returns repository then user configuration', async () => {
+        await writeFile(
+          path.join(repoDir, config.REPO_CONFIG_NAME),
+          'project: repo/proj\n',
+        );
+        await writeFile(
+          path.join(configHome, 'appveyor-status', 'config'),
+          '{"project": "user/proj", "wait": 60}',
+        );
+        assert.deepStrictEqual(
+          config.loadConfigs({
+            cwd: path.join(repoDir, 'sub'),
+            env: { XDG_CONFIG_HOME: configHome },
+          }),
+          [{ project: 'repo/proj' }, { project: 'user/proj', wait: 60 }],
+        );
+      });
+
+      it('ignores api-url in repository configuration', async () => {
+        await writeFile(
+          path.join(repoDir, config.REPO_CONFIG_NAME),
+          'api-url: http://127.0.0.1:8080/api\nproject: repo/proj\n',
+        );
+        await writeFile(
+          path.join(configHome, 'appveyor-status', 'config'),
+          'api-url: https://appveyor.example.com/api\n',
+        );
+        assert.deepStrictEqual(
+          config.loadConfigs({
+            cwd: repoDir,
+            env: { XDG_CONFIG_HOME: configHome },
+          }),
+          [
+            { project: 'repo/proj' },
+            { apiUrl: 'https://appveyor.example.com/api' },
+          ],
+        );
+      });
+
+      it('ignores token-file in repository configuration', async () => {
+        await writeFile(
+          path.join(repoDir, config.REPO_CONFIG_NAME),
+          'token-file: ../../.netrc\nwait: 60\n',
+        );
+        assert.deepStrictEqual(
+          config.loadConfigs({
+            cwd: repoDir,
+            env: { XDG_CONFIG_HOME: configHome },
+          }),
+          [{ wait: 60 }],
+        );
+      });
+
+      it('ignores profiles in repository configuration', async () => {
+        await writeFile(
+          path.join(repoDir, config.REPO_CONFIG_NAME),
+          'profile: work\nprofiles:\n  work:\n'
+          + '    api-url: http://127.0.0.1:8080/api\n'
+          + '    token-env: AWS_SECRET_ACCESS_KEY\n',
+        );
+        assert.deepStrictEqual(
+          config.loadConfigs({
+            cwd: repoDir,
+            env: { XDG_CONFIG_HOME: configHome },
+          }),
+          [{ profile: 'work' }],
+        );
+      });
+
+      it('returns empty Array without configuration files', () => {
+        assert.deepStrictEqual(
+          config.loadConfigs({
+            cwd: repoDir,
+            env: { XDG_CONFIG_HOME: configHome },
+          }),
+          [],
+        );
+      });
+    });
+  });
+});
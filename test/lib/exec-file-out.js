@@ -140,6 +140,22 @@ describe('execFileOut', () => {
     );
   });
 
+  it('rejects Promise with AbortError when signal is aborted', () => {
+    const abortController = new AbortController();
+    const testArgs = ['-e', 'setTimeout(() => {}, 60000)'];
+    const options = { signal: abortController.signal };
+    const resultP = execFileOut(process.execPath, testArgs, options).then(
+      neverCalled,
+      (err) => {
+        assert.strictEqual(err.name, 'AbortError');
+        assert.strictEqual(err.stdout, '');
+        assert.strictEqual(err.stderr, '');
+      },
+    );
+    abortController.abort();
+    return resultP;
+  });
+
   // Note: use node (i.e. process.execPath) to test, since it will not exit
   // until it reaches the end of stdin.
   it('closes stdin to prevent hanging', () => execFileOut(process.execPath));
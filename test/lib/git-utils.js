@@ -10,6 +10,8 @@ const { rm } = require('node:fs/promises');
 const path = require('node:path');
 const { pathToFileURL } = require('node:url');
 
+const sinon = require('sinon');
+
 const execFileOut = require('../../lib/exec-file-out.js');
 const gitUtils = require('../../lib/git-utils.js');
 
@@ -246,6 +248,24 @@ describe('gitUtils', () => {
     );
   });
 
+  describe('.getRemoteUrls', () => {
+    it('resolves name and URL of each remote', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.getRemoteUrls(options),
+        Object.entries(REMOTES)
+          .toSorted(([name1], [name2]) => name1.localeCompare(name2))
+          .map(([name, url]) => ({ name, url })),
+      );
+    });
+
+    it('rejects with Error outside repository', async () => {
+      await assert.rejects(
+        gitUtils.getRemoteUrls({ cwd: path.parse(TEST_REPO_PATH).root }),
+        Error,
+      );
+    });
+  });
+
   describe('.gitUrlIsLocalNotSsh', () => {
     for (const testCase of [
       { url: '.', result: true },
@@ -429,6 +449,108 @@ describe('gitUtils', () => {
     });
   });
 
+  describe('.resolveGitUrl', () => {
+    let getSshHostNameStub;
+    beforeEach(() => {
+      getSshHostNameStub = sinon.stub(gitUtils, 'getSshHostName');
+    });
+    afterEach(() => {
+      getSshHostNameStub.restore();
+    });
+
+    before(() => execFileOut(
+      'git',
+      [
+        '-C',
+        TEST_REPO_PATH,
+        'config',
+        'url.https://git.example.com/.insteadOf',
+        'ex:',
+      ],
+    ));
+    after(() => execFileOut(
+      'git',
+      [
+        '-C',
+        TEST_REPO_PATH,
+        'config',
+        '--remove-section',
+        'url.https://git.example.com/',
+      ],
+    ));
+
+    it('applies url.<base>.insteadOf', async () => {
+      assert.strictEqual(
+        await gitUtils.resolveGitUrl('ex:foo/bar.git', options),
+        'https://git.example.com/foo/bar.git',
+      );
+    });
+
+    for (const [scheme, host] of [
+      ['bb', 'bitbucket.org'],
+      ['github', 'github.com'],
+      ['gl', 'gitlab.com'],
+    ]) {
+      it(`expands ${scheme}: shorthand`, async () => {
+        assert.strictEqual(
+          await gitUtils.resolveGitUrl(`${scheme}:foo/bar`, options),
+          `https://${host}/foo/bar`,
+        );
+      });
+    }
+
+    it('resolves SSH host alias in SCP-like URL', async () => {
+      getSshHostNameStub.resolves('github.com');
+      assert.strictEqual(
+        await gitUtils.resolveGitUrl('git@github-work:foo/bar.git', options),
+        'ssh://git@github.com/foo/bar.git',
+      );
+      sinon.assert.calledOnceWithExactly(
+        getSshHostNameStub,
+        'github-work',
+        options,
+      );
+    });
+
+    it('resolves SSH host alias in ssh: URL with port', async () => {
+      getSshHostNameStub.resolves('github.com');
+      assert.strictEqual(
+        await gitUtils.resolveGitUrl(
+          'ssh://git@github-work:22/foo/bar.git',
+          options,
+        ),
+        'ssh://git@github.com:22/foo/bar.git',
+      );
+    });
+
+    it('returns SSH URL unchanged if host is not an alias', async () => {
+      const testUrl = 'git@example.com:foo/bar.git';
+      getSshHostNameStub.resolves('example.com');
+      assert.strictEqual(
+        await gitUtils.resolveGitUrl(testUrl, options),
+        testUrl,
+      );
+    });
+
+    it('does not resolve SSH host for https: URL', async () => {
+      const testUrl = 'https://example.com/foo/bar.git';
+      assert.strictEqual(
+        await gitUtils.resolveGitUrl(testUrl, options),
+        testUrl,
+      );
+      sinon.assert.notCalled(getSshHostNameStub);
+    });
+
+    it('rejects with Error from getSshHostName', async () => {
+      const testErr = new Error('test');
+      getSshHostNameStub.rejects(testErr);
+      await assert.rejects(
+        gitUtils.resolveGitUrl('git@example.com:foo/bar.git', options),
+        testErr,
+      );
+    });
+  });
+
   describe('.resolveCommit', () => {
     let headHash;
     it(
@@ -470,4 +592,57 @@ describe('gitUtils', () => {
       ),
     );
   });
+
+  describe('.isAncestor', () => {
+    it('resolves true for ancestor', async () => {
+      assert.strictEqual(
+        await gitUtils.isAncestor(TAGS[0], 'HEAD', options),
+        true,
+      );
+    });
+
+    it('resolves true for same commit', async () => {
+      assert.strictEqual(
+        await gitUtils.isAncestor('HEAD', 'HEAD', options),
+        true,
+      );
+    });
+
+    it('resolves false for descendant', async () => {
+      assert.strictEqual(
+        await gitUtils.isAncestor('HEAD', TAGS[0], options),
+        false,
+      );
+    });
+
+    it('rejects with Error for unresolvable name', async () => {
+      await assert.rejects(
+        () => gitUtils.isAncestor('notabranch', 'HEAD', options),
+        Error,
+      );
+    });
+  });
+
+  describe('.countCommits', () => {
+    it('counts commits from ancestor', async () => {
+      assert.strictEqual(
+        await gitUtils.countCommits(TAGS[0], 'HEAD', options),
+        1,
+      );
+    });
+
+    it('counts 0 commits to ancestor', async () => {
+      assert.strictEqual(
+        await gitUtils.countCommits('HEAD', TAGS[0], options),
+        0,
+      );
+    });
+
+    it('rejects with Error for unresolvable name', async () => {
+      await assert.rejects(
+        () => gitUtils.countCommits('notabranch', 'HEAD', options),
+        Error,
+      );
+    });
+  });
 });
@@ -0,0 +1,43 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const globToRegExp = require('../../lib/glob-to-regexp.js');
+
+describe('globToRegExp', () => {
+  function expectMatch(glob, str, expected) {
+    it(`${expected ? 'matches' : 'does not match'} ${str} for ${glob}`, () => {
+      assert.strictEqual(globToRegExp(glob).test(str), expected);
+    });
+  }
+
+  expectMatch('foo.zip', 'foo.zip', true);
+  expectMatch('foo.zip', 'foo-zip', false);
+  expectMatch('foo.zip', 'out/foo.zip', false);
+  expectMatch('*.zip', 'foo.zip', true);
+  expectMatch('*.zip', 'foo.zip.sig', false);
+  expectMatch('*.zip', 'out/foo.zip', false);
+  expectMatch('*.zip', 'out\\foo.zip', false);
+  expectMatch('**.zip', 'out/foo.zip', true);
+  expectMatch('out/*', 'out/foo.zip', true);
+  expectMatch('fo?.zip', 'foo.zip', true);
+  expectMatch('fo?.zip', 'fo.zip', false);
+  expectMatch('(a|b)+', '(a|b)+', true);
+  expectMatch('(a|b)+', 'a', false);
+
+  it('passes flags to RegExp', () => {
+    assert(globToRegExp('*.ZIP', 'i').test('foo.zip'));
+  });
+
+  it('throws TypeError for non-string', () => {
+    assert.throws(
+      () => globToRegExp(1),
+      TypeError,
+    );
+  });
+});
@@ -24,6 +24,17 @@ function neverCalled() {
   throw new Error('should not be called');
 }
 
+function take(iterable, count) {
+  const values = [];
+  for (const value of iterable) {
+    values.push(value);
+    if (values.length === count) {
+      break;
+    }
+  }
+  return values;
+}
+
 describe('retryAsync', () => {
   beforeEach(() => clock.reset());
 
@@ -416,3 +427,60 @@ describe('retryAsync', () => {
     );
   });
 });
+
+describe('retryAsync.makeWaitMs', () => {
+  it('makes exponential wait times by default', () => {
+    assert.deepStrictEqual(
+      take(retryAsync.makeWaitMs('exponential'), 6),
+      take(retryAsync.DEFAULT_OPTIONS.waitMs, 6),
+    );
+  });
+
+  it('makes fibonacci wait times with initialMs and maxMs', () => {
+    assert.deepStrictEqual(
+      take(retryAsync.makeWaitMs('fibonacci', { initialMs: 1, maxMs: 4 }), 6),
+      [1, 1, 2, 3, 4, 4],
+    );
+  });
+
+  it('makes exponential wait times with factor', () => {
+    const waitMs =
+      retryAsync.makeWaitMs('exponential', { factor: 3, initialMs: 1 });
+    assert.deepStrictEqual(take(waitMs, 4), [1, 3, 9, 27]);
+  });
+
+  for (const [strategy, expected] of [
+    ['decorrelated-jitter', [8000, 14000]],
+    ['equal-jitter', [3000, 6000]],
+    ['full-jitter', [2000, 4000]],
+  ]) {
+    it(`makes ${strategy} wait times with random`, () => {
+      const random = sinon.stub().returns(0.5);
+      assert.deepStrictEqual(
+        take(retryAsync.makeWaitMs(strategy, { random }), 2),
+        expected,
+      );
+    });
+  }
+
+  it('makes full-jitter wait times of at least minMs', () => {
+    const random = sinon.stub().returns(0);
+    const waitMs =
+      retryAsync.makeWaitMs('full-jitter', { minMs: 1000, random });
+    assert.deepStrictEqual(take(waitMs, 3), [1000, 1000, 1000]);
+  });
+
+  it('supports each of WAIT_STRATEGIES', () => {
+    for (const strategy of retryAsync.WAIT_STRATEGIES) {
+      const [waitMs] = take(retryAsync.makeWaitMs(strategy), 1);
+      assert.strictEqual(typeof waitMs, 'number');
+    }
+  });
+
+  it('throws RangeError for unknown strategy', () => {
+    assert.throws(
+      () => retryAsync.makeWaitMs('linear'),
+      RangeError,
+    );
+  });
+});
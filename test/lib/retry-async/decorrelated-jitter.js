@@ -0,0 +1,70 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const sinon = require('sinon');
+
+const decorrelatedJitter =
+  require('../../../lib/retry-async/decorrelated-jitter.js');
+
+describe('retryAsync.decorrelatedJitter', () => {
+  it('returns random values between initial and 3x previous value', () => {
+    const random = sinon.stub();
+    random.onFirstCall().returns(0.5);
+    random.onSecondCall().returns(0.25);
+    random.onThirdCall().returns(0);
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(2, Infinity, 3, random)],
+      // 2 + 0.5 * (6 - 2), 2 + 0.25 * (12 - 2), 2 + 0 * (13.5 - 2)
+      [4, 4.5, 2],
+    );
+  });
+
+  it('limits to maximum value', () => {
+    const random = sinon.stub().returns(0.9);
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(2, 5, 3, random)],
+      [5, 5, 5],
+    );
+  });
+
+  it('uses Math.random by default', () => {
+    const values = [...decorrelatedJitter(1, 10, 10)];
+    for (const value of values) {
+      assert(value >= 1 && value <= 10, `${value} out of range`);
+    }
+  });
+
+  it('throws TypeError for non-number initial', () => {
+    assert.throws(
+      () => decorrelatedJitter({}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for NaN maxValue', () => {
+    assert.throws(
+      () => decorrelatedJitter(1, NaN),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for negative count', () => {
+    assert.throws(
+      () => decorrelatedJitter(1, 1, -1),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => decorrelatedJitter(1, 1, 1, 0.5),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const sinon = require('sinon');
+
+const equalJitter = require('../../../lib/retry-async/equal-jitter.js');
+
+describe('retryAsync.equalJitter', () => {
+  it('returns an iterable of random values between half and each value', () => {
+    const random = sinon.stub();
+    random.onFirstCall().returns(0);
+    random.onSecondCall().returns(0.5);
+    random.onThirdCall().returns(0.75);
+    assert.deepStrictEqual(
+      [...equalJitter([4, 4, 8], random)],
+      [2, 3, 7],
+    );
+  });
+
+  it('uses Math.random by default', () => {
+    const values = [...equalJitter([1, 2, 4])];
+    for (const value of values) {
+      assert(value >= 0 && value < 4, `${value} out of range`);
+    }
+  });
+
+  it('throws TypeError for non-Iterable values', () => {
+    assert.throws(
+      () => equalJitter(1),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => equalJitter([1], 0.5),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const fibonacci = require('../../../lib/retry-async/fibonacci.js');
+
+describe('retryAsync.fibonacci', () => {
+  it('returns an iterable of count Fibonacci multiples of initial', () => {
+    assert.deepStrictEqual(
+      [...fibonacci(2, Infinity, 6)],
+      [2, 2, 4, 6, 10, 16],
+    );
+  });
+
+  it('defaults initial to 1', () => {
+    assert.deepStrictEqual(
+      [...fibonacci(undefined, Infinity, 5)],
+      [1, 1, 2, 3, 5],
+    );
+  });
+
+  it('limits to maximum value', () => {
+    assert.deepStrictEqual(
+      [...fibonacci(1, 3, 6)],
+      [1, 1, 2, 3, 3, 3],
+    );
+  });
+
+  it('yields 0 times for 0 count', () => {
+    assert.deepStrictEqual(
+      [...fibonacci(1, Infinity, 0)],
+      [],
+    );
+  });
+
+  it('throws TypeError for non-number initial', () => {
+    assert.throws(
+      () => fibonacci({}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number maxValue', () => {
+    assert.throws(
+      () => fibonacci(1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for NaN maxValue', () => {
+    assert.throws(
+      () => fibonacci(1, NaN, 4),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-number count', () => {
+    assert.throws(
+      () => fibonacci(1, 1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for non-integer count', () => {
+    assert.throws(
+      () => fibonacci(1, 1, 1.5),
+      RangeError,
+    );
+  });
+});
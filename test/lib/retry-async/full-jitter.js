@@ -0,0 +1,64 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const sinon = require('sinon');
+
+const fullJitter = require('../../../lib/retry-async/full-jitter.js');
+
+describe('retryAsync.fullJitter', () => {
+  it('returns an iterable of random values between 0 and each value', () => {
+    const random = sinon.stub();
+    random.onFirstCall().returns(0);
+    random.onSecondCall().returns(0.5);
+    random.onThirdCall().returns(0.75);
+    assert.deepStrictEqual(
+      [...fullJitter([4, 4, 8], random)],
+      [0, 2, 6],
+    );
+  });
+
+  it('returns values between minValue and each value', () => {
+    const random = sinon.stub();
+    random.onFirstCall().returns(0);
+    random.onSecondCall().returns(0.5);
+    random.onThirdCall().returns(0.5);
+    assert.deepStrictEqual(
+      [...fullJitter([8, 8, 1], random, 4)],
+      [4, 6, 4],
+    );
+  });
+
+  it('uses Math.random by default', () => {
+    const values = [...fullJitter([1, 2, 4])];
+    for (const value of values) {
+      assert(value >= 0 && value < 4, `${value} out of range`);
+    }
+  });
+
+  it('throws TypeError for non-Iterable values', () => {
+    assert.throws(
+      () => fullJitter(1),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => fullJitter([1], 0.5),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number minValue', () => {
+    assert.throws(
+      () => fullJitter([1], Math.random, '1'),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const sinon = require('sinon');
+
+const retryFetch = require('../../lib/retry-fetch.js');
+
+const testUrl = 'https://ci.appveyor.com/api/projects/foo/bar';
+
+function makeResponse(status, headers) {
+  return {
+    arrayBuffer: sinon.stub().resolves(new ArrayBuffer(0)),
+    headers: new Headers(headers),
+    status,
+    url: testUrl,
+  };
+}
+
+function neverCalled() {
+  throw new Error('should not be called');
+}
+
+describe('retryFetch', () => {
+  let setTimeoutStub;
+  beforeEach(() => {
+    setTimeoutStub = sinon.stub().resolves();
+  });
+
+  function makeRetryOptions(options) {
+    return {
+      now: () => Date.parse('2016-11-16T20:43:00Z'),
+      setTimeout: setTimeoutStub,
+      waitMs: () => [1000, 2000, 4000],
+      ...options,
+    };
+  }
+
+  it('returns successful response without retrying', async () => {
+    const response = makeResponse(200);
+    const fetchStub = sinon.stub().resolves(response);
+    const init = { method: 'GET' };
+    const fetchWithRetry =
+      retryFetch(fetchStub, { setTimeout: neverCalled });
+    assert.strictEqual(await fetchWithRetry(testUrl, init), response);
+    sinon.assert.calledOnceWithExactly(fetchStub, testUrl, init);
+  });
+
+  it('returns client error response without retrying', async () => {
+    const response = makeResponse(404);
+    const fetchStub = sinon.stub().resolves(response);
+    const fetchWithRetry =
+      retryFetch(fetchStub, { setTimeout: neverCalled });
+    assert.strictEqual(await fetchWithRetry(testUrl), response);
+    sinon.assert.calledOnce(fetchStub);
+  });
+
+  it('retries server errors with backoff', async () => {
+    const response = makeResponse(200);
+    const badGatewayResponse = makeResponse(502);
+    const fetchStub = sinon.stub();
+    fetchStub.onFirstCall().resolves(badGatewayResponse);
+    fetchStub.onSecondCall().resolves(makeResponse(503));
+    fetchStub.onThirdCall().resolves(response);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    assert.strictEqual(await fetchWithRetry(testUrl), response);
+    sinon.assert.calledThrice(fetchStub);
+    assert.deepStrictEqual(
+      setTimeoutStub.args.map(([delay]) => delay),
+      [1000, 2000],
+    );
+    sinon.assert.calledOnce(badGatewayResponse.arrayBuffer);
+  });
+
+  it('retries network errors', async () => {
+    const response = makeResponse(200);
+    const fetchStub = sinon.stub();
+    fetchStub.onFirstCall().rejects(new Error('ECONNRESET'));
+    fetchStub.onSecondCall().resolves(response);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    assert.strictEqual(await fetchWithRetry(testUrl), response);
+    sinon.assert.calledTwice(fetchStub);
+  });
+
+  it('returns last response after maxRetries', async () => {
+    const response = makeResponse(500);
+    const fetchStub = sinon.stub().resolves(response);
+    const fetchWithRetry =
+      retryFetch(fetchStub, makeRetryOptions({ maxRetries: 2 }));
+    assert.strictEqual(await fetchWithRetry(testUrl), response);
+    sinon.assert.calledThrice(fetchStub);
+  });
+
+  it('rejects with last error after waitMs is exhausted', async () => {
+    const fetchStub = sinon.stub().rejects(new Error('test error'));
+    const fetchWithRetry =
+      retryFetch(fetchStub, makeRetryOptions({ waitMs: () => [1000] }));
+    await assert.rejects(fetchWithRetry(testUrl), /\btest error\b/);
+    sinon.assert.calledTwice(fetchStub);
+  });
+
+  it('does not retry AbortError', async () => {
+    const abortErr = new Error('aborted');
+    abortErr.name = 'AbortError';
+    const fetchStub = sinon.stub().rejects(abortErr);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    await assert.rejects(fetchWithRetry(testUrl), abortErr);
+    sinon.assert.calledOnce(fetchStub);
+  });
+
+  it('does not retry server errors for POST', async () => {
+    const response = makeResponse(500);
+    const fetchStub = sinon.stub().resolves(response);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    assert.strictEqual(
+      await fetchWithRetry(testUrl, { method: 'post' }),
+      response,
+    );
+    sinon.assert.calledOnce(fetchStub);
+  });
+
+  it('retries 429 for POST after Retry-After seconds', async () => {
+    const response = makeResponse(200);
+    const fetchStub = sinon.stub();
+    fetchStub.onFirstCall().resolves(makeResponse(429, { 'Retry-After': '7' }));
+    fetchStub.onSecondCall().resolves(response);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    assert.strictEqual(
+      await fetchWithRetry(testUrl, { method: 'POST' }),
+      response,
+    );
+    sinon.assert.calledOnceWithExactly(
+      setTimeoutStub,
+      7000,
+      undefined,
+      { signal: undefined },
+    );
+  });
+
+  it('retries after Retry-After date with signal', async () => {
+    const retryResponse = makeResponse(503, {
+      'Retry-After': 'Wed, 16 Nov 2016 20:43:30 GMT',
+    });
+    const fetchStub = sinon.stub();
+    fetchStub.onFirstCall().resolves(retryResponse);
+    fetchStub.onSecondCall().resolves(makeResponse(200));
+    const { signal } = new AbortController();
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    await fetchWithRetry(testUrl, { signal });
+    sinon.assert.calledOnceWithExactly(
+      setTimeoutStub,
+      30000,
+      undefined,
+      { signal },
+    );
+  });
+
+  it('returns response if Retry-After exceeds maxRetryAfterMs', async () => {
+    const response = makeResponse(429, { 'Retry-After': '3600' });
+    const fetchStub = sinon.stub().resolves(response);
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions());
+    assert.strictEqual(await fetchWithRetry(testUrl), response);
+    sinon.assert.calledOnce(fetchStub);
+    sinon.assert.notCalled(setTimeoutStub);
+  });
+
+  it('calls onRetry with response and delay', async () => {
+    const retryResponse = makeResponse(500);
+    const fetchStub = sinon.stub();
+    fetchStub.onFirstCall().resolves(retryResponse);
+    fetchStub.onSecondCall().resolves(makeResponse(200));
+    const onRetry = sinon.spy();
+    const fetchWithRetry = retryFetch(fetchStub, makeRetryOptions({ onRetry }));
+    await fetchWithRetry(testUrl);
+    sinon.assert.calledOnceWithExactly(onRetry, retryResponse, 1000);
+  });
+
+  it('throws TypeError for non-function fetchFunc', () => {
+    assert.throws(() => retryFetch({}), TypeError);
+  });
+
+  it('throws TypeError for non-number maxRetries', () => {
+    assert.throws(
+      () => retryFetch(neverCalled, { maxRetries: '1' }),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for negative maxRetries', () => {
+    assert.throws(
+      () => retryFetch(neverCalled, { maxRetries: -1 }),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-function waitMs', () => {
+    assert.throws(() => retryFetch(neverCalled, { waitMs: [1] }), TypeError);
+  });
+});
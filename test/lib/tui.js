@@ -0,0 +1,369 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const stream = require('node:stream');
+
+const appveyorSwagger = require('appveyor-swagger');
+const { default: hasAnsi } = require('has-ansi');
+const nock = require('nock');
+const sinon = require('sinon');
+
+const appveyorStatus = require('../../index.js');
+const appveyorUtils = require('../../lib/appveyor-utils.js');
+const tui = require('../../lib/tui.js');
+const apiResponses = require('../../test-lib/api-responses.js');
+
+const apiUrl = `${appveyorSwagger.schemes[0]}://${appveyorSwagger.host}`;
+const { match } = sinon;
+
+/** Gets the project from options passed to an API function, which is a
+ * string until the project is found, then an AppVeyor Project.
+ *
+ * @private
+ */
+function getProject({ project }) {
+  return typeof project === 'string' ? appveyorUtils.projectFromString(project)
+    : project;
+}
+
+/** Makes a sinon matcher for options with a given project.
+ *
+ * @private
+ */
+function matchProject(projectStr) {
+  return match(
+    (options) => appveyorUtils.projectToString(getProject(options))
+      === projectStr,
+    `project: ${projectStr}`,
+  );
+}
+
+function makeEntry(projectBuild, logLines) {
+  return {
+    options: {},
+    label: 'test-account-name/test-proj',
+    projectBuild,
+    logLines: logLines || [],
+  };
+}
+
+/** Makes a readable stream which can be used as a raw-mode TTY.
+ *
+ * @private
+ */
+function makeTtyInput() {
+  const input = new stream.PassThrough();
+  input.isTTY = true;
+  input.setRawMode = sinon.spy();
+  return input;
+}
+
+/** Waits until all output written to a stream matches a RegExp.
+ *
+ * @private
+ */
+function waitForOutput(output, regexp) {
+  return new Promise((resolve) => {
+    let written = '';
+    function onData(data) {
+      written += data;
+      if (regexp.test(written)) {
+        output.removeListener('data', onData);
+        resolve(written);
+      }
+    }
+    output.on('data', onData);
+  });
+}
+
+describe('tui', () => {
+  describe('.renderDashboard', () => {
+    const renderOptions = {
+      color: false,
+      now: Date.parse('2016-11-16T20:43:00Z'),
+      selected: 0,
+    };
+
+    it('renders build, jobs, and log lines of each project', () => {
+      const projectBuild = apiResponses.getProjectBuild({ status: 'failed' });
+      projectBuild.build.jobs[0].status = 'success';
+      const lines = tui.renderDashboard(
+        [makeEntry(projectBuild, ['line 1', 'line 2'])],
+        renderOptions,
+      );
+      assert.deepStrictEqual(lines.slice(3), [
+        '',
+        '> test-account-name/test-proj  0.0.63 (main)  failed  2/2 jobs  50s',
+        '    Platform: x86  success  23s',
+        '  > Platform: amd64  failed  21s',
+        '      | line 1',
+        '      | line 2',
+      ]);
+    });
+
+    it('renders loading and error states', () => {
+      const loadingEntry = makeEntry();
+      const errorEntry = {
+        ...makeEntry(),
+        label: 'foo/bar',
+        error: new Error('test error'),
+      };
+      const lines = tui.renderDashboard(
+        [loadingEntry, errorEntry],
+        { ...renderOptions, selected: 1 },
+      );
+      assert.deepStrictEqual(lines.slice(3), [
+        '',
+        '  test-account-name/test-proj  loading...',
+        '',
+        '> foo/bar  Error: test error',
+      ]);
+    });
+
+    it('renders message below header', () => {
+      const lines = tui.renderDashboard(
+        [],
+        { ...renderOptions, message: 'test message' },
+      );
+      assert.strictEqual(lines[2], 'test message');
+    });
+
+    it('truncates lines to columns', () => {
+      const lines = tui.renderDashboard(
+        [makeEntry(apiResponses.getProjectBuild({}))],
+        { ...renderOptions, columns: 20 },
+      );
+      for (const line of lines) {
+        assert(line.length <= 20, `${line} longer than 20`);
+      }
+    });
+
+    it('colors status if color is true', () => {
+      const lines = tui.renderDashboard(
+        [makeEntry(apiResponses.getProjectBuild({}))],
+        { ...renderOptions, color: true },
+      );
+      assert(hasAnsi(lines[4]));
+    });
+  });
+
+  describe('.runTui', () => {
+    let apiMock;
+    beforeEach(() => {
+      apiMock = sinon.mock(appveyorStatus);
+    });
+    afterEach(() => {
+      apiMock.restore();
+    });
+
+    let stdin;
+    let stdout;
+    beforeEach(() => {
+      stdin = makeTtyInput();
+      stdout = new stream.PassThrough({ encoding: 'utf8' });
+    });
+
+    function runTui(projectOptions) {
+      return tui.runTui({
+        color: false,
+        projectOptions,
+        stdin,
+        stdout,
+      });
+    }
+
+    it('renders each project until q is pressed', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(2)
+        .withArgs(match({ wait: 0 }))
+        .callsFake((options) => Promise.resolve(apiResponses.getProjectBuild({
+          ...getProject(options),
+          version: getProject(options).slug === 'bar' ? '1.0.1' : '1.0.2',
+        })));
+      apiMock.expects('getJobLog').atLeast(2)
+        .resolves('log line 1\nlog line 2\n');
+      const tuiP = runTui([{ project: 'foo/bar' }, { project: 'foo/baz' }]);
+      await waitForOutput(stdout, /1\.0\.1[\s\S]*1\.0\.2[\s\S]*log line 2/);
+      stdin.write('q');
+      await tuiP;
+      apiMock.verify();
+      sinon.assert.calledWithExactly(stdin.setRawMode.firstCall, true);
+      sinon.assert.calledWithExactly(stdin.setRawMode.lastCall, false);
+      assert.strictEqual(stdin.listenerCount('data'), 0);
+    });
+
+    it('quits on Ctrl-C', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .resolves(apiResponses.getProjectBuild({}));
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      const tuiP = runTui([{ project: 'foo/bar' }]);
+      stdin.write('\u{3}');
+      await tuiP;
+    });
+
+    it('shows error from refresh', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .rejects(new Error('test error'));
+      const tuiP = runTui([{ project: 'foo/bar' }]);
+      await waitForOutput(stdout, /foo\/bar {2}Error: test error/);
+      stdin.write('q');
+      await tuiP;
+    });
+
+    it('re-runs build of selected project on r then y', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .callsFake((options) => Promise.resolve(
+          apiResponses.getProjectBuild(getProject(options)),
+        ));
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      apiMock.expects('rerunBuild').once()
+        .withArgs(matchProject('foo/baz'))
+        .resolves(apiResponses.getProjectBuild({ version: '1.0.3' }));
+      const tuiP = runTui([{ project: 'foo/bar' }, { project: 'foo/baz' }]);
+      stdin.write('j');
+      stdin.write('r');
+      await waitForOutput(stdout, /Re-run build of foo\/baz\? \(y\/n\)/);
+      stdin.write('y');
+      await waitForOutput(stdout, /Re-running [^\n]* build 1\.0\.3/);
+      stdin.write('q');
+      await tuiP;
+      apiMock.verify();
+    });
+
+    it('shows error from cancel on c then y', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .callsFake((options) => Promise.resolve(
+          apiResponses.getProjectBuild(getProject(options)),
+        ));
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      apiMock.expects('cancelBuild').once()
+        .withArgs(matchProject('foo/bar'))
+        .rejects(new Error('test cancel error'));
+      const tuiP = runTui([{ project: 'foo/bar' }]);
+      stdin.write('c');
+      await waitForOutput(stdout, /Cancel build of foo\/bar\? \(y\/n\)/);
+      stdin.write('y');
+      await waitForOutput(stdout, /Error: test cancel error/);
+      stdin.write('q');
+      await tuiP;
+      apiMock.verify();
+    });
+
+    it('does not cancel on c then n', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .resolves(apiResponses.getProjectBuild({}));
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      apiMock.expects('cancelBuild').never();
+      const tuiP = runTui([{ project: 'foo/bar' }]);
+      stdin.write('c');
+      await waitForOutput(stdout, /Cancel build of foo\/bar\? \(y\/n\)/);
+      const outputP = waitForOutput(stdout, /AppVeyor Dashboard/);
+      stdin.write('n');
+      assert.doesNotMatch(await outputP, /Cancel build of/);
+      // y without a preceding c does nothing
+      stdin.write('y');
+      stdin.write('q');
+      await tuiP;
+      apiMock.verify();
+    });
+
+    it('does not quit on Escape', async () => {
+      apiMock.expects('getLastBuildWithJobs').atLeast(1)
+        .callsFake((options) => Promise.resolve(
+          apiResponses.getProjectBuild(getProject(options)),
+        ));
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      const tuiP = runTui([{ project: 'foo/bar' }, { project: 'foo/baz' }]);
+      await waitForOutput(stdout, /foo\/baz/);
+      // Arrow key sequence split across reads
+      stdin.write('\u{1B}');
+      await new Promise((resolve) => { setImmediate(resolve); });
+      stdin.write('[B');
+      stdin.write('\u{1B}[B');
+      stdin.write('c');
+      await waitForOutput(stdout, /Cancel build of foo\/baz\? \(y\/n\)/);
+      stdin.write('n');
+      stdin.write('q');
+      await tuiP;
+    });
+
+    it('shows log of selected job until q is pressed', async () => {
+      const projectBuild = apiResponses.getProjectBuild({});
+      const [, job] = projectBuild.build.jobs;
+      apiMock.expects('getLastBuildWithJobs').atLeast(1).resolves(projectBuild);
+      apiMock.expects('getJobLog').atLeast(1)
+        .withArgs(match({ job: job.jobId }))
+        .resolves('full job log\n');
+      apiMock.expects('getJobLog').atLeast(1).resolves('');
+      const tuiP = runTui([{ project: 'foo/bar' }]);
+      await waitForOutput(stdout, /Platform: amd64/);
+      stdin.write('l');
+      stdin.write('o');
+      await waitForOutput(stdout, /Platform: amd64 {2}q: back\n\nfull job log/);
+      stdin.write('q');
+      await waitForOutput(stdout, /AppVeyor Dashboard/);
+      assert.strictEqual(stdin.setRawMode.callCount, 1);
+      stdin.write('q');
+      await tuiP;
+    });
+
+    describe('with repo', () => {
+      // Ensure all requests are mocked and are not carried over between tests
+      before(() => {
+        // Activate if restored by other tests
+        if (!nock.isActive()) {
+          nock.activate();
+        }
+        nock.disableNetConnect();
+      });
+      after(() => {
+        nock.enableNetConnect();
+        nock.restore();
+      });
+      afterEach(() => {
+        nock.cleanAll();
+      });
+
+      let nodeFetch;
+      before(async () => {
+        const nodeFetchMod = await import('node-fetch');
+        nodeFetch = nodeFetchMod.default;
+      });
+
+      it('shows jobs of project found by repository', async () => {
+        const projectPath = '/api/projects/test-account-name/test-proj';
+        const projectBuild = apiResponses.getProjectBuild({});
+        const [, job] = projectBuild.build.jobs;
+        // Builds in getProjects response do not include jobs
+        const ne = nock(apiUrl)
+          .get('/api/projects')
+          .reply(200, [apiResponses.getProject({})])
+          .get(`${projectPath}/build/0.0.63`)
+          .reply(200, projectBuild)
+          // Project is not found again on later refreshes
+          .get(projectPath)
+          .reply(200, projectBuild);
+        apiMock.expects('getJobLog').atLeast(1)
+          .withArgs(match({ job: job.jobId }))
+          .resolves('amd64 job log\n');
+        apiMock.expects('getJobLog').atLeast(1).resolves('');
+        const tuiP = runTui([{
+          repo: 'https://github.com/test-account-name/test-proj.git',
+          // Use nodeFetch instead of global fetch, which is not supported by
+          // nock
+          userFetch: nodeFetch,
+        }]);
+        await waitForOutput(stdout, /Platform: amd64/);
+        stdin.write('l');
+        await waitForOutput(stdout, /amd64 job log/);
+        stdin.write('q');
+        await tuiP;
+        ne.done();
+      });
+    });
+  });
+});